@@ -4,25 +4,97 @@ require('dotenv').config();
 /**
  * Blockchain configuration and provider setup
  * Centralizes all chain-related initialization
+ *
+ * CHAIN_ID is the default chain. CHAIN_RPC_URL is its endpoint; other chains
+ * are served when listed in CHAIN_RPC_URLS ("97=https://...,31337=http://...").
+ * Providers and wallets are created per chain on first use, with the same
+ * keys on every chain.
+ *
+ * MODE=local runs without a chain: the registry is kept in memory
+ * (contracts/localRegistry.js), wallets have no provider and no RPC URL or
+ * key is required.
  */
 
-const RPC_URL = process.env.CHAIN_RPC_URL;
-const CHAIN_ID = parseInt(process.env.CHAIN_ID || '97');
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const MODES = ['chain', 'local'];
+const MODE = process.env.MODE || 'chain';
+if (!MODES.includes(MODE)) {
+  throw new Error(`Invalid MODE "${MODE}" (expected ${MODES.join(' or ')})`);
+}
+const LOCAL = MODE === 'local';
+
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID || (LOCAL ? '31337' : '97'));
+// An operator-only host may set just OPERATOR_PRIVATE_KEY
+const OPERATOR_PRIVATE_KEY = process.env.OPERATOR_PRIVATE_KEY;
+// Local mode signs with a throwaway key unless one is configured
+const PRIVATE_KEY = process.env.PRIVATE_KEY || OPERATOR_PRIVATE_KEY || (LOCAL ? ethers.Wallet.createRandom().privateKey : undefined);
+
+function parseRpcUrls(value) {
+  const urls = {};
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const id = entry.slice(0, separator);
+    const url = entry.slice(separator + 1);
+    if (separator < 1 || !/^\d+$/.test(id) || !url) {
+      throw new Error(`Invalid CHAIN_RPC_URLS entry "${entry}" (expected <chainId>=<url>)`);
+    }
+    urls[parseInt(id)] = url;
+  }
+  return urls;
+}
 
-if (!RPC_URL || !PRIVATE_KEY) {
+const RPC_URLS = LOCAL ? { [DEFAULT_CHAIN_ID]: null } : parseRpcUrls(process.env.CHAIN_RPC_URLS);
+if (process.env.CHAIN_RPC_URL && !LOCAL) {
+  RPC_URLS[DEFAULT_CHAIN_ID] = process.env.CHAIN_RPC_URL;
+}
+
+if (!LOCAL && (!RPC_URLS[DEFAULT_CHAIN_ID] || !PRIVATE_KEY)) {
   throw new Error('Missing required environment variables: CHAIN_RPC_URL, PRIVATE_KEY');
 }
 
-// Initialize provider
-const provider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID);
+const chains = new Map();
+
+/**
+ * Get the provider and wallets for a chain
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {{chainId: number, rpcUrl: string|null, provider: ethers.JsonRpcProvider|null, wallet: ethers.Wallet, operatorWallet: ethers.Wallet}}
+ * @throws {Error} with statusCode 400 if no RPC URL is configured for the chain
+ */
+function getChain(chainId = DEFAULT_CHAIN_ID) {
+  if (!chains.has(chainId)) {
+    const rpcUrl = RPC_URLS[chainId];
+    if (rpcUrl === undefined) {
+      const error = LOCAL
+        ? new Error(`Unknown chain: ${chainId} (MODE=local serves only chain ${DEFAULT_CHAIN_ID})`)
+        : new Error(`No RPC URL configured for chain ${chainId} (configured: ${Object.keys(RPC_URLS).join(', ')}; set CHAIN_RPC_URLS)`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Initialize provider (none in local mode)
+    const provider = LOCAL ? null : new ethers.JsonRpcProvider(rpcUrl, chainId);
+
+    // Initialize wallet (signer)
+    const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+
+    // Operator signer for receipts submitted by operator.js (falls back to the backend wallet)
+    const operatorWallet = OPERATOR_PRIVATE_KEY ? new ethers.Wallet(OPERATOR_PRIVATE_KEY, provider) : wallet;
+
+    chains.set(chainId, { chainId, rpcUrl, provider, wallet, operatorWallet });
+  }
+  return chains.get(chainId);
+}
 
-// Initialize wallet (signer)
-const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+const defaultChain = getChain();
 
 module.exports = {
-  provider,
-  wallet,
-  chainId: CHAIN_ID,
-  rpcUrl: RPC_URL
+  mode: MODE,
+  // Default chain
+  provider: defaultChain.provider,
+  wallet: defaultChain.wallet,
+  operatorWallet: defaultChain.operatorWallet,
+  chainId: DEFAULT_CHAIN_ID,
+  rpcUrl: defaultChain.rpcUrl,
+  // Any configured chain
+  getChain,
+  chainIds: Object.keys(RPC_URLS).map(Number)
 };
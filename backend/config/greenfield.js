@@ -1,5 +1,6 @@
 require('dotenv').config();
-const { Client, VisibilityType, RedundancyType, Long, bytesFromBase64 } = require('@bnb-chain/greenfield-js-sdk');
+const logger = require('../utils/logger');
+const { Client, VisibilityType, RedundancyType, ObjectStatus, Long, bytesFromBase64 } = require('@bnb-chain/greenfield-js-sdk');
 
 /**
  * Greenfield configuration for BNB Greenfield Testnet
@@ -17,11 +18,11 @@ const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const ACCOUNT_ADDRESS = process.env.ACCOUNT_ADDRESS;
 
 if (!GREENFIELD_BUCKET) {
-    console.warn('WARNING: GREENFIELD_BUCKET not set. Greenfield uploads will fail.');
+    logger.warn('GREENFIELD_BUCKET not set. Greenfield uploads will fail.');
 }
 
 if (!PRIVATE_KEY) {
-    console.warn('WARNING: PRIVATE_KEY not set. Greenfield uploads will fail.');
+    logger.warn('PRIVATE_KEY not set. Greenfield uploads will fail.');
 }
 
 // Create Greenfield client (lazy initialization)
@@ -45,6 +46,7 @@ module.exports = {
     // Re-export SDK types for convenience
     VisibilityType,
     RedundancyType,
+    ObjectStatus,
     Long,
     bytesFromBase64
 };
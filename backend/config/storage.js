@@ -0,0 +1,43 @@
+require('dotenv').config();
+
+/**
+ * Artifact storage configuration
+ * STORAGE_PROVIDER selects the backend: greenfield | local | s3
+ * Defaults to greenfield when GREENFIELD_BUCKET is set, otherwise local
+ * MODE=local always uses local storage, so nothing leaves the machine
+ */
+
+const PORT = process.env.PORT || 4000;
+
+const PROVIDER = process.env.MODE === 'local'
+    ? 'local'
+    : process.env.STORAGE_PROVIDER || (process.env.GREENFIELD_BUCKET ? 'greenfield' : 'local');
+
+module.exports = {
+    provider: PROVIDER,
+    local: {
+        // Directory holding stored objects, served by the backend under /storage
+        dir: process.env.STORAGE_LOCAL_DIR || 'storage',
+        baseUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${PORT}/storage`
+    },
+    s3: {
+        endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // Path-style (http://host/bucket/key) is what MinIO and most stand-ins expect
+        forcePathStyle: (process.env.S3_FORCE_PATH_STYLE || 'true') === 'true',
+        // Public base URL for objects, if served through a CDN or public bucket policy
+        publicUrl: process.env.S3_PUBLIC_URL
+    },
+    upload: {
+        // Files uploaded at once per task
+        concurrency: parseInt(process.env.UPLOAD_CONCURRENCY || '4', 10),
+        // Retries per object after the first attempt, with exponential backoff
+        retries: parseInt(process.env.UPLOAD_RETRIES || '3', 10),
+        retryDelayMs: parseInt(process.env.UPLOAD_RETRY_DELAY_MS || '1000', 10),
+        // Per-task upload manifests used to resume interrupted uploads
+        stateDir: process.env.UPLOAD_STATE_DIR || 'uploads'
+    }
+};
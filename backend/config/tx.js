@@ -0,0 +1,33 @@
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+/**
+ * Transaction policy
+ * Fee mode, gas price caps and stuck-transaction replacement used by
+ * services/txManager.js for every contract write
+ */
+
+const gwei = (name) => (process.env[name] ? ethers.parseUnits(process.env[name], 'gwei') : null);
+
+module.exports = {
+    // auto uses EIP-1559 when the chain reports a base fee, legacy gasPrice otherwise
+    feeMode: process.env.TX_FEE_MODE || 'auto',
+    // Caps: maxFeePerGas (or gasPrice in legacy mode) and maxPriorityFeePerGas never exceed these
+    maxFeePerGas: gwei('TX_MAX_FEE_GWEI'),
+    maxPriorityFeePerGas: gwei('TX_MAX_PRIORITY_FEE_GWEI'),
+    // Fixed tip; defaults to the node's suggestion
+    priorityFeePerGas: gwei('TX_PRIORITY_FEE_GWEI'),
+    // Headroom over eth_estimateGas
+    gasLimitMultiplier: parseFloat(process.env.TX_GAS_LIMIT_MULTIPLIER || '1.2'),
+    // A transaction unmined for this long is re-sent with the same nonce and higher fees
+    stuckTimeoutMs: parseInt(process.env.TX_STUCK_TIMEOUT_MS || '60000', 10),
+    // Nodes reject replacements bumped by less than 10%
+    feeBumpPercent: Math.max(10, parseInt(process.env.TX_FEE_BUMP_PERCENT || '20', 10)),
+    maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3', 10),
+    pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS || '3000', 10),
+    outbox: {
+        // Receipts waiting to be anchored (one file per task), retried after a restart
+        dir: process.env.TX_OUTBOX_DIR || 'outbox',
+        retryIntervalMs: parseInt(process.env.TX_OUTBOX_RETRY_MS || '30000', 10)
+    }
+};
@@ -0,0 +1,270 @@
+const { ethers } = require('ethers');
+const { getChain, chainId: defaultChainId } = require('../config/chain');
+const { getDeployment, listDeployments } = require('./deployments');
+const logger = require('../utils/logger');
+const { emitTaskEvent } = require('../services/events');
+const { sendTransaction } = require('../services/txManager');
+
+/**
+ * ExecutionRegistry contract wrapper (MODE=chain)
+ * Contract address and ABI come from the deployment registry (one JSON per
+ * chain in smart-contracts/deployments). Every function takes an optional
+ * chainId; without it the default chain (CHAIN_ID) is used.
+ * Exposes only createTask and submitReceipt functions
+ * Writes go through the transaction manager (nonces, gas policy, replacement)
+ */
+
+const registries = new Map();
+
+// Block range per getLogs request when looking up a task's creation block
+const LOG_BATCH_BLOCKS = 2000;
+
+// chainId:taskId => block the task was created in
+const createdBlocks = new Map();
+
+/**
+ * Get the ExecutionRegistry of a chain
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {{chainId: number, deployment: Object, contract: ethers.Contract, provider: ethers.Provider, wallet: ethers.Wallet}}
+ * @throws {Error} with statusCode 400 if the chain has no deployment or RPC URL
+ */
+function getRegistry(chainId = defaultChainId) {
+    if (!registries.has(chainId)) {
+        const deployment = getDeployment(chainId);
+        const { provider, wallet } = getChain(chainId);
+
+        logger.info(`ExecutionRegistry on chain ${chainId} (${deployment.name}): ${deployment.address}`);
+
+        registries.set(chainId, {
+            chainId,
+            deployment,
+            contract: new ethers.Contract(deployment.address, deployment.abi, wallet),
+            provider,
+            wallet
+        });
+    }
+    return registries.get(chainId);
+}
+
+/**
+ * Resolve a request's chain selector to a served chain ID
+ * @param {string|number} [value] - Chain ID or deployment name (e.g. 97, "bsc-testnet"); default chain if empty
+ * @returns {number} - Chain ID
+ * @throws {Error} with statusCode 400 for an unknown or unconfigured chain
+ */
+function resolveChain(value) {
+    if (value === undefined || value === null || value === '') {
+        return defaultChainId;
+    }
+
+    let chainId;
+    if (/^\d+$/.test(String(value))) {
+        chainId = parseInt(value, 10);
+    } else {
+        const named = listDeployments().find(deployment => deployment.name === value);
+        chainId = named ? named.chainId : value;
+    }
+
+    getRegistry(chainId);
+    return chainId;
+}
+
+// The default chain must have a deployment: fail at startup, not on first request
+getRegistry();
+
+/**
+ * Create a new task on-chain
+ * @param {string} specHash - Keccak256 hash of task specification
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<{taskId: number, txHash: string}>}
+ */
+async function createTask(specHash, { chainId } = {}) {
+    const { contract, wallet } = getRegistry(chainId);
+    logger.info('Creating task with specHash:', specHash);
+
+    const { hash, receipt } = await sendTransaction(wallet, {
+        to: contract.target,
+        data: contract.interface.encodeFunctionData('createTask', [specHash])
+    }, { label: 'createTask' });
+
+    // Parse TaskCreated event to get taskId
+    const event = receipt.logs.find(log => {
+        try {
+            const parsed = contract.interface.parseLog(log);
+            return parsed && parsed.name === 'TaskCreated';
+        } catch (e) {
+            return false;
+        }
+    });
+
+    if (!event) {
+        throw new Error('TaskCreated event not found in transaction receipt');
+    }
+
+    const parsed = contract.interface.parseLog(event);
+    const taskId = Number(parsed.args.taskId);
+
+    logger.info('Task created with ID:', taskId);
+
+    return {
+        taskId,
+        txHash: hash
+    };
+}
+
+/**
+ * Submit execution receipt on-chain
+ * @param {number} taskId - Task ID
+ * @param {string} artifactHash - Hash of artifact folder
+ * @param {string} resultHash - Hash of result.json
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @param {ethers.Signer} [options.signer] - Operator signer on that chain (default: backend wallet)
+ * @param {Object} [options.resume] - Earlier broadcast to continue (see txManager.sendTransaction)
+ * @param {function(Object): Promise<void>} [options.onSent] - Called after every broadcast
+ * @returns {Promise<{txHash: string, blockNumber: number}>}
+ */
+async function submitReceipt(taskId, artifactHash, resultHash, { chainId, signer, resume, onSent = async () => {} } = {}) {
+    const registry = getRegistry(chainId);
+    const { contract, wallet } = registry;
+    const eventOptions = { chainId: registry.chainId };
+    logger.info('Submitting receipt for task:', taskId);
+    logger.info('Artifact hash:', artifactHash);
+    logger.info('Result hash:', resultHash);
+
+    const { hash, receipt } = await sendTransaction(signer || wallet, {
+        to: contract.target,
+        data: contract.interface.encodeFunctionData('submitReceipt', [taskId, artifactHash, resultHash])
+    }, {
+        label: `submitReceipt(${taskId})`,
+        resume,
+        onSent: async (sent) => {
+            emitTaskEvent(taskId, 'tx-sent', { action: 'submitReceipt', txHash: sent.hash, nonce: sent.nonce, replaces: sent.replaced }, eventOptions);
+            await onSent(sent);
+        }
+    });
+
+    emitTaskEvent(taskId, 'tx-confirmed', { action: 'submitReceipt', txHash: hash, blockNumber: receipt.blockNumber }, eventOptions);
+
+    return {
+        txHash: hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+/**
+ * Get task details from blockchain
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object>} Task details
+ */
+async function getTask(taskId, { chainId } = {}) {
+    const { contract } = getRegistry(chainId);
+    const task = await contract.tasks(taskId);
+    return {
+        requester: task.requester,
+        specHash: task.specHash,
+        createdAt: Number(task.createdAt)
+    };
+}
+
+/**
+ * Get receipt details from blockchain
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object|null>} Receipt details or null if not submitted
+ */
+async function getReceipt(taskId, { chainId } = {}) {
+    const { contract } = getRegistry(chainId);
+    const receipt = await contract.receipts(taskId);
+    if (receipt.operator === ethers.ZeroAddress) {
+        return null; // No receipt submitted yet
+    }
+    return {
+        operator: receipt.operator,
+        artifactHash: receipt.artifactHash,
+        resultHash: receipt.resultHash,
+        completedAt: Number(receipt.completedAt)
+    };
+}
+
+/**
+ * Get the number of tasks created so far (task IDs are 0..count-1)
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<number>}
+ */
+async function getTaskCount({ chainId } = {}) {
+    const { contract } = getRegistry(chainId);
+    return Number(await contract.nextTaskId());
+}
+
+/**
+ * Find the block a task was created in
+ * Searches TaskCreated logs backwards from the head and stops once blocks
+ * are older than the task's createdAt, so a recent task costs one or two requests
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<number|null>} - Block number, or null if the task does not exist
+ */
+async function getTaskCreatedBlock(taskId, { chainId } = {}) {
+    const registry = getRegistry(chainId);
+    const key = `${registry.chainId}:${taskId}`;
+    if (createdBlocks.has(key)) {
+        return createdBlocks.get(key);
+    }
+
+    const task = await getTask(taskId, { chainId });
+    if (task.requester === ethers.ZeroAddress) {
+        return null;
+    }
+
+    const { contract, provider, deployment } = registry;
+    const topics = [contract.interface.getEvent('TaskCreated').topicHash, ethers.toBeHex(taskId, 32)];
+    const floor = deployment.blockNumber || 0;
+
+    let toBlock = await provider.getBlockNumber();
+    while (toBlock >= floor) {
+        const fromBlock = Math.max(floor, toBlock - LOG_BATCH_BLOCKS + 1);
+        const [log] = await provider.getLogs({ address: contract.target, topics, fromBlock, toBlock });
+        if (log) {
+            createdBlocks.set(key, log.blockNumber);
+            return log.blockNumber;
+        }
+
+        const block = await provider.getBlock(fromBlock);
+        if (block.timestamp < task.createdAt) break;
+        toBlock = fromBlock - 1;
+    }
+
+    throw new Error(`TaskCreated event for task ${taskId} not found`);
+}
+
+/**
+ * Get a block header
+ * @param {number} blockNumber - Block number
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<{number: number, hash: string, timestamp: number}|null>} - null if not mined yet
+ */
+async function getBlock(blockNumber, { chainId } = {}) {
+    const { provider } = getRegistry(chainId);
+    const block = await provider.getBlock(blockNumber);
+    return block ? { number: block.number, hash: block.hash, timestamp: block.timestamp } : null;
+}
+
+module.exports = {
+    createTask,
+    submitReceipt,
+    getTask,
+    getReceipt,
+    getTaskCount,
+    getTaskCreatedBlock,
+    getBlock,
+    getRegistry,
+    resolveChain
+};
@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * ExecutionRegistry deployment registry
+ * Loads every JSON file in smart-contracts/deployments/ (written by
+ * script/Deploy.s.sol), keyed by chain ID. Each file is validated when
+ * loaded; a malformed file or two files for the same chain is a startup
+ * error rather than a silently ignored deployment.
+ */
+
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, '../../smart-contracts/deployments');
+
+// Everything the backend calls or listens for
+const REQUIRED_FUNCTIONS = [
+    'createTask(bytes32)',
+    'submitReceipt(uint256,bytes32,bytes32)',
+    'tasks(uint256)',
+    'receipts(uint256)',
+    'nextTaskId()'
+];
+const REQUIRED_EVENTS = [
+    'TaskCreated(uint256,address,bytes32)',
+    'ReceiptSubmitted(uint256,address,bytes32,bytes32)'
+];
+
+let deployments = null;
+
+/**
+ * Validate one deployment file
+ * @param {string} name - Deployment name (file name without .json)
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - { name, chainId, address, abi, blockNumber }
+ * @throws {Error} listing every problem found
+ */
+function validateDeployment(name, data) {
+    const problems = [];
+    const registry = data && data.ExecutionRegistry;
+
+    if (!registry) {
+        throw new Error(`Deployment ${name}: missing ExecutionRegistry`);
+    }
+
+    if (!Number.isInteger(registry.chainId) || registry.chainId <= 0) {
+        problems.push(`chainId must be a positive integer (got ${JSON.stringify(registry.chainId)})`);
+    }
+    if (typeof registry.address !== 'string' || !ethers.isAddress(registry.address) || registry.address === ethers.ZeroAddress) {
+        problems.push(`address is not a valid contract address (got ${JSON.stringify(registry.address)})`);
+    }
+    if (registry.blockNumber !== undefined && (!Number.isInteger(registry.blockNumber) || registry.blockNumber < 0)) {
+        problems.push('blockNumber must be a non-negative integer');
+    }
+
+    if (!Array.isArray(registry.abi)) {
+        problems.push('abi must be an array');
+    } else {
+        try {
+            const iface = new ethers.Interface(registry.abi);
+            for (const signature of REQUIRED_FUNCTIONS) {
+                if (!iface.getFunction(signature)) problems.push(`abi is missing function ${signature}`);
+            }
+            for (const signature of REQUIRED_EVENTS) {
+                if (!iface.getEvent(signature)) problems.push(`abi is missing event ${signature}`);
+            }
+        } catch (error) {
+            problems.push(`abi does not parse: ${error.message}`);
+        }
+    }
+
+    if (problems.length) {
+        throw new Error(`Deployment ${name} is invalid: ${problems.join('; ')}`);
+    }
+
+    return {
+        name,
+        chainId: registry.chainId,
+        address: ethers.getAddress(registry.address),
+        abi: registry.abi,
+        blockNumber: registry.blockNumber
+    };
+}
+
+/**
+ * Load and validate all deployments (once)
+ * @returns {Map<number, Object>} - chainId => deployment
+ */
+function loadDeployments() {
+    if (deployments) {
+        return deployments;
+    }
+
+    const files = fs.readdirSync(DEPLOYMENTS_DIR).filter(file => file.endsWith('.json')).sort();
+    const loaded = new Map();
+
+    for (const file of files) {
+        const name = path.basename(file, '.json');
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`Deployment ${name}: ${error.message}`);
+        }
+
+        const deployment = validateDeployment(name, data);
+        if (loaded.has(deployment.chainId)) {
+            throw new Error(`Deployments ${loaded.get(deployment.chainId).name} and ${name} are both for chain ${deployment.chainId}`);
+        }
+        loaded.set(deployment.chainId, deployment);
+    }
+
+    deployments = loaded;
+    return deployments;
+}
+
+/**
+ * Describe the known deployments, for error messages
+ * @returns {string}
+ */
+function describeDeployments() {
+    return [...loadDeployments().values()].map(d => `${d.chainId} (${d.name})`).join(', ') || 'none';
+}
+
+/**
+ * Get the deployment for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object} - { name, chainId, address, abi, blockNumber }
+ * @throws {Error} with statusCode 400 if there is no deployment for the chain
+ */
+function getDeployment(chainId) {
+    const deployment = loadDeployments().get(chainId);
+    if (!deployment) {
+        const error = new Error(`Unknown chain: ${chainId} (deployments: ${describeDeployments()})`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return deployment;
+}
+
+/**
+ * List all deployments
+ * @returns {Array<Object>}
+ */
+function listDeployments() {
+    return [...loadDeployments().values()];
+}
+
+module.exports = {
+    getDeployment,
+    listDeployments,
+    describeDeployments
+};
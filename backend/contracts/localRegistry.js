@@ -0,0 +1,287 @@
+const { ethers } = require('ethers');
+const { getChain, chainId: defaultChainId } = require('../config/chain');
+const { permanent } = require('../utils/retry');
+const logger = require('../utils/logger');
+const { emitTaskEvent } = require('../services/events');
+
+/**
+ * In-memory ExecutionRegistry (MODE=local)
+ * Mirrors ExecutionRegistry.sol: task IDs count up from 0, one receipt per
+ * task, and the same require messages. A failed require throws the same
+ * permanent "<call> would revert: <reason>" error the transaction manager
+ * raises on a chain.
+ * Every write is "mined" at once in its own block, and asking for a block
+ * that does not exist yet mines empty blocks up to it, so nothing ever waits
+ * for a block. State lives in this process only and is gone on restart.
+ */
+
+// Name accepted as a chain selector, like a deployment file name
+const DEPLOYMENT_NAME = 'memory';
+
+const deployment = {
+    name: DEPLOYMENT_NAME,
+    chainId: defaultChainId,
+    address: null,
+    abi: null,
+    blockNumber: 0
+};
+
+let nextTaskId = 0;
+// Block n is blocks[n]; block 0 is genesis
+const blocks = [];
+const tasks = new Map();
+const receipts = new Map();
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function revert(label, reason) {
+    return permanent(new Error(`${label} would revert: ${reason}`));
+}
+
+/**
+ * Check a bytes32 argument the way ABI encoding would
+ * @param {string} value - 0x-prefixed 32-byte hex string
+ * @returns {string} - Lowercase hex
+ */
+function toBytes32(value) {
+    if (!ethers.isHexString(value, 32)) {
+        throw new Error(`invalid bytes32 value: ${JSON.stringify(value)}`);
+    }
+    return value.toLowerCase();
+}
+
+/**
+ * Append a block
+ * @returns {{number: number, hash: string, timestamp: number}}
+ */
+function mineBlock() {
+    const number = blocks.length;
+    const parentHash = number ? blocks[number - 1].hash : ethers.ZeroHash;
+    const block = {
+        number,
+        hash: ethers.solidityPackedKeccak256(['bytes32', 'uint256', 'bytes32'], [parentHash, number, ethers.randomBytes(32)]),
+        timestamp: now()
+    };
+    blocks.push(block);
+    return block;
+}
+
+mineBlock();
+
+/**
+ * Record a write in a new block
+ * @param {string} action - Function called
+ * @returns {{hash: string, blockNumber: number}}
+ */
+function mine(action) {
+    const block = mineBlock();
+    return {
+        hash: ethers.keccak256(ethers.toUtf8Bytes(`${action}:${block.hash}`)),
+        blockNumber: block.number
+    };
+}
+
+/**
+ * Get the registry of a chain
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {{chainId: number, deployment: Object, contract: null, provider: null, wallet: ethers.Wallet}}
+ * @throws {Error} with statusCode 400 for any chain but CHAIN_ID
+ */
+function getRegistry(chainId = defaultChainId) {
+    const { wallet } = getChain(chainId);
+    return {
+        chainId,
+        deployment,
+        contract: null,
+        provider: null,
+        wallet
+    };
+}
+
+/**
+ * Resolve a request's chain selector to the served chain ID
+ * @param {string|number} [value] - CHAIN_ID or "memory"; default chain if empty
+ * @returns {number} - Chain ID
+ * @throws {Error} with statusCode 400 for any other chain
+ */
+function resolveChain(value) {
+    if (value === undefined || value === null || value === '' || value === DEPLOYMENT_NAME) {
+        return defaultChainId;
+    }
+
+    const chainId = /^\d+$/.test(String(value)) ? parseInt(value, 10) : value;
+    getRegistry(chainId);
+    return chainId;
+}
+
+/**
+ * Create a new task
+ * @param {string} specHash - Keccak256 hash of task specification
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<{taskId: number, txHash: string}>}
+ */
+async function createTask(specHash, { chainId } = {}) {
+    const { wallet } = getRegistry(chainId);
+    specHash = toBytes32(specHash);
+    logger.info('Creating task with specHash:', specHash);
+
+    if (specHash === ethers.ZeroHash) {
+        throw revert('createTask', 'Spec hash cannot be zero');
+    }
+
+    const taskId = nextTaskId++;
+    const tx = mine('createTask');
+    tasks.set(taskId, {
+        requester: wallet.address,
+        specHash,
+        createdAt: now(),
+        blockNumber: tx.blockNumber
+    });
+
+    logger.info('Task created with ID:', taskId);
+
+    return {
+        taskId,
+        txHash: tx.hash
+    };
+}
+
+/**
+ * Submit an execution receipt
+ * @param {number} taskId - Task ID
+ * @param {string} artifactHash - Hash of artifact folder
+ * @param {string} resultHash - Hash of result.json
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @param {ethers.Signer} [options.signer] - Operator signer (default: backend wallet)
+ * @param {Object} [options.resume] - Ignored: nothing is ever left in flight
+ * @param {function(Object): Promise<void>} [options.onSent] - Called once the receipt is recorded
+ * @returns {Promise<{txHash: string, blockNumber: number}>}
+ */
+async function submitReceipt(taskId, artifactHash, resultHash, { chainId, signer, onSent = async () => {} } = {}) {
+    const registry = getRegistry(chainId);
+    const { wallet } = registry;
+    const eventOptions = { chainId: registry.chainId };
+    artifactHash = toBytes32(artifactHash);
+    resultHash = toBytes32(resultHash);
+    logger.info('Submitting receipt for task:', taskId);
+    logger.info('Artifact hash:', artifactHash);
+    logger.info('Result hash:', resultHash);
+
+    const label = `submitReceipt(${taskId})`;
+    const operator = await (signer || wallet).getAddress();
+
+    if (!tasks.has(taskId)) {
+        throw revert(label, 'Task does not exist');
+    }
+    if (receipts.has(taskId)) {
+        throw revert(label, 'Receipt already submitted');
+    }
+    if (artifactHash === ethers.ZeroHash) {
+        throw revert(label, 'Artifact hash cannot be zero');
+    }
+    if (resultHash === ethers.ZeroHash) {
+        throw revert(label, 'Result hash cannot be zero');
+    }
+
+    const tx = mine('submitReceipt');
+    receipts.set(taskId, {
+        operator,
+        artifactHash,
+        resultHash,
+        completedAt: now()
+    });
+
+    emitTaskEvent(taskId, 'tx-sent', { action: 'submitReceipt', txHash: tx.hash, nonce: null, replaces: null }, eventOptions);
+    await onSent({ hash: tx.hash, nonce: null, fees: null, hashes: [tx.hash], replaced: null });
+    emitTaskEvent(taskId, 'tx-confirmed', { action: 'submitReceipt', txHash: tx.hash, blockNumber: tx.blockNumber }, eventOptions);
+
+    return {
+        txHash: tx.hash,
+        blockNumber: tx.blockNumber
+    };
+}
+
+/**
+ * Get task details (all zero if the task does not exist, like the contract getter)
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object>} Task details
+ */
+async function getTask(taskId, { chainId } = {}) {
+    getRegistry(chainId);
+    const task = tasks.get(taskId);
+    return {
+        requester: task ? task.requester : ethers.ZeroAddress,
+        specHash: task ? task.specHash : ethers.ZeroHash,
+        createdAt: task ? task.createdAt : 0
+    };
+}
+
+/**
+ * Get receipt details
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object|null>} Receipt details or null if not submitted
+ */
+async function getReceipt(taskId, { chainId } = {}) {
+    getRegistry(chainId);
+    const receipt = receipts.get(taskId);
+    return receipt ? { ...receipt } : null;
+}
+
+/**
+ * Get the number of tasks created so far (task IDs are 0..count-1)
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<number>}
+ */
+async function getTaskCount({ chainId } = {}) {
+    getRegistry(chainId);
+    return nextTaskId;
+}
+
+/**
+ * Get the block a task was created in
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<number|null>} - Block number, or null if the task does not exist
+ */
+async function getTaskCreatedBlock(taskId, { chainId } = {}) {
+    getRegistry(chainId);
+    const task = tasks.get(taskId);
+    return task ? task.blockNumber : null;
+}
+
+/**
+ * Get a block header, mining empty blocks up to it if needed
+ * @param {number} blockNumber - Block number
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<{number: number, hash: string, timestamp: number}>}
+ */
+async function getBlock(blockNumber, { chainId } = {}) {
+    getRegistry(chainId);
+    while (blocks.length <= blockNumber) {
+        mineBlock();
+    }
+    return { ...blocks[blockNumber] };
+}
+
+module.exports = {
+    createTask,
+    submitReceipt,
+    getTask,
+    getReceipt,
+    getTaskCount,
+    getTaskCreatedBlock,
+    getBlock,
+    getRegistry,
+    resolveChain
+};
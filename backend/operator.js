@@ -0,0 +1,50 @@
+require('dotenv').config();
+const { operatorWallet, mode } = require('./config/chain');
+const { startOperator, stopOperator } = require('./services/operator');
+const { startReceiptOutbox } = require('./services/receipt');
+const storageConfig = require('./config/storage');
+const logger = require('./utils/logger');
+
+/**
+ * InfraProof Operator
+ * Standalone daemon that executes tasks from TaskCreated events and
+ * submits receipts with the operator key (OPERATOR_PRIVATE_KEY)
+ */
+
+// The in-memory registry lives inside the backend process; there is nothing to follow
+if (mode === 'local') {
+    logger.error('The operator needs a chain and cannot run with MODE=local');
+    process.exit(1);
+}
+
+if (!process.env.OPERATOR_PRIVATE_KEY) {
+    logger.warn('OPERATOR_PRIVATE_KEY not set, receipts will be signed with PRIVATE_KEY');
+}
+
+const shutdown = (signal) => {
+    logger.info(`${signal} received, shutting down operator`);
+    stopOperator()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            logger.error('Operator shutdown failed:', error.message);
+            process.exit(1);
+        });
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
+
+logger.info('='.repeat(50));
+logger.info('InfraProof Operator Starting...');
+logger.info(`Operator address: ${operatorWallet.address}`);
+logger.info(`Artifact storage: ${storageConfig.provider}`);
+logger.info('='.repeat(50));
+
+logger.runWithContext({ operator: operatorWallet.address }, () => {
+    // Receipts that failed to anchor before a restart are retried first
+    startReceiptOutbox();
+    return startOperator(operatorWallet);
+}).catch((error) => {
+    logger.error('Failed to start operator:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { auditAllTasks, getAuditStatus } = require('../services/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Audit routes
+ * Stored artifact audits across all completed tasks
+ */
+
+/**
+ * GET /audit
+ * Get whether an audit is running and the summary of the last one
+ *
+ * Response:
+ * {
+ *   "running": false,
+ *   "lastRun": {
+ *     "startedAt": "...",
+ *     "finishedAt": "...",
+ *     "repair": false,
+ *     "counts": { "healthy": 10, "damaged": 1, "repaired": 0, "skipped": 2, "error": 0 },
+ *     "reports": [...]   // per-task reports for every task that was not healthy
+ *   } | null
+ * }
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        ...getAuditStatus()
+    });
+});
+
+/**
+ * POST /audit
+ * Start an audit of every completed task in the background
+ *
+ * Request body (optional):
+ * {
+ *   "repair": false  // re-upload missing/corrupted objects from local artifacts
+ * }
+ *
+ * Response (202): { "running": true }
+ * Response (409): an audit is already running
+ */
+router.post('/', (req, res) => {
+    logger.info('POST /audit - Request received');
+
+    if (getAuditStatus().running) {
+        return res.status(409).json({
+            success: false,
+            error: 'Audit already running'
+        });
+    }
+
+    const { repair } = req.body || {};
+    auditAllTasks(repair === undefined ? {} : { repair: repair === true })
+        .catch(error => logger.error('Audit failed:', error.message));
+
+    res.status(202).json({
+        success: true,
+        running: true
+    });
+});
+
+module.exports = router;
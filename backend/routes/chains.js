@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { listDeployments } = require('../contracts/deployments');
+const { getRegistry } = require('../contracts/executionRegistry');
+const { chainId: defaultChainId, chainIds, mode } = require('../config/chain');
+
+/**
+ * Chain routes
+ * The ExecutionRegistry deployments this backend knows about
+ */
+
+/**
+ * GET /chains
+ * List deployments and whether each chain can be served
+ * In MODE=local this is only the in-memory registry ("memory", no address)
+ *
+ * Response:
+ * {
+ *   "defaultChainId": 97,
+ *   "mode": "chain" | "local",
+ *   "chains": [
+ *     {
+ *       "chainId": 97,
+ *       "name": "bsc-testnet",
+ *       "address": "0x...",
+ *       "blockNumber": 123,
+ *       "default": true,
+ *       "rpcConfigured": true   // false: requests for this chain are rejected
+ *     }
+ *   ]
+ * }
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        defaultChainId,
+        mode,
+        chains: (mode === 'local' ? [getRegistry().deployment] : listDeployments()).map(({ name, chainId, address, blockNumber }) => ({
+            chainId,
+            name,
+            address,
+            blockNumber: blockNumber ?? null,
+            default: chainId === defaultChainId,
+            rpcConfigured: chainIds.includes(chainId)
+        }))
+    });
+});
+
+module.exports = router;
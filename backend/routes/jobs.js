@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { getJob, cancelJob } = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Job routes
+ * Status polling for queued task executions
+ */
+
+/**
+ * GET /jobs/:jobId
+ * Get job status
+ *
+ * Response:
+ * {
+ *   "job": {
+ *     "id": "...",
+ *     "type": "EXECUTE_TASK",
+ *     "payload": { "taskId": 1, "chainId": 97 },
+ *     "state": "queued" | "benchmarking" | "uploading" | "anchoring" | "done" | "failed",
+ *     "result": {...} | null,   // execution summary once done
+ *     "error": "..." | null,    // failure reason once failed
+ *     ...
+ *   }
+ * }
+ */
+router.get('/:jobId', (req, res) => {
+    logger.info(`GET /jobs/${req.params.jobId} - Request received`);
+
+    const job = getJob(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        job
+    });
+});
+
+/**
+ * POST /jobs/:jobId/cancel
+ * Cancel a queued or running job
+ * Running jobs stop at the next safe point; once the receipt transaction
+ * has been sent the job runs to completion
+ *
+ * Response (202): { "job": {...} }
+ */
+router.post('/:jobId/cancel', async (req, res) => {
+    try {
+        logger.info(`POST /jobs/${req.params.jobId}/cancel - Request received`);
+
+        const job = await cancelJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            job
+        });
+
+    } catch (error) {
+        logger.error('Error cancelling job:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
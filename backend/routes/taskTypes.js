@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { listTaskTypes } = require('../services/taskTypes');
+
+/**
+ * Task type routes
+ * The task types POST /tasks/create accepts, for rendering forms
+ */
+
+/**
+ * GET /task-types
+ * List task types with the JSON Schema of their create request
+ *
+ * Response:
+ * {
+ *   "taskTypes": [
+ *     {
+ *       "type": "SERVER_BENCHMARK",
+ *       "description": "...",
+ *       "schema": {
+ *         "type": "object",
+ *         "properties": {
+ *           "duration": { "type": "number", "default": 30, ... },
+ *           "config": { "type": "object", "properties": { "cpuMode": { "enum": [...], "default": "single", ... }, ... } }
+ *         }
+ *       },
+ *       "artifactFiles": ["result.json", "cpu-checkpoints.json"]
+ *     }
+ *   ]
+ * }
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        taskTypes: listTaskTypes()
+    });
+});
+
+module.exports = router;
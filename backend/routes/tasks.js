@@ -1,31 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { hashJSON } = require('../utils/hash');
-const { createTask, getTask, getReceipt } = require('../contracts/executionRegistry');
-const { runBenchmark } = require('../services/benchmark');
-const { processArtifacts } = require('../services/artifacts');
-const { submitReceipt } = require('../services/receipt');
+const { SPEC_VERSION, hashSpec } = require('../utils/hash');
+const { createTask, getTask, getReceipt, resolveChain } = require('../contracts/executionRegistry');
+const { chainId: defaultChainId } = require('../config/chain');
+const { saveSpec, loadSpec } = require('../services/specStore');
+const { loadCommittedSpec, EXECUTE_TASK_JOB } = require('../services/executor');
+const { getTaskType } = require('../services/taskTypes');
+const { enqueue, findActiveJob } = require('../services/jobQueue');
+const { subscribe, getTaskEvents } = require('../services/events');
+const { findArtifactPath } = require('../services/artifacts');
+const { verifyTask, getSignedReceipt, SOURCES } = require('../services/verify');
+const { auditTask } = require('../services/audit');
+const { queryTasks, getIndexerStatus, parseTime, STATUSES } = require('../services/indexer');
+const { buildArtifactTree, getInclusionProof } = require('../utils/merkle');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 
 /**
  * Task routes
  * Minimal API surface: create and execute tasks
+ *
+ * Every per-task route takes an optional `chain` (chain ID or deployment
+ * name, in the body for POST /create and POST /execute, otherwise in the
+ * query string); it defaults to CHAIN_ID. An unknown chain is a 400.
  */
 
 /**
  * POST /tasks/create
- * Creates a SERVER_BENCHMARK task on-chain
+ * Creates a task of a registered type on-chain (see GET /task-types);
+ * an unknown type or invalid config is a 400
  * 
  * Request body:
  * {
  *   "type": "SERVER_BENCHMARK",
  *   "duration": 30,  // optional, in seconds
- *   "config": {}     // optional benchmark config
+ *   "config": {      // optional benchmark config
+ *     "cpuMode": "single",           // single | multi
+ *     "cpuAlgorithm": "sha256",      // sha256 | keccak256
+ *     "cpuCheckpointInterval": 16384, // hashes between CPU checkpoints
+ *     "memorySizeMB": 100,           // split across three arrays
+ *     "memoryPasses": 5,             // best of N per bandwidth kernel
+ *     "memorySweepKB": [16, 256, 4096, 32768], // working-set sizes
+ *     "diskSizeMB": 10,
+ *     "diskBlockSizesKB": [4, 64, 1024], // sequential block-size sweep
+ *     "diskSyncMode": "fsync",       // fsync | dsync
+ *     "diskFsyncIntervalMB": 4,      // MB between fsyncs (fsync mode)
+ *     "diskRandomOps": 1000,         // random 4K reads and writes, each
+ *     "warmupIterations": 0,         // discarded runs per phase
+ *     "repetitions": 1,              // measured runs per phase (CPU time is split across them)
+ *     "outlierTrimming": "none",     // none | iqr
+ *     "maxCV": 0.1                   // CV above which a metric is flagged highVariance
+ *   },
+ *   "chain": 97      // optional chain ID or deployment name
+ * }
+ *
+ * NETWORK_BENCHMARK config:
+ * {
+ *   "target": "loopback",          // or { "host", "tcpPort"?, "httpUrl"? } (host in NETWORK_ALLOWED_HOSTS)
+ *   "connections": 50,             // connections timed for setup latency
+ *   "requests": 200,               // echo round trips and HTTP requests, each
+ *   "payloadBytes": 64,            // echo message size
+ *   "throughputDurationMs": 5000   // per throughput test (default: duration / 6)
  * }
  * 
  * Response:
  * {
  *   "taskId": 1,
+ *   "chainId": 97,
  *   "specHash": "0x...",
  *   "txHash": "0x...",
  *   "taskSpec": {...}
@@ -35,34 +77,52 @@ router.post('/create', async (req, res) => {
     try {
         logger.info('POST /tasks/create - Request received');
 
-        const { type = 'SERVER_BENCHMARK', duration = 30, config = {} } = req.body;
+        const { type = 'SERVER_BENCHMARK', duration = 30, config = {}, chain } = req.body;
+        const chainId = resolveChain(chain);
+
+        const taskType = getTaskType(type);
+
+        if (typeof duration !== 'number' || !(duration > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'duration must be a positive number of seconds'
+            });
+        }
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return res.status(400).json({
+                success: false,
+                error: 'config must be an object'
+            });
+        }
+
+        const taskConfig = taskType.buildConfig(config, duration);
 
         // Create task specification
         const taskSpec = {
+            specVersion: SPEC_VERSION,
             type,
             duration,
-            config: {
-                cpuDurationMs: (duration / 3) * 1000, // 1/3 of time for CPU
-                memorySizeMB: config.memorySizeMB || 100,
-                diskSizeMB: config.diskSizeMB || 10
-            },
+            config: taskConfig,
             createdAt: new Date().toISOString()
         };
 
         logger.info('Task specification:', JSON.stringify(taskSpec));
 
-        // Compute specHash
-        const specHash = hashJSON(taskSpec);
+        // Compute specHash over the canonical encoding of the full spec
+        // and persist the spec before anchoring it so it can always be verified
+        const { specHash } = await saveSpec(taskSpec);
         logger.info('Spec hash:', specHash);
 
         // Create task on-chain
-        const { taskId, txHash } = await createTask(specHash);
+        const { taskId, txHash } = await createTask(specHash, { chainId });
 
-        logger.info(`Task created successfully: ID=${taskId}, TX=${txHash}`);
+        logger.info(`Task created successfully: ID=${taskId}, chain=${chainId}, TX=${txHash}`);
 
         res.json({
             success: true,
             taskId,
+            chainId,
             specHash,
             txHash,
             taskSpec
@@ -70,7 +130,7 @@ router.post('/create', async (req, res) => {
 
     } catch (error) {
         logger.error('Error creating task:', error.message);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             error: error.message
         });
@@ -79,24 +139,26 @@ router.post('/create', async (req, res) => {
 
 /**
  * POST /tasks/execute/:taskId
- * Triggers benchmark execution and submits receipt on-chain
+ * Queues benchmark execution and receipt submission as a background job
  * This endpoint simulates the operator for demo purposes
+ * Runs exactly the spec committed on-chain at creation; refuses if the
+ * stored spec does not hash to the on-chain specHash
  * 
  * Request params:
  * - taskId: Task ID to execute
- * 
+ *
  * Request body (optional):
  * {
- *   "config": {}  // benchmark config overrides
+ *   "chain": 97  // chain ID or deployment name (also accepted as ?chain=)
  * }
  * 
- * Response:
+ * Response (202):
  * {
  *   "taskId": 1,
- *   "artifactHash": "0x...",
- *   "resultHash": "0x...",
- *   "artifactUrl": "https://...",
- *   "receiptTxHash": "0x..."
+ *   "chainId": 97,
+ *   "jobId": "...",
+ *   "state": "queued",
+ *   "statusUrl": "/jobs/..."
  * }
  */
 router.post('/execute/:taskId', async (req, res) => {
@@ -111,61 +173,50 @@ router.post('/execute/:taskId', async (req, res) => {
             });
         }
 
-        const { config = {} } = req.body;
-
-        // Capture logs for artifact
-        const logs = [];
-        const originalLog = logger.info;
-        logger.info = (msg, ...args) => {
-            const logLine = `[${new Date().toISOString()}] ${msg} ${args.map(a =>
-                typeof a === 'object' ? JSON.stringify(a) : a
-            ).join(' ')}`;
-            logs.push(logLine);
-            originalLog(msg, ...args);
-        };
-
-        logger.info(`Starting execution for task ${taskId}`);
+        if (req.body && req.body.config !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Config overrides are not accepted; tasks run their committed spec'
+            });
+        }
 
-        // Run benchmark
-        logger.info('Running SERVER_BENCHMARK...');
-        const benchmarkResults = await runBenchmark(config);
+        const chainId = resolveChain((req.body && req.body.chain) ?? req.query.chain);
 
-        // Process artifacts (create folder, upload to Greenfield, compute hashes)
-        logger.info('Processing artifacts...');
-        const { artifactUrl, artifactHash, resultHash } = await processArtifacts(
-            taskId,
-            benchmarkResults,
-            logs
-        );
+        // Reuse an unfinished job for this task instead of running it twice
+        const isThisTask = j =>
+            j.type === EXECUTE_TASK_JOB &&
+            j.payload.taskId === taskId &&
+            (j.payload.chainId ?? defaultChainId) === chainId;
+        let job = findActiveJob(isThisTask);
 
-        // Restore original logger
-        logger.info = originalLog;
+        if (!job) {
+            // Fail fast on unknown tasks and bad specs; the job re-checks before running
+            await loadCommittedSpec(taskId, { chainId });
 
-        // Submit receipt on-chain
-        logger.info('Submitting receipt on-chain...');
-        const receipt = await submitReceipt(taskId, artifactHash, resultHash);
+            if (await getReceipt(taskId, { chainId })) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Receipt already submitted'
+                });
+            }
 
-        logger.info(`Task ${taskId} execution completed successfully`);
+            // A concurrent request may have queued the task during the checks above.
+            // No await between this lookup and enqueue registering the job.
+            job = findActiveJob(isThisTask) || await enqueue(EXECUTE_TASK_JOB, { taskId, chainId });
+        }
 
-        res.json({
+        res.status(202).json({
             success: true,
             taskId,
-            artifactHash,
-            resultHash,
-            artifactUrl,
-            receiptTxHash: receipt.txHash,
-            benchmarkSummary: {
-                duration: benchmarkResults.totalDurationMs,
-                cpuOpsPerSec: benchmarkResults.tests.cpu.opsPerSecond,
-                memoryWriteMBps: benchmarkResults.tests.memory.writeMBps,
-                diskWriteMBps: benchmarkResults.tests.disk.writeMBps
-            }
+            chainId,
+            jobId: job.id,
+            state: job.state,
+            statusUrl: `/jobs/${job.id}`
         });
 
     } catch (error) {
-        logger.error('Error executing task:', error.message);
-        logger.error(error.stack);
-        res.status(500).json({
+        logger.error('Error queueing task execution:', error.message);
+        res.status(error.statusCode || 500).json({
             success: false,
             error: error.message
         });
@@ -173,13 +224,96 @@ router.post('/execute/:taskId', async (req, res) => {
 });
 
 /**
- * GET /tasks/:taskId
+ * GET /tasks
+ * List tasks from the event index
+ *
+ * Query parameters (all optional):
+ *   requester, operator  - addresses
+ *   status               - PENDING | COMPLETED
+ *   from, to             - createdAt range, unix seconds or ISO date (inclusive)
+ *   page (default 1), limit (default 20, max 100), order (desc | asc by taskId)
+ *
+ * Response:
+ * {
+ *   "tasks": [
+ *     {
+ *       "taskId": 1,
+ *       "requester": "0x...",
+ *       "specHash": "0x...",
+ *       "createdAt": 1234567890,
+ *       "blockNumber": 123,
+ *       "txHash": "0x...",
+ *       "confirmed": true,   // false while within the confirmation depth
+ *       "status": "COMPLETED",
+ *       "receipt": { "operator": "0x...", "artifactHash": "0x...", "resultHash": "0x...", "completedAt": 1234567890, "blockNumber": 130, "txHash": "0x...", "confirmed": true } | null
+ *     }
+ *   ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 42, "totalPages": 3 },
+ *   "indexer": { "lastIndexedBlock": 1000, "headBlock": 1005, "confirmations": 5, "synced": true, ... }
+ * }
+ */
+router.get('/', (req, res) => {
+    logger.info('GET /tasks - Request received');
+
+    const { requester, operator, status, from, to, order = 'desc' } = req.query;
+    const page = req.query.page === undefined ? 1 : parseInt(req.query.page);
+    const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit);
+    const fromTime = from === undefined ? undefined : parseTime(from);
+    const toTime = to === undefined ? undefined : parseTime(to);
+
+    const invalid = (error) => res.status(400).json({ success: false, error });
+
+    if (requester !== undefined && !ethers.isAddress(requester)) return invalid('requester must be an address');
+    if (operator !== undefined && !ethers.isAddress(operator)) return invalid('operator must be an address');
+    if (status !== undefined && !STATUSES.includes(status.toUpperCase())) {
+        return invalid(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (fromTime === null || toTime === null) return invalid('from/to must be unix seconds or ISO dates');
+    if (isNaN(page) || page < 1) return invalid('page must be a positive integer');
+    if (isNaN(limit) || limit < 1 || limit > 100) return invalid('limit must be between 1 and 100');
+    if (order !== 'asc' && order !== 'desc') return invalid('order must be "asc" or "desc"');
+
+    const indexer = getIndexerStatus();
+    if (!indexer.enabled) {
+        return res.status(503).json({
+            success: false,
+            error: 'Task indexer is disabled'
+        });
+    }
+
+    const result = queryTasks({
+        requester,
+        operator,
+        status: status && status.toUpperCase(),
+        from: fromTime,
+        to: toTime,
+        page,
+        limit,
+        order
+    });
+
+    res.json({
+        success: true,
+        tasks: result.tasks,
+        pagination: {
+            page,
+            limit,
+            total: result.total,
+            totalPages: Math.ceil(result.total / limit)
+        },
+        indexer
+    });
+});
+
+/**
+ * GET /tasks/:taskId?chain=97
  * Get task status (on-chain + local artifacts)
  * 
  * Response:
  * {
  *   \"task\": {
  *     \"taskId\": 1,
+ *     \"chainId\": 97,
  *     \"requester\": \"0x...\",
  *     \"specHash\": \"0x...\",
  *     \"createdAt\": 1234567890,
@@ -205,8 +339,10 @@ router.get('/:taskId', async (req, res) => {
             });
         }
 
+        const chainId = resolveChain(req.query.chain);
+
         // Get task from blockchain
-        const task = await getTask(taskId);
+        const task = await getTask(taskId, { chainId });
 
         // Check if task exists
         if (task.requester === '0x0000000000000000000000000000000000000000') {
@@ -217,7 +353,7 @@ router.get('/:taskId', async (req, res) => {
         }
 
         // Get receipt from blockchain (if exists)
-        const receipt = await getReceipt(taskId);
+        const receipt = await getReceipt(taskId, { chainId });
 
         // Determine status
         const status = receipt ? 'COMPLETED' : 'PENDING';
@@ -226,6 +362,7 @@ router.get('/:taskId', async (req, res) => {
             success: true,
             task: {
                 taskId,
+                chainId,
                 requester: task.requester,
                 specHash: task.specHash,
                 createdAt: task.createdAt,
@@ -241,13 +378,391 @@ router.get('/:taskId', async (req, res) => {
 
     } catch (error) {
         logger.error('Error fetching task:', error.message);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             error: error.message
         });
     }
 });
 
+/**
+ * GET /tasks/:taskId/spec?chain=97
+ * Get the stored task spec and re-hash it against the on-chain specHash
+ *
+ * Response:
+ * {
+ *   "taskId": 1,
+ *   "specHash": "0x...",          // on-chain
+ *   "computedSpecHash": "0x...",  // recomputed from spec
+ *   "matches": true,
+ *   "spec": {...}
+ * }
+ */
+router.get('/:taskId/spec', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.taskId);
+        logger.info(`GET /tasks/${taskId}/spec - Request received`);
+
+        if (isNaN(taskId) || taskId < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid task ID'
+            });
+        }
+
+        const chainId = resolveChain(req.query.chain);
+        const task = await getTask(taskId, { chainId });
+
+        if (task.requester === '0x0000000000000000000000000000000000000000') {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const spec = await loadSpec(task.specHash);
+
+        if (!spec) {
+            return res.status(404).json({
+                success: false,
+                error: `Spec not found for specHash ${task.specHash}`
+            });
+        }
+
+        const computedSpecHash = hashSpec(spec);
+
+        res.json({
+            success: true,
+            taskId,
+            chainId,
+            specHash: task.specHash,
+            computedSpecHash,
+            matches: computedSpecHash.toLowerCase() === task.specHash.toLowerCase(),
+            spec
+        });
+
+    } catch (error) {
+        logger.error('Error fetching task spec:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /tasks/:taskId/receipt?chain=97
+ * Get the operator-signed receipt.json (EIP-712) and check its signer
+ * against the on-chain receipt
+ *
+ * Response:
+ * {
+ *   "taskId": 1,
+ *   "onChain": { "operator": "0x...", "artifactHash": "0x...", "resultHash": "0x...", "completedAt": 1234567890 } | null,
+ *   "signedReceipt": { "operator": "0x...", "eip712": {...}, "signature": "0x...", ... } | null,
+ *   "signature": { "passed": true, "expected": "0x...", "actual": "0x...", "detail": "..." } | null
+ * }
+ */
+router.get('/:taskId/receipt', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.taskId);
+        logger.info(`GET /tasks/${taskId}/receipt - Request received`);
+
+        if (isNaN(taskId) || taskId < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid task ID'
+            });
+        }
+
+        const chainId = resolveChain(req.query.chain);
+        const result = await getSignedReceipt(taskId, { chainId });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            taskId,
+            chainId,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Error fetching signed receipt:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /tasks/:taskId/artifacts/proof?path=result.json&chain=97
+ * Merkle inclusion proof for one artifact file against the anchored artifactHash
+ *
+ * Response:
+ * {
+ *   "taskId": 1,
+ *   "path": "result.json",
+ *   "contentHash": "0x...",   // keccak256 of the file
+ *   "leaf": "0x...",
+ *   "proof": ["0x...", ...],  // sibling hashes, leaf level first
+ *   "root": "0x...",          // recomputed from local artifacts
+ *   "artifactHash": "0x..." | null,  // on-chain receipt value
+ *   "matchesOnChain": true
+ * }
+ */
+router.get('/:taskId/artifacts/proof', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.taskId);
+        const filePath = req.query.path;
+        logger.info(`GET /tasks/${taskId}/artifacts/proof - Request received`);
+
+        if (isNaN(taskId) || taskId < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid task ID'
+            });
+        }
+
+        if (!filePath || typeof filePath !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Query parameter "path" is required'
+            });
+        }
+
+        const chainId = resolveChain(req.query.chain);
+        const artifactPath = await findArtifactPath(taskId, chainId);
+
+        if (!(await fs.pathExists(artifactPath))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Artifacts not found for task'
+            });
+        }
+
+        const tree = await buildArtifactTree(artifactPath);
+        const proof = getInclusionProof(tree, filePath);
+
+        if (!proof) {
+            return res.status(404).json({
+                success: false,
+                error: `File is not part of the artifact tree: ${filePath}`
+            });
+        }
+
+        const receipt = await getReceipt(taskId, { chainId });
+        const artifactHash = receipt ? receipt.artifactHash : null;
+
+        res.json({
+            success: true,
+            taskId,
+            ...proof,
+            artifactHash,
+            matchesOnChain: artifactHash !== null && artifactHash.toLowerCase() === proof.root.toLowerCase()
+        });
+
+    } catch (error) {
+        logger.error('Error building artifact proof:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /tasks/:taskId/verify?chain=97
+ * Independently verify a completed task against the chain
+ *
+ * Request body (optional):
+ * {
+ *   "source": "auto" | "local" | "storage"  // where to read artifacts, default auto
+ * }
+ *
+ * Response:
+ * {
+ *   "report": {
+ *     "taskId": 1,
+ *     "passed": true,
+ *     "source": "local",
+ *     "checks": [
+ *       { "name": "artifact-hash", "passed": true, "expected": "0x...", "actual": "0x..." },
+ *       ...
+ *     ]
+ *   }
+ * }
+ */
+router.post('/:taskId/verify', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.taskId);
+        logger.info(`POST /tasks/${taskId}/verify - Request received`);
+
+        if (isNaN(taskId) || taskId < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid task ID'
+            });
+        }
+
+        const { source = 'auto' } = req.body || {};
+
+        if (!SOURCES.includes(source)) {
+            return res.status(400).json({
+                success: false,
+                error: `source must be one of: ${SOURCES.join(', ')}`
+            });
+        }
+
+        const chainId = resolveChain(req.query.chain);
+        const report = await verifyTask(taskId, { source, chainId });
+
+        if (report.checks.length === 1 && report.checks[0].name === 'task-exists' && !report.passed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found',
+                report
+            });
+        }
+
+        res.json({
+            success: true,
+            report
+        });
+
+    } catch (error) {
+        logger.error('Error verifying task:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /tasks/:taskId/audit?chain=97
+ * Check the task's stored artifacts (downloaded from artifact storage)
+ * against provider checksums and the anchored hashes
+ *
+ * Request body (optional):
+ * {
+ *   "repair": false  // re-upload missing/corrupted objects from the local artifact folder
+ * }
+ *
+ * Response:
+ * {
+ *   "report": {
+ *     "taskId": 1,
+ *     "status": "healthy" | "damaged" | "repaired" | "skipped",
+ *     "provider": "greenfield",
+ *     "objects": [
+ *       { "key": "chain-97/task-1/result.json", "state": "ok" | "missing" | "corrupted" | "error", "problems": [] },
+ *       ...
+ *     ],
+ *     "unexpected": []
+ *   }
+ * }
+ */
+router.post('/:taskId/audit', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.taskId);
+        logger.info(`POST /tasks/${taskId}/audit - Request received`);
+
+        if (isNaN(taskId) || taskId < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid task ID'
+            });
+        }
+
+        const { repair = false } = req.body || {};
+        const chainId = resolveChain(req.query.chain);
+        const report = await auditTask(taskId, { repair: repair === true, chainId });
+
+        res.json({
+            success: true,
+            report
+        });
+
+    } catch (error) {
+        logger.error('Error auditing task:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /tasks/:taskId/events?chain=<chainId>
+ * Server-Sent Events stream of execution progress
+ *
+ * Each message is `event: <type>` with a JSON `data` payload:
+ * {
+ *   "id": 42,
+ *   "taskId": 1,
+ *   "chainId": 97,
+ *   "type": "progress",
+ *   "data": { "phase": "cpu", "step": "compute", "percent": 40.1, "opsPerSecond": 123456 },
+ *   "timestamp": "2024-01-01T00:00:00.000Z"
+ * }
+ *
+ * Buffered events are replayed on connect; reconnecting clients only get
+ * events after their Last-Event-ID.
+ */
+router.get('/:taskId/events', (req, res) => {
+    const taskId = parseInt(req.params.taskId);
+    logger.info(`GET /tasks/${taskId}/events - Request received`);
+
+    if (isNaN(taskId) || taskId < 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid task ID'
+        });
+    }
+
+    let chainId;
+    try {
+        chainId = resolveChain(req.query.chain);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || '0') || 0;
+    getTaskEvents(taskId, lastEventId, { chainId }).forEach(send);
+
+    const unsubscribe = subscribe(taskId, send, { chainId });
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 /**
  * GET /tasks/health
  * Health check endpoint
@@ -1,6 +1,19 @@
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const path = require('path');
 const taskRoutes = require('./routes/tasks');
+const jobRoutes = require('./routes/jobs');
+const auditRoutes = require('./routes/audit');
+const chainRoutes = require('./routes/chains');
+const taskTypeRoutes = require('./routes/taskTypes');
+const { registerHandler, startQueue } = require('./services/jobQueue');
+const { executeTask, EXECUTE_TASK_JOB } = require('./services/executor');
+const { startAuditSchedule } = require('./services/audit');
+const { startIndexer } = require('./services/indexer');
+const { startReceiptOutbox } = require('./services/receipt');
+const storageConfig = require('./config/storage');
+const { mode } = require('./config/chain');
 const logger = require('./utils/logger');
 require('dotenv').config();
 
@@ -16,6 +29,14 @@ const PORT = process.env.PORT || 4000;
 app.use(cors()); // Enable CORS for all origins
 app.use(express.json());
 
+// Request id: taken from X-Request-Id or generated, echoed back, and bound
+// to every log line written while handling the request
+app.use((req, res, next) => {
+    req.id = req.get('X-Request-Id') || crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    logger.runWithContext({ requestId: req.id }, next);
+});
+
 // Request logging
 app.use((req, res, next) => {
     logger.info(`${req.method} ${req.path}`);
@@ -24,6 +45,15 @@ app.use((req, res, next) => {
 
 // Mount routes
 app.use('/tasks', taskRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/audit', auditRoutes);
+app.use('/chains', chainRoutes);
+app.use('/task-types', taskTypeRoutes);
+
+// The local storage provider's URLs point here
+if (storageConfig.provider === 'local') {
+    app.use('/storage', express.static(path.resolve(process.cwd(), storageConfig.local.dir)));
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -32,8 +62,21 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         description: 'Stateless backend for DePIN execution protocol',
         endpoints: {
+            listChains: 'GET /chains',
+            listTaskTypes: 'GET /task-types',
+            listTasks: 'GET /tasks',
             createTask: 'POST /tasks/create',
             executeTask: 'POST /tasks/execute/:taskId',
+            getTaskSpec: 'GET /tasks/:taskId/spec',
+            getSignedReceipt: 'GET /tasks/:taskId/receipt',
+            verifyTask: 'POST /tasks/:taskId/verify',
+            auditTask: 'POST /tasks/:taskId/audit',
+            auditAll: 'POST /audit',
+            auditStatus: 'GET /audit',
+            taskEvents: 'GET /tasks/:taskId/events',
+            artifactProof: 'GET /tasks/:taskId/artifacts/proof?path=',
+            getJob: 'GET /jobs/:jobId',
+            cancelJob: 'POST /jobs/:jobId/cancel',
             health: 'GET /tasks/health'
         }
     });
@@ -49,12 +92,40 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Background execution of queued tasks
+registerHandler(EXECUTE_TASK_JOB, (job, setState, signal) =>
+    logger.runWithContext({ requestId: job.requestId, jobId: job.id }, () =>
+        executeTask(job.payload.taskId, { onStage: setState, signal, chainId: job.payload.chainId })
+    )
+);
+
+startQueue().catch((error) => {
+    logger.error('Failed to start job queue:', error.message);
+    process.exit(1);
+});
+
+// Follow TaskCreated/ReceiptSubmitted into the local task index
+startIndexer().catch((error) => {
+    logger.error('Failed to start task indexer:', error.message);
+});
+
+// Retry receipts left in the outbox by a failure or restart
+startReceiptOutbox();
+
+// Periodic audit of stored artifacts (AUDIT_INTERVAL_MS, off by default)
+startAuditSchedule();
+
 // Start server
 app.listen(PORT, () => {
     logger.info('='.repeat(50));
     logger.info('InfraProof Backend Starting...');
     logger.info(`Server listening on port ${PORT}`);
-    logger.info('Blockchain is the source of truth');
+    logger.info(`Artifact storage: ${storageConfig.provider}`);
+    if (mode === 'local') {
+        logger.warn('MODE=local: in-memory registry, tasks and receipts are lost on restart');
+    } else {
+        logger.info('Blockchain is the source of truth');
+    }
     logger.info('='.repeat(50));
 });
 
@@ -1,24 +1,72 @@
 const fs = require('fs-extra');
 const path = require('path');
-const mimeTypes = require('mime-types');
-const { NodeAdapterReedSolomon } = require('@bnb-chain/reed-solomon/node.adapter');
-const { hashArtifactFolder } = require('../utils/hash');
-const greenfieldConfig = require('../config/greenfield');
+const { buildArtifactTree, buildManifest, listFiles, MANIFEST_FILE } = require('../utils/merkle');
+const { canonicalize } = require('../utils/canonical');
+const { hashSpec } = require('../utils/hash');
+const { RECEIPT_SIGNATURE_VERSION, RECEIPT_TYPES, receiptDomain, signReceipt } = require('../utils/receiptSignature');
+const { getChain, chainId: defaultChainId } = require('../config/chain');
+const { getRegistry } = require('../contracts/executionRegistry');
+const { getStorage } = require('./storage');
+const { uploadFiles } = require('./uploader');
+const { emitTaskEvent } = require('./events');
+const { SERVER_BENCHMARK } = require('./benchmark');
+const { getTaskType } = require('./taskTypes');
+const { taskKey, taskKeyCandidates } = require('../utils/taskKey');
 const logger = require('../utils/logger');
 
 /**
- * Artifact management and Greenfield upload
- * Creates folder structure and uploads to decentralized storage
+ * Artifact management and upload
+ * Creates folder structure and uploads to the configured storage provider
  */
 
-// Reed-Solomon encoder for Greenfield
-let rsEncoder = null;
+/**
+ * Resolve the local artifact folder for a task
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {string} - Absolute path
+ */
+function getArtifactPath(taskId, chainId) {
+    return path.join(process.cwd(), 'artifacts', ...taskKey(taskId, chainId).split('/'));
+}
+
+/**
+ * Find the local artifact folder of a task for reading
+ * Falls back to the legacy artifacts/task-<id> folder (see utils/taskKey.js)
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<string>} - Absolute path; the current layout's if neither exists
+ */
+async function findArtifactPath(taskId, chainId) {
+    for (const key of taskKeyCandidates(taskId, chainId)) {
+        const folderPath = path.join(process.cwd(), 'artifacts', ...key.split('/'));
+        if (await fs.pathExists(folderPath)) {
+            return folderPath;
+        }
+    }
+    return getArtifactPath(taskId, chainId);
+}
 
-function getReedSolomon() {
-    if (!rsEncoder) {
-        rsEncoder = new NodeAdapterReedSolomon();
+/**
+ * Find the storage key a task's artifacts were uploaded under
+ * A key counts once its manifest.json is stored, since that is uploaded last.
+ * Falls back to the legacy task-<id> key (see utils/taskKey.js).
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<string>} - Key prefix; the current layout's if neither is stored
+ */
+async function findStorageKey(taskId, chainId) {
+    const storage = getStorage();
+    const keys = taskKeyCandidates(taskId, chainId);
+    for (const key of keys) {
+        try {
+            if (await storage.exists(`${key}/${MANIFEST_FILE}`)) {
+                return key;
+            }
+        } catch (error) {
+            logger.warn(`Could not check ${storage.name} storage for ${key}:`, error.message);
+        }
     }
-    return rsEncoder;
+    return keys[0];
 }
 
 /**
@@ -26,10 +74,13 @@ function getReedSolomon() {
  * @param {number} taskId - Task ID
  * @param {Object} benchmarkResults - Results from benchmark service
  * @param {Array} logs - Execution logs
+ * @param {Object} [spec] - Committed task spec the benchmark ran with
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
  * @returns {Promise<string>} - Path to artifact folder
  */
-async function createArtifactFolder(taskId, benchmarkResults, logs = []) {
-    const artifactPath = path.join(process.cwd(), `artifacts/task-${taskId}`);
+async function createArtifactFolder(taskId, benchmarkResults, logs = [], spec = null, chainId) {
+    const artifactPath = getArtifactPath(taskId, chainId);
+    const taskType = getTaskType(spec ? spec.type : SERVER_BENCHMARK);
 
     logger.info(`Creating artifact folder: ${artifactPath}`);
 
@@ -49,13 +100,7 @@ async function createArtifactFolder(taskId, benchmarkResults, logs = []) {
         totalDurationMs: benchmarkResults.totalDurationMs,
         timestamp: benchmarkResults.timestamp,
         systemInfo: benchmarkResults.systemInfo,
-        summary: {
-            cpuOpsPerSecond: benchmarkResults.tests.cpu.opsPerSecond,
-            memoryWriteMBps: benchmarkResults.tests.memory.writeMBps,
-            memoryReadMBps: benchmarkResults.tests.memory.readMBps,
-            diskWriteMBps: benchmarkResults.tests.disk.writeMBps,
-            diskReadMBps: benchmarkResults.tests.disk.readMBps
-        }
+        summary: taskType.summarize(benchmarkResults)
     };
 
     await fs.writeFile(
@@ -63,11 +108,19 @@ async function createArtifactFolder(taskId, benchmarkResults, logs = []) {
         JSON.stringify(metrics, null, 2)
     );
 
-    // Create result.json (complete benchmark results)
-    await fs.writeFile(
-        path.join(artifactPath, 'result.json'),
-        JSON.stringify(benchmarkResults, null, 2)
-    );
+    // Create result.json and the type's other result files
+    const files = taskType.buildArtifacts(benchmarkResults);
+    for (const [name, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(artifactPath, name), content);
+    }
+
+    // Create spec.json (canonical bytes, so it re-hashes to the on-chain specHash)
+    if (spec) {
+        await fs.writeFile(
+            path.join(artifactPath, 'spec.json'),
+            canonicalize(spec)
+        );
+    }
 
     logger.info('Artifact folder created successfully');
 
@@ -75,23 +128,42 @@ async function createArtifactFolder(taskId, benchmarkResults, logs = []) {
 }
 
 /**
- * Create receipt metadata
+ * Create receipt.json, signed with EIP-712 typed data (see utils/receiptSignature.js)
  * @param {number} taskId - Task ID
- * @param {string} artifactHash - Hash of artifact folder
- * @param {string} resultHash - Hash of result.json
- * @param {string} artifactUrl - Greenfield URL
- * @returns {Promise<void>}
+ * @param {Object} fields
+ * @param {string} fields.specHash - Committed spec hash
+ * @param {string} fields.artifactHash - Hash of artifact folder
+ * @param {string} fields.resultHash - Hash of result.json
+ * @param {string} fields.artifactUrl - Storage URL of the artifacts
+ * @param {number} fields.chainId - Chain the receipt is anchored on
+ * @param {ethers.Signer} fields.signer - Operator signer; must be the account that submits the receipt
+ * @returns {Promise<Object>} - The receipt as written
  */
-async function createReceipt(taskId, artifactHash, resultHash, artifactUrl) {
-    const artifactPath = path.join(process.cwd(), `artifacts/task-${taskId}`);
+async function createReceipt(taskId, { specHash, artifactHash, resultHash, artifactUrl, chainId, signer }) {
+    const artifactPath = getArtifactPath(taskId, chainId);
+
+    const domain = receiptDomain(chainId, getRegistry(chainId).deployment.address);
+    const message = { taskId, specHash, artifactHash, resultHash, storageLocation: artifactUrl };
+    const signed = await signReceipt(signer, domain, message);
 
     const receipt = {
         taskId,
+        chainId,
+        specHash,
         artifactHash,
         resultHash,
         artifactUrl,
         createdAt: new Date().toISOString(),
-        operator: 'infraproof-backend'
+        operator: signed.signer,
+        eip712: {
+            version: RECEIPT_SIGNATURE_VERSION,
+            domain,
+            types: RECEIPT_TYPES,
+            primaryType: 'Receipt',
+            message
+        },
+        digest: signed.digest,
+        signature: signed.signature
     };
 
     await fs.writeFile(
@@ -99,176 +171,70 @@ async function createReceipt(taskId, artifactHash, resultHash, artifactUrl) {
         JSON.stringify(receipt, null, 2)
     );
 
-    logger.info('Receipt created');
+    logger.info(`Receipt created and signed by ${signed.signer}`);
+    return receipt;
 }
 
 /**
- * Upload a single file to Greenfield
- * @param {Object} client - Greenfield client
- * @param {string} bucketName - Bucket name
- * @param {string} objectName - Object name (file name in bucket)
- * @param {Buffer} fileBuffer - File content
- * @param {string} contentType - MIME type
- * @param {string} privateKey - Account private key
- * @param {string} accountAddress - Account address
- * @returns {Promise<Object>} - Upload result
- */
-async function uploadFileToGreenfield(client, bucketName, objectName, fileBuffer, contentType, privateKey, accountAddress) {
-    const rs = getReedSolomon();
-    const { VisibilityType, RedundancyType, Long, bytesFromBase64 } = greenfieldConfig;
-
-    logger.info(`Creating object on Greenfield: ${objectName}`);
-
-    // Compute checksums using Reed-Solomon
-    const expectCheckSums = await rs.encodeInSubWorker(Uint8Array.from(fileBuffer));
-
-    // Create object transaction
-    const createObjectTx = await client.object.createObject({
-        bucketName: bucketName,
-        objectName: objectName,
-        creator: accountAddress,
-        visibility: VisibilityType.VISIBILITY_TYPE_PUBLIC_READ,
-        contentType: contentType || 'application/octet-stream',
-        redundancyType: RedundancyType.REDUNDANCY_EC_TYPE,
-        payloadSize: Long.fromInt(fileBuffer.byteLength),
-        expectChecksums: expectCheckSums.map((x) => bytesFromBase64(x)),
-    });
-
-    // Simulate to get gas estimate
-    const simulateInfo = await createObjectTx.simulate({
-        denom: 'BNB',
-    });
-
-    // Broadcast create object transaction
-    const createObjectTxRes = await createObjectTx.broadcast({
-        denom: 'BNB',
-        gasLimit: Number(simulateInfo?.gasLimit),
-        gasPrice: simulateInfo?.gasPrice || '5000000000',
-        payer: accountAddress,
-        granter: '',
-        privateKey: privateKey,
-    });
-
-    if (createObjectTxRes.code !== 0) {
-        throw new Error(`Failed to create object on Greenfield: ${createObjectTxRes.rawLog}`);
-    }
-
-    logger.info(`Object created on-chain: ${createObjectTxRes.transactionHash}`);
-
-    // Upload the actual file content
-    const uploadRes = await client.object.uploadObject(
-        {
-            bucketName: bucketName,
-            objectName: objectName,
-            body: {
-                name: objectName,
-                type: contentType || 'application/octet-stream',
-                size: fileBuffer.byteLength,
-                content: fileBuffer,
-            },
-            txnHash: createObjectTxRes.transactionHash,
-        },
-        {
-            type: 'ECDSA',
-            privateKey: privateKey,
-        }
-    );
-
-    if (uploadRes.code !== 0) {
-        throw new Error(`Failed to upload object to Greenfield: ${uploadRes.message}`);
-    }
-
-    logger.info(`File uploaded successfully: ${objectName}`);
-    return uploadRes;
-}
-
-/**
- * Upload artifact folder to Greenfield
+ * Upload artifact folder to the configured storage provider
+ * Every file is uploaded under the task key (chain-<chainId>/task-<id>/), manifest.json last so its presence
+ * means the folder is complete. Objects already stored with matching
+ * checksums are skipped. Any failure is thrown so the task fails rather than
+ * anchoring a link to nothing.
  * @param {string} folderPath - Path to artifact folder
  * @param {number} taskId - Task ID
- * @returns {Promise<string>} - Artifact URL
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<string>} - Artifact URL (the task's manifest.json)
  */
-async function uploadToGreenfield(folderPath, taskId) {
-    logger.info('Uploading artifacts to Greenfield...');
-
-    const { bucket, privateKey, accountAddress, getClient } = greenfieldConfig;
-
-    // Check if we have all required config
-    if (!bucket || !privateKey || !accountAddress) {
-        logger.warn('Greenfield not fully configured. Using mock upload.');
-        logger.warn('Set GREENFIELD_BUCKET, PRIVATE_KEY, and ACCOUNT_ADDRESS in .env');
-
-        // Fallback to mock for development
-        await new Promise(resolve => setTimeout(resolve, 500));
-        // Greenfield Scan URL to view all artifacts for this task
-        const mockUrl = `https://testnet.greenfieldscan.com/bucket/0x0000000000000000000000000000000000000000000000000000000000005863?tab=object&keyword=task-${taskId}`;
-        logger.info(`Mock artifacts URL: ${mockUrl}`);
-        return mockUrl;
-    }
+async function uploadArtifacts(folderPath, taskId, chainId) {
+    const storage = getStorage();
+    logger.info(`Uploading artifacts to ${storage.name} storage...`);
 
-    try {
-        const client = getClient();
-
-        // Get list of files in artifact folder
-        const files = await fs.readdir(folderPath);
-
-        // Upload each file
-        for (const fileName of files) {
-            const filePath = path.join(folderPath, fileName);
-            const stats = await fs.stat(filePath);
-
-            if (!stats.isFile()) continue;
-
-            const fileBuffer = await fs.readFile(filePath);
-            const extname = path.extname(fileName);
-            const contentType = mimeTypes.lookup(extname) || 'application/octet-stream';
-            const objectName = `task-${taskId}/${fileName}`;
-
-            await uploadFileToGreenfield(
-                client,
-                bucket,
-                objectName,
-                fileBuffer,
-                contentType,
-                privateKey,
-                accountAddress
-            );
-        }
-
-        // Greenfield Scan URL to view all artifacts for this task in one page
-        const artifactUrl = `https://testnet.greenfieldscan.com/bucket/0x0000000000000000000000000000000000000000000000000000000000005863?tab=object&keyword=task-${taskId}`;
-        logger.info(`All artifacts uploaded to: ${artifactUrl}`);
+    const onUploaded = (file) => emitTaskEvent(taskId, 'file-uploaded', file, { chainId });
+    const files = (await listFiles(folderPath)).sort();
 
-        return artifactUrl;
+    await uploadFiles(taskId, folderPath, files.filter(f => f !== MANIFEST_FILE), { onUploaded, chainId });
+    if (files.includes(MANIFEST_FILE)) {
+        await uploadFiles(taskId, folderPath, [MANIFEST_FILE], { onUploaded, chainId });
+    }
 
-    } catch (error) {
-        logger.error('Greenfield upload failed:', error.message);
-        logger.warn('Falling back to mock URL');
+    const artifactUrl = await storage.getUrl(`${taskKey(taskId, chainId)}/${MANIFEST_FILE}`);
+    logger.info(`All artifacts uploaded to: ${artifactUrl}`);
 
-        // Fallback to mock URL if upload fails
-        // Greenfield Scan URL to view all artifacts for this task
-        const mockUrl = `https://testnet.greenfieldscan.com/bucket/0x0000000000000000000000000000000000000000000000000000000000005863?tab=object&keyword=task-${taskId}`;
-        return mockUrl;
-    }
+    return artifactUrl;
 }
 
 /**
  * Process and upload artifacts
- * Creates folder, uploads to Greenfield, computes hashes
+ * Creates folder, uploads to storage, computes hashes
  * @param {number} taskId - Task ID
  * @param {Object} benchmarkResults - Benchmark results
  * @param {Array} logs - Execution logs
+ * @param {Object} [spec] - Committed task spec
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain the task lives on (default: CHAIN_ID)
+ * @param {ethers.Signer} [options.signer] - Signs receipt.json; the receipt submitter (default: backend wallet)
  * @returns {Promise<Object>} - Artifact metadata
  */
-async function processArtifacts(taskId, benchmarkResults, logs) {
+async function processArtifacts(taskId, benchmarkResults, logs, spec, { chainId = defaultChainId, signer } = {}) {
     // Create artifact folder
-    const artifactPath = await createArtifactFolder(taskId, benchmarkResults, logs);
+    const artifactPath = await createArtifactFolder(taskId, benchmarkResults, logs, spec, chainId);
 
-    // Upload to Greenfield
-    const artifactUrl = await uploadToGreenfield(artifactPath, taskId);
+    // Compute artifact Merkle root and write the manifest listing every leaf
+    // (before adding receipt to avoid circular dependency)
+    const tree = await buildArtifactTree(artifactPath);
+    const artifactHash = tree.root;
+    await fs.writeFile(
+        path.join(artifactPath, MANIFEST_FILE),
+        JSON.stringify(buildManifest(tree), null, 2)
+    );
+    emitTaskEvent(taskId, 'artifact-created', {
+        artifactPath,
+        files: (await fs.readdir(artifactPath)).sort()
+    }, { chainId });
 
-    // Compute hashes (before adding receipt to avoid circular dependency)
-    const artifactHash = await hashArtifactFolder(artifactPath);
+    // Upload to storage; a failed upload fails the task
+    const artifactUrl = await uploadArtifacts(artifactPath, taskId, chainId);
 
     // Read result.json for result hash
     const resultPath = path.join(artifactPath, 'result.json');
@@ -276,8 +242,19 @@ async function processArtifacts(taskId, benchmarkResults, logs) {
     const { ethers } = require('ethers');
     const resultHash = ethers.keccak256(resultContent);
 
-    // Create receipt with hash info
-    await createReceipt(taskId, artifactHash, resultHash, artifactUrl);
+    // Create the signed receipt with hash info
+    const receipt = await createReceipt(taskId, {
+        specHash: spec ? hashSpec(spec) : ethers.ZeroHash,
+        artifactHash,
+        resultHash,
+        artifactUrl,
+        chainId,
+        signer: signer || getChain(chainId).wallet
+    });
+    await uploadFiles(taskId, artifactPath, ['receipt.json'], {
+        onUploaded: (file) => emitTaskEvent(taskId, 'file-uploaded', file, { chainId }),
+        chainId
+    });
 
     logger.info('Artifact processing complete');
 
@@ -285,13 +262,17 @@ async function processArtifacts(taskId, benchmarkResults, logs) {
         artifactPath,
         artifactUrl,
         artifactHash,
-        resultHash
+        resultHash,
+        operator: receipt.operator,
+        receiptSignature: receipt.signature
     };
 }
 
 module.exports = {
     processArtifacts,
+    getArtifactPath,
+    findArtifactPath,
+    findStorageKey,
     createArtifactFolder,
-    uploadToGreenfield,
-    uploadFileToGreenfield
+    uploadArtifacts
 };
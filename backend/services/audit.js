@@ -0,0 +1,357 @@
+const fs = require('fs-extra');
+const path = require('path');
+const mimeTypes = require('mime-types');
+const { ethers } = require('ethers');
+const { buildTreeFromLeaves, MANIFEST_FILE } = require('../utils/merkle');
+const { getReceipt, getTaskCount } = require('../contracts/executionRegistry');
+const { findArtifactPath, findStorageKey } = require('./artifacts');
+const { getStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+/**
+ * Stored artifact audit and re-pinning
+ *
+ * Downloads every object under the task key (chain-<chainId>/task-<id>/, or
+ * the legacy task-<id>/) from artifact storage and checks it:
+ * - against the provider's own checksums (Reed-Solomon on Greenfield)
+ * - against the content hashes in a manifest whose root is the on-chain artifactHash
+ * - result.json against the on-chain resultHash
+ * Missing or corrupted objects are flagged and, with repair enabled,
+ * re-uploaded from the local copy under artifacts/<task key> when that copy
+ * itself still matches the anchored hashes.
+ */
+
+const AUDIT_INTERVAL_MS = parseInt(process.env.AUDIT_INTERVAL_MS || '0', 10);
+const AUDIT_REPAIR = process.env.AUDIT_REPAIR === 'true';
+
+const RECEIPT_FILE = 'receipt.json';
+
+let running = null;
+let lastRun = null;
+
+function sameHash(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Check that a manifest describes the anchored artifact tree
+ * @param {Buffer} content - manifest.json bytes
+ * @param {Object} receipt - On-chain receipt
+ * @returns {{manifest: Object|null, problem: string|null}}
+ */
+function checkManifest(content, receipt) {
+    let manifest;
+    try {
+        manifest = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+        return { manifest: null, problem: 'manifest is not valid JSON' };
+    }
+
+    if (!manifest || !Array.isArray(manifest.leaves) || !sameHash(manifest.root, receipt.artifactHash)) {
+        return { manifest: null, problem: 'manifest root does not match on-chain artifactHash' };
+    }
+    if (manifest.leaves.some(leaf => !leaf || typeof leaf.path !== 'string' || !ethers.isHexString(leaf.contentHash, 32))) {
+        return { manifest: null, problem: 'manifest leaf without a path and a bytes32 contentHash' };
+    }
+    if (!sameHash(buildTreeFromLeaves(manifest.leaves).root, manifest.root)) {
+        return { manifest: null, problem: 'manifest leaves do not hash to its root' };
+    }
+    if (manifest.leaves.some(leaf => leaf.path.split('/').includes('..'))) {
+        return { manifest: null, problem: 'manifest path escapes the artifact folder' };
+    }
+
+    return { manifest, problem: null };
+}
+
+/**
+ * Build a content checker for one expected object
+ * @param {string} relativePath - Path inside the artifact folder
+ * @param {Object} receipt - On-chain receipt
+ * @param {Object} [leaf] - Manifest leaf, for artifact files
+ * @returns {function(Buffer): Array<string>} - Returns the problems found (empty if valid)
+ */
+function contentChecker(relativePath, receipt, leaf) {
+    if (relativePath === MANIFEST_FILE) {
+        return (content) => {
+            const { problem } = checkManifest(content, receipt);
+            return problem ? [problem] : [];
+        };
+    }
+
+    if (relativePath === RECEIPT_FILE) {
+        return (content) => {
+            try {
+                const receiptFile = JSON.parse(content.toString('utf8'));
+                return sameHash(receiptFile.artifactHash, receipt.artifactHash) &&
+                    sameHash(receiptFile.resultHash, receipt.resultHash)
+                    ? []
+                    : ['receipt.json does not match the on-chain receipt'];
+            } catch (error) {
+                return ['receipt.json is not valid JSON'];
+            }
+        };
+    }
+
+    return (content) => {
+        const problems = [];
+        const contentHash = ethers.keccak256(content);
+        if (!sameHash(contentHash, leaf.contentHash)) {
+            problems.push(`content hash ${contentHash} does not match manifest ${leaf.contentHash}`);
+        }
+        if (relativePath === 'result.json' && !sameHash(contentHash, receipt.resultHash)) {
+            problems.push('result.json does not match on-chain resultHash');
+        }
+        return problems;
+    };
+}
+
+/**
+ * Find a manifest that matches the on-chain artifactHash
+ * The local copy is preferred; the stored object is used if the local one is gone
+ * @param {number} taskId - Task ID
+ * @param {Object} receipt - On-chain receipt
+ * @param {Object} storage - Storage provider
+ * @param {Object} location
+ * @param {string} location.localFolder - Local artifact folder
+ * @param {string} location.prefix - Storage key of the task
+ * @returns {Promise<{manifest: Object|null, source: string|null}>}
+ */
+async function findTrustedManifest(taskId, receipt, storage, { localFolder, prefix }) {
+    const localPath = path.join(localFolder, MANIFEST_FILE);
+    if (await fs.pathExists(localPath)) {
+        try {
+            const { manifest } = checkManifest(await fs.readFile(localPath), receipt);
+            if (manifest) return { manifest, source: 'local' };
+        } catch (error) {
+            logger.warn(`Local manifest unreadable for task ${taskId}:`, error.message);
+        }
+    }
+
+    try {
+        const { manifest } = checkManifest(await storage.get(`${prefix}/${MANIFEST_FILE}`), receipt);
+        if (manifest) return { manifest, source: storage.name };
+    } catch (error) {
+        logger.warn(`Stored manifest unavailable for task ${taskId}:`, error.message);
+    }
+
+    return { manifest: null, source: null };
+}
+
+/**
+ * Check one stored object
+ * @param {Object} storage - Storage provider
+ * @param {string} key - Object key
+ * @param {function(Buffer): Array<string>} check - Content checker
+ * @returns {Promise<Object>} - { key, state: ok | missing | corrupted | error, problems }
+ */
+async function auditObject(storage, key, check) {
+    try {
+        if (!(await storage.exists(key))) {
+            return { key, state: 'missing', problems: ['object not found'] };
+        }
+
+        const content = await storage.get(key);
+        const problems = [];
+
+        if (storage.verifyChecksums) {
+            const checksums = await storage.verifyChecksums(key, content);
+            if (!checksums.passed) {
+                problems.push(`${checksums.algorithm} checksums do not match the stored object`);
+            }
+        }
+        problems.push(...check(content));
+
+        return { key, state: problems.length ? 'corrupted' : 'ok', problems };
+    } catch (error) {
+        return { key, state: 'error', problems: [error.message] };
+    }
+}
+
+/**
+ * Re-upload an object from the local artifact folder
+ * The local file must itself pass the same content check first
+ * @param {Object} storage - Storage provider
+ * @param {Object} entry - Audit entry (updated in place)
+ * @param {string} localPath - Local file path
+ * @param {function(Buffer): Array<string>} check - Content checker
+ * @returns {Promise<void>}
+ */
+async function repairObject(storage, entry, localPath, check) {
+    try {
+        if (!(await fs.pathExists(localPath))) {
+            throw new Error('no local copy');
+        }
+
+        const content = await fs.readFile(localPath);
+        const problems = check(content);
+        if (problems.length) {
+            throw new Error(`local copy is also invalid: ${problems.join('; ')}`);
+        }
+
+        // Greenfield objects are immutable: a corrupted one has to go first
+        if (entry.state !== 'missing') {
+            await storage.remove(entry.key);
+        }
+        await storage.put(entry.key, content, { contentType: mimeTypes.lookup(path.extname(localPath)) || 'application/octet-stream' });
+
+        entry.repaired = true;
+        logger.info(`Re-pinned ${entry.key} from local artifacts`);
+    } catch (error) {
+        entry.repaired = false;
+        entry.repairError = error.message;
+        logger.warn(`Could not re-pin ${entry.key}:`, error.message);
+    }
+}
+
+/**
+ * Audit the stored artifacts of one task
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Re-upload missing/corrupted objects from local artifacts
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object>} - Report: { taskId, status, provider, manifestSource, objects, unexpected, auditedAt }
+ *   status is healthy | damaged | repaired | skipped (no receipt on-chain)
+ */
+async function auditTask(taskId, { repair = false, chainId } = {}) {
+    const storage = getStorage();
+    const report = (status, extra = {}) => ({
+        taskId,
+        status,
+        provider: storage.name,
+        ...extra,
+        auditedAt: new Date().toISOString()
+    });
+
+    const receipt = await getReceipt(taskId, { chainId });
+    if (!receipt) {
+        return report('skipped', { detail: 'No receipt submitted on-chain' });
+    }
+
+    const prefix = await findStorageKey(taskId, chainId);
+    const localFolder = await findArtifactPath(taskId, chainId);
+    const { manifest, source: manifestSource } = await findTrustedManifest(taskId, receipt, storage, { localFolder, prefix });
+
+    if (!manifest) {
+        // Without a trusted leaf list only the manifest itself can be reported
+        const entry = {
+            key: `${prefix}/${MANIFEST_FILE}`,
+            state: 'corrupted',
+            problems: ['no manifest matching the on-chain artifactHash (local or stored)']
+        };
+        logger.warn(`Audit task ${taskId}: no trusted manifest`);
+        return report('damaged', { manifestSource: null, objects: [entry], unexpected: [] });
+    }
+
+    const expected = [
+        ...manifest.leaves.map(leaf => ({ relativePath: leaf.path, leaf })),
+        { relativePath: MANIFEST_FILE },
+        { relativePath: RECEIPT_FILE }
+    ];
+
+    const objects = [];
+    for (const { relativePath, leaf } of expected) {
+        const key = `${prefix}/${relativePath}`;
+        const check = contentChecker(relativePath, receipt, leaf);
+        const entry = await auditObject(storage, key, check);
+
+        if (entry.state !== 'ok') {
+            logger.warn(`Audit task ${taskId}: ${key} ${entry.state} (${entry.problems.join('; ')})`);
+            if (repair && entry.state !== 'error') {
+                await repairObject(storage, entry, path.join(localFolder, ...relativePath.split('/')), check);
+            }
+        }
+        objects.push(entry);
+    }
+
+    const expectedKeys = new Set(objects.map(o => o.key));
+    let unexpected = [];
+    try {
+        unexpected = (await storage.list(`${prefix}/`)).filter(key => !expectedKeys.has(key));
+    } catch (error) {
+        logger.warn(`Could not list stored objects for task ${taskId}:`, error.message);
+    }
+
+    const bad = objects.filter(o => o.state !== 'ok');
+    const status = bad.length === 0 ? 'healthy' : bad.every(o => o.repaired) ? 'repaired' : 'damaged';
+
+    logger.info(`Audit task ${taskId}: ${status} (${objects.length - bad.length}/${objects.length} objects ok)`);
+    return report(status, { manifestSource, objects, unexpected });
+}
+
+/**
+ * Audit every task on the default chain that has a receipt on-chain
+ * Only one audit runs at a time; a second call joins the running one.
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=AUDIT_REPAIR] - Re-upload missing/corrupted objects from local artifacts
+ * @returns {Promise<Object>} - Summary: { startedAt, finishedAt, repair, counts, reports }
+ *   reports lists every task that was not healthy
+ */
+function auditAllTasks({ repair = AUDIT_REPAIR } = {}) {
+    if (running) {
+        return running;
+    }
+
+    running = (async () => {
+        const startedAt = new Date().toISOString();
+        const counts = { healthy: 0, damaged: 0, repaired: 0, skipped: 0, error: 0 };
+        const reports = [];
+
+        const taskCount = await getTaskCount();
+        logger.info(`Auditing stored artifacts for ${taskCount} tasks (repair: ${repair})`);
+
+        for (let taskId = 0; taskId < taskCount; taskId++) {
+            try {
+                const result = await auditTask(taskId, { repair });
+                counts[result.status]++;
+                if (result.status !== 'healthy' && result.status !== 'skipped') {
+                    reports.push(result);
+                }
+            } catch (error) {
+                counts.error++;
+                reports.push({ taskId, status: 'error', error: error.message });
+                logger.error(`Audit of task ${taskId} failed:`, error.message);
+            }
+        }
+
+        lastRun = { startedAt, finishedAt: new Date().toISOString(), repair, counts, reports };
+        logger.info(`Audit complete: ${JSON.stringify(counts)}`);
+        return lastRun;
+    })().finally(() => {
+        running = null;
+    });
+
+    return running;
+}
+
+/**
+ * Get the audit status
+ * @returns {{running: boolean, lastRun: Object|null}}
+ */
+function getAuditStatus() {
+    return { running: Boolean(running), lastRun };
+}
+
+/**
+ * Run auditAllTasks every AUDIT_INTERVAL_MS (disabled when 0)
+ * @returns {function(): void} - Stops the schedule
+ */
+function startAuditSchedule() {
+    if (!AUDIT_INTERVAL_MS) {
+        return () => {};
+    }
+
+    logger.info(`Artifact audit every ${AUDIT_INTERVAL_MS}ms (repair: ${AUDIT_REPAIR})`);
+    const timer = setInterval(() => {
+        auditAllTasks().catch(error => logger.error('Scheduled audit failed:', error.message));
+    }, AUDIT_INTERVAL_MS);
+    timer.unref();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    auditTask,
+    auditAllTasks,
+    getAuditStatus,
+    startAuditSchedule
+};
@@ -1,250 +1,416 @@
 const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
+const { Worker } = require('worker_threads');
+const { ethers } = require('ethers');
+const { DEFAULT_CHECKPOINT_INTERVAL, getStep, laneSeed } = require('../utils/hashChain');
+const { memoryTest, resolveMemoryConfig } = require('./memoryBenchmark');
+const { diskTest, resolveDiskConfig } = require('./diskBenchmark');
+const { networkTest, resolveNetworkConfig, LOOPBACK } = require('./networkBenchmark');
+const { startNetworkServer } = require('./networkServer');
+const { resolveRepetitionConfig, planRuns, medianRun, describeRuns } = require('./repetitions');
 const logger = require('../utils/logger');
 
+const { display } = logger;
+
+// Task types (spec.type); see services/taskTypes for the registry
+const SERVER_BENCHMARK = 'SERVER_BENCHMARK';
+const NETWORK_BENCHMARK = 'NETWORK_BENCHMARK';
+
 /**
- * Deterministic SERVER_BENCHMARK implementation
- * No randomness, no external calls
+ * Deterministic SERVER_BENCHMARK and NETWORK_BENCHMARK implementations
+ * No external calls; the CPU work is fixed by the challenge seed
  * Returns structured results with metrics and logs
  */
 
 /**
  * CPU-bound computation test
- * Performs time-bound mathematical operations
+ * Extends an iterated hash chain from the challenge seed for the test
+ * duration, recording a checkpoint every checkpointInterval steps (see
+ * utils/hashChain.js). The seed is only known once the task's challenge
+ * block exists, so the work cannot be precomputed, and a verifier can
+ * recompute any segment between two checkpoints to check the claimed count.
  * @param {number} durationMs - Test duration in milliseconds
- * @returns {Object} - CPU test results
+ * @param {Object} challenge
+ * @param {string} challenge.seed - Challenge seed (bytes32)
+ * @param {number} [challenge.lane=0] - Worker index, selects the chain
+ * @param {string} [challenge.algorithm='sha256'] - sha256 | keccak256
+ * @param {number} [challenge.checkpointInterval] - Steps between checkpoints
+ * @param {Function} [onProgress] - Progress callback, see runBenchmark
+ * @returns {Object} - CPU test results, including every checkpoint
  */
-function cpuTest(durationMs = 3000000) {
-    console.log('\n========================================');
-    console.log('🔥 STARTING CPU BENCHMARK');
-    console.log('========================================');
-    logger.info('Starting CPU test...');
-    console.log(`⏱️  Duration target: ${durationMs}ms (${(durationMs / 1000).toFixed(1)}s)`);
+function cpuTest(durationMs = 3000000, challenge = {}, onProgress = () => {}) {
+    const {
+        seed,
+        lane = 0,
+        algorithm = 'sha256',
+        checkpointInterval = DEFAULT_CHECKPOINT_INTERVAL
+    } = challenge;
+
+    display('\n========================================');
+    display('🔥 STARTING CPU BENCHMARK');
+    display('========================================');
+    logger.info(`Starting CPU test (${algorithm} chain, lane ${lane})...`);
+    display(`⏱️  Duration target: ${durationMs}ms (${(durationMs / 1000).toFixed(1)}s)`);
+
+    const step = getStep(algorithm);
+    const start = laneSeed(seed, lane);
+    const checkpoints = [];
+    let hash = Buffer.from(ethers.getBytes(start));
 
     const startTime = Date.now();
     let iterations = 0;
-    let primeCount = 0;
     let lastLogTime = startTime;
 
-    // Prime number calculation (CPU intensive)
-    function isPrime(n) {
-        if (n <= 1) return false;
-        if (n <= 3) return true;
-        if (n % 2 === 0 || n % 3 === 0) return false;
-
-        for (let i = 5; i * i <= n; i += 6) {
-            if (n % i === 0 || n % (i + 2) === 0) return false;
-        }
-        return true;
-    }
-
-    let num = 2;
+    // Time is only checked between segments, so the chain always ends on a checkpoint
     while (Date.now() - startTime < durationMs) {
-        if (isPrime(num)) {
-            primeCount++;
+        for (let i = 0; i < checkpointInterval; i++) {
+            hash = step(hash);
         }
-        num++;
-        iterations++;
+        iterations += checkpointInterval;
+        checkpoints.push(ethers.hexlify(hash));
 
-        // Log progress every 1000ms
+        // Log progress every 1000ms; the 100% report comes once, after the loop
         const now = Date.now();
-        if (now - lastLogTime >= 1000) {
+        if (now - lastLogTime >= 1000 && now - startTime < durationMs) {
             const progress = ((now - startTime) / durationMs * 100).toFixed(1);
             const currentOps = Math.floor((iterations / (now - startTime)) * 1000);
-            console.log(`  ⚙️  Progress: ${progress}% | Iterations: ${iterations.toLocaleString()} | Primes: ${primeCount.toLocaleString()} | Ops/sec: ${currentOps.toLocaleString()}`);
+            display(`  ⚙️  Progress: ${progress}% | Hashes: ${iterations.toLocaleString()} | Checkpoints: ${checkpoints.length.toLocaleString()} | Hashes/sec: ${currentOps.toLocaleString()}`);
+            onProgress({ phase: 'cpu', step: 'compute', percent: parseFloat(progress), opsPerSecond: currentOps });
             lastLogTime = now;
         }
     }
 
     const elapsed = Date.now() - startTime;
     const opsPerSecond = Math.floor((iterations / elapsed) * 1000);
-
-    console.log(`  ✅ CPU test completed!`);
-    console.log(`  📊 Final Results:`);
-    console.log(`     - Total iterations: ${iterations.toLocaleString()}`);
-    console.log(`     - Primes found: ${primeCount.toLocaleString()}`);
-    console.log(`     - Operations/sec: ${opsPerSecond.toLocaleString()}`);
-    console.log(`     - Actual duration: ${elapsed}ms`);
-    logger.info(`CPU test completed: ${iterations} iterations, ${primeCount} primes found`);
+    const finalHash = checkpoints.length ? checkpoints[checkpoints.length - 1] : start;
+
+    display(`  ✅ CPU test completed!`);
+    display(`  📊 Final Results:`);
+    display(`     - Total hashes: ${iterations.toLocaleString()}`);
+    display(`     - Checkpoints: ${checkpoints.length.toLocaleString()}`);
+    display(`     - Final hash: ${finalHash}`);
+    display(`     - Hashes/sec: ${opsPerSecond.toLocaleString()}`);
+    display(`     - Actual duration: ${elapsed}ms`);
+    onProgress({ phase: 'cpu', step: 'compute', percent: 100, opsPerSecond });
+    logger.info(`CPU test completed: ${iterations} ${algorithm} hashes, final ${finalHash}`);
 
     return {
+        algorithm,
+        lane,
+        seed: start,
+        checkpointInterval,
         iterations,
-        primesFound: primeCount,
+        finalHash,
         durationMs: elapsed,
-        opsPerSecond
+        opsPerSecond,
+        checkpoints
     };
 }
 
+// Phase implementations run inside benchmark workers
+const PHASES = {
+    cpu: cpuTest,
+    memory: memoryTest,
+    disk: diskTest,
+    network: networkTest
+};
+
+// Hard limit per phase, on top of the phase's own expected duration
+const PHASE_TIMEOUT_MS = parseInt(process.env.BENCHMARK_PHASE_TIMEOUT_MS || '120000');
+
+const WORKER_PATH = path.join(__dirname, 'benchmarkWorker.js');
+
+// Parent of the per-run disk test directories (disk-<pid>-XXXXXX)
+const DISK_BENCHMARK_DIR = path.resolve(process.env.DISK_BENCHMARK_DIR || 'temp-benchmark');
+let staleDiskDirsRemoved = false;
+
+/**
+ * Run one benchmark phase in a worker thread
+ * The worker is terminated on timeout or when the signal aborts
+ * @param {string} phase - Phase name (key of PHASES)
+ * @param {Array} args - Arguments for the phase function (before onProgress)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Progress callback
+ * @param {number} [options.timeoutMs] - Hard timeout
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @returns {Promise<Object>} - Phase result
+ */
+function runPhaseInWorker(phase, args, options) {
+    return runWorker(phase, { phase, args }, options);
+}
+
 /**
- * Memory allocation and access test
- * Tests memory bandwidth and allocation performance
- * @param {number} sizeMB - Memory size to allocate in MB
- * @returns {Object} - Memory test results
+ * Run the warmup and measured runs of a phase in one worker thread
+ * @param {string} phase - Phase name (key of PHASES)
+ * @param {Array<{args: Array, warmup: boolean}>} runs - From planRuns
+ * @param {Object} [options] - Same as runPhaseInWorker; timeoutMs covers all runs
+ * @returns {Promise<Array<Object>>} - Results of the measured runs
  */
-function memoryTest(sizeMB = 100) {
-    console.log('\n========================================');
-    console.log('💾 STARTING MEMORY BENCHMARK');
-    console.log('========================================');
-    logger.info(`Starting memory test with ${sizeMB}MB...`);
-    console.log(`  📏 Allocating ${sizeMB}MB of memory...`);
-    const startTime = Date.now();
+function runPhaseRunsInWorker(phase, runs, options) {
+    return runWorker(phase, { phase, runs }, options);
+}
 
-    // Allocate memory
-    const arraySize = (sizeMB * 1024 * 1024) / 8; // 8 bytes per number
-    console.log(`  📦 Array size: ${arraySize.toLocaleString()} elements (${(arraySize * 8 / (1024 * 1024)).toFixed(2)}MB)`);
-    const array = new Array(arraySize);
-    console.log(`  ✅ Memory allocated!`);
-
-    // Write phase
-    console.log(`\n  ✍️  Writing to memory...`);
-    const writeStart = Date.now();
-    for (let i = 0; i < arraySize; i++) {
-        array[i] = i * 2;
-        if (i % 1000000 === 0 && i > 0) {
-            const progress = (i / arraySize * 100).toFixed(1);
-            console.log(`     Write progress: ${progress}%`);
+function runWorker(phase, workerData, { onProgress = () => {}, timeoutMs = PHASE_TIMEOUT_MS, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new Error('Benchmark cancelled'));
         }
+
+        const worker = new Worker(WORKER_PATH, { workerData });
+        let settled = false;
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            // Settle once the thread is gone, so callers can clean up after it;
+            // terminate() is a no-op once the worker has exited on its own
+            worker.terminate().catch(() => {}).then(() => {
+                if (error) reject(error);
+                else resolve(result);
+            });
+        };
+
+        const onAbort = () => finish(new Error(`Benchmark cancelled during ${phase} phase`));
+        const timer = setTimeout(
+            () => finish(new Error(`Benchmark ${phase} phase timed out after ${timeoutMs}ms`)),
+            timeoutMs
+        );
+
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        worker.on('message', (message) => {
+            switch (message.type) {
+                case 'log':
+                    logger[message.level](message.message);
+                    break;
+                case 'progress':
+                    onProgress(message.progress);
+                    break;
+                case 'result':
+                    finish(null, message.result);
+                    break;
+                case 'error': {
+                    const error = new Error(message.error.message);
+                    error.stack = message.error.stack;
+                    finish(error);
+                    break;
+                }
+            }
+        });
+
+        worker.on('error', (error) => finish(error));
+        worker.on('exit', (code) => {
+            finish(new Error(`Benchmark ${phase} worker exited with code ${code} before reporting a result`));
+        });
+    });
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
     }
-    const writeTime = Date.now() - writeStart;
-    console.log(`  ✅ Write complete in ${writeTime}ms`);
-
-    // Read phase
-    console.log(`\n  📖 Reading from memory...`);
-    const readStart = Date.now();
-    let sum = 0;
-    for (let i = 0; i < arraySize; i++) {
-        sum += array[i];
-        if (i % 1000000 === 0 && i > 0) {
-            const progress = (i / arraySize * 100).toFixed(1);
-            console.log(`     Read progress: ${progress}%`);
+}
+
+/**
+ * Remove disk test directories left by processes that died mid-run
+ * @returns {Promise<void>}
+ */
+async function removeStaleDiskDirs() {
+    const entries = await fs.readdir(DISK_BENCHMARK_DIR).catch(() => []);
+    for (const entry of entries) {
+        const match = /^disk-(\d+)-/.exec(entry);
+        const pid = match ? parseInt(match[1], 10) : null;
+        if (pid !== null && pid !== process.pid && !isProcessAlive(pid)) {
+            logger.info(`Removing stale disk test directory ${entry}`);
+            await fs.remove(path.join(DISK_BENCHMARK_DIR, entry));
         }
     }
-    const readTime = Date.now() - readStart;
-    console.log(`  ✅ Read complete in ${readTime}ms`);
-    console.log(`  🔢 Checksum: ${sum % 1000000}`);
+}
+
+/**
+ * Disk test runs in a fresh directory of their own
+ * The directory is removed once the worker has exited, whether the phase
+ * passed, failed, timed out or was cancelled.
+ * @param {Object} diskConfig - From resolveDiskConfig
+ * @param {Object} repetition - From resolveRepetitionConfig
+ * @param {Object} options - Same as runPhaseInWorker
+ * @returns {Promise<Array<Object>>} - Disk test results, one per measured run
+ */
+async function runDiskPhase(diskConfig, repetition, options) {
+    if (!staleDiskDirsRemoved) {
+        staleDiskDirsRemoved = true;
+        await removeStaleDiskDirs();
+    }
+
+    await fs.ensureDir(DISK_BENCHMARK_DIR);
+    const dir = await fs.mkdtemp(path.join(DISK_BENCHMARK_DIR, `disk-${process.pid}-`));
+    try {
+        return await runPhaseRunsInWorker('disk', planRuns(repetition, () => [{ dir, ...diskConfig }]), options);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+/**
+ * Runs of one CPU worker
+ * Measured run r on core c of n extends lane r * n + c of the challenge, so
+ * every run's hashes are in cpu-checkpoints.json; warmups hash from the
+ * standalone seed and are discarded
+ * @param {number} durationMs - Duration of each run
+ * @param {Object} challenge - Same as cpuTest (lane is set per run)
+ * @param {Object} repetition - From resolveRepetitionConfig
+ * @param {number} cores - Workers running in parallel
+ * @param {number} core - This worker
+ * @returns {Array<{args: Array, warmup: boolean}>}
+ */
+function planCpuRuns(durationMs, challenge, repetition, cores, core) {
+    return planRuns(repetition, ({ warmup, index }) => [
+        durationMs,
+        warmup
+            ? { ...challenge, seed: STANDALONE_SEED, lane: core }
+            : { ...challenge, lane: index * cores + core }
+    ]);
+}
+
+/**
+ * Single-core CPU test
+ * @param {number} durationMs - Duration of each run
+ * @param {Object} challenge - Same as cpuTest
+ * @param {Object} repetition - From resolveRepetitionConfig
+ * @param {Object} options - Same as runPhaseInWorker
+ * @returns {Promise<Array<Object>>} - CPU results, one per measured run
+ */
+async function singleCoreCpuTest(durationMs, challenge, repetition, options) {
+    const runs = await runPhaseRunsInWorker('cpu', planCpuRuns(durationMs, challenge, repetition, 1, 0), options);
+    return runs.map(run => ({ mode: 'single', ...run }));
+}
+
+/**
+ * CPU test across all cores, one worker per os.cpus() entry
+ * Each core's worker does its warmups and runs in order; run r of every
+ * core makes up run r of the result
+ * @param {number} durationMs - Duration of each run
+ * @param {Object} challenge - Same as cpuTest (lane is set per core and run)
+ * @param {Object} repetition - From resolveRepetitionConfig
+ * @param {Object} options - Same as runPhaseInWorker
+ * @returns {Promise<Array<Object>>} - Aggregate and per-core CPU results, one per measured run
+ */
+async function multiCoreCpuTest(durationMs, challenge, repetition, { onProgress = () => {}, ...options } = {}) {
+    const cores = os.cpus().length;
+    logger.info(`Starting multi-core CPU test on ${cores} workers...`);
+
+    const coreRuns = await Promise.all(
+        Array.from({ length: cores }, (_, core) =>
+            runPhaseRunsInWorker('cpu', planCpuRuns(durationMs, challenge, repetition, cores, core), {
+                ...options,
+                onProgress: (progress) => onProgress({ ...progress, core })
+            })
+        )
+    );
+
+    return Array.from({ length: repetition.repetitions }, (_, run) => {
+        const perCore = coreRuns.map((runs, core) => ({ core, ...runs[run] }));
+        const aggregate = {
+            mode: 'multi',
+            cores,
+            algorithm: perCore[0].algorithm,
+            checkpointInterval: perCore[0].checkpointInterval,
+            iterations: perCore.reduce((sum, r) => sum + r.iterations, 0),
+            durationMs: Math.max(...perCore.map(r => r.durationMs)),
+            opsPerSecond: perCore.reduce((sum, r) => sum + r.opsPerSecond, 0),
+            perCore
+        };
+        logger.info(`Multi-core CPU test completed: ${aggregate.opsPerSecond} ops/sec across ${cores} cores`);
+        return aggregate;
+    });
+}
+
+// Seed for runs without a task (standalone mode); such results prove nothing
+const STANDALONE_SEED = ethers.id('infraproof-standalone');
+
+// Metrics described across repetitions; the first picks the median run
+const RUN_METRICS = {
+    cpu: ['opsPerSecond'],
+    memory: ['writeMBps', 'readMBps', 'stream.copyMBps', 'stream.scaleMBps', 'stream.addMBps', 'latencyNs'],
+    disk: ['writeMBps', 'readMBps', 'random.read.iops', 'random.write.iops']
+};
 
-    const totalTime = Date.now() - startTime;
-    const writeMBps = (sizeMB / writeTime) * 1000;
-    const readMBps = (sizeMB / readTime) * 1000;
+/**
+ * A phase's result: the only run, or the median run with every run under runs
+ * @param {string} phase - Key of RUN_METRICS
+ * @param {Array<Object>} runs - Measured runs
+ * @returns {Object}
+ */
+function combineRuns(phase, runs) {
+    if (runs.length === 1) return runs[0];
+    return { ...medianRun(runs, RUN_METRICS[phase][0]), runs };
+}
 
-    console.log(`\n  📊 Memory Performance:`);
-    console.log(`     - Write speed: ${writeMBps.toFixed(2)} MB/s`);
-    console.log(`     - Read speed: ${readMBps.toFixed(2)} MB/s`);
-    console.log(`     - Total time: ${totalTime}ms`);
-    logger.info(`Memory test completed: Write ${writeMBps.toFixed(2)} MB/s, Read ${readMBps.toFixed(2)} MB/s`);
+/**
+ * Move the hash chain checkpoints out of the CPU results
+ * @param {Array<Object>} cpuRuns - Single- or multi-core CPU results, one per measured run
+ * @param {Object|null} challenge - CPU challenge, recorded alongside the checkpoints
+ * @returns {{cpuRuns: Array<Object>, cpuResult: Object, cpuCheckpoints: Object}}
+ */
+function splitCheckpoints(cpuRuns, challenge) {
+    const lanes = cpuRuns
+        .flatMap(run => run.perCore || [run])
+        .map(({ lane, seed, iterations, checkpoints }) => ({ lane, seed, iterations, checkpoints }));
+    const strip = ({ checkpoints, ...rest }) => rest;
+
+    const runs = cpuRuns.map(run => (run.perCore ? { ...run, perCore: run.perCore.map(strip) } : strip(run)));
+    const cpuResult = combineRuns('cpu', runs);
+    if (runs.length > 1) {
+        // Hashes and time over all runs, matching cpu-checkpoints.json
+        cpuResult.iterations = runs.reduce((sum, r) => sum + r.iterations, 0);
+        cpuResult.durationMs = runs.reduce((sum, r) => sum + r.durationMs, 0);
+    }
 
     return {
-        allocatedMB: sizeMB,
-        writeDurationMs: writeTime,
-        readDurationMs: readTime,
-        totalDurationMs: totalTime,
-        writeMBps: parseFloat(writeMBps.toFixed(2)),
-        readMBps: parseFloat(readMBps.toFixed(2)),
-        checksum: sum % 1000000 // For verification
+        cpuRuns: runs,
+        cpuResult: { ...cpuResult, challengeSeed: challenge ? challenge.seed : STANDALONE_SEED },
+        cpuCheckpoints: {
+            version: 1,
+            algorithm: cpuRuns[0].algorithm,
+            checkpointInterval: cpuRuns[0].checkpointInterval,
+            challenge,
+            lanes
+        }
     };
 }
 
 /**
- * Disk I/O test
- * Sequential read/write operations
- * @param {number} sizeMB - File size in MB
- * @returns {Promise<Object>} - Disk test results
+ * Statistics over the measured runs of each phase
+ * @param {Object<string, Array<Object>>} phaseRuns - Measured runs by phase
+ * @param {Object} repetition - From resolveRepetitionConfig
+ * @returns {Object} - The repetition settings, metrics keyed "<phase>.<metric>"
+ *   and highVariance, the metrics whose CV exceeds maxCV
  */
-async function diskTest(sizeMB = 10) {
-    console.log('\n========================================');
-    console.log('💿 STARTING DISK I/O BENCHMARK');
-    console.log('========================================');
-    logger.info(`Starting disk I/O test with ${sizeMB}MB...`);
-    const testDir = path.join(process.cwd(), 'temp-benchmark');
-    const testFile = path.join(testDir, 'benchmark-test.dat');
-    console.log(`  📁 Test directory: ${testDir}`);
-    console.log(`  📄 Test file: benchmark-test.dat`);
-
-    await fs.ensureDir(testDir);
-    console.log(`  ✅ Test directory created`);
-
-    // Generate test data
-    const chunkSize = 1024 * 1024; // 1MB chunks
-    const chunks = sizeMB;
-    console.log(`  📦 Generating ${sizeMB}MB test data (${chunks} chunks of 1MB each)...`);
-    const testData = Buffer.alloc(chunkSize, 'A');
-    console.log(`  ✅ Test data generated`);
-
-    // Write test
-    console.log(`\n  ✍️  Writing ${sizeMB}MB to disk...`);
-    const writeStart = Date.now();
-    for (let i = 0; i < chunks; i++) {
-        await fs.appendFile(testFile, testData);
-        if (i % 2 === 0 || i === chunks - 1) {
-            const written = i + 1;
-            const progress = (written / chunks * 100).toFixed(1);
-            console.log(`     Written: ${written}MB / ${chunks}MB (${progress}%)`);
+function runStatistics(phaseRuns, repetition) {
+    const metrics = {};
+    for (const [phase, runs] of Object.entries(phaseRuns)) {
+        for (const [metric, stats] of Object.entries(describeRuns(runs, RUN_METRICS[phase], repetition))) {
+            metrics[`${phase}.${metric}`] = stats;
         }
     }
-    const writeTime = Date.now() - writeStart;
-    console.log(`  ✅ Write complete in ${writeTime}ms`);
-
-    // Read test
-    console.log(`\n  📖 Reading ${sizeMB}MB from disk...`);
-    const readStart = Date.now();
-    const readData = await fs.readFile(testFile);
-    const readTime = Date.now() - readStart;
-    console.log(`  ✅ Read complete in ${readTime}ms`);
-    console.log(`  📊 File size read: ${(readData.length / (1024 * 1024)).toFixed(2)}MB`);
-
-    // Cleanup
-    console.log(`\n  🧹 Cleaning up test files...`);
-    await fs.remove(testDir);
-    console.log(`  ✅ Cleanup complete`);
-
-    const writeMBps = (sizeMB / writeTime) * 1000;
-    const readMBps = (sizeMB / readTime) * 1000;
-
-    console.log(`\n  📊 Disk I/O Performance:`);
-    console.log(`     - Write speed: ${writeMBps.toFixed(2)} MB/s`);
-    console.log(`     - Read speed: ${readMBps.toFixed(2)} MB/s`);
-    logger.info(`Disk test completed: Write ${writeMBps.toFixed(2)} MB/s, Read ${readMBps.toFixed(2)} MB/s`);
-
     return {
-        fileSizeMB: sizeMB,
-        writeDurationMs: writeTime,
-        readDurationMs: readTime,
-        writeMBps: parseFloat(writeMBps.toFixed(2)),
-        readMBps: parseFloat(readMBps.toFixed(2)),
-        bytesWritten: readData.length
+        ...repetition,
+        metrics,
+        highVariance: Object.keys(metrics).filter(metric => metrics[metric].highVariance)
     };
 }
 
 /**
- * Run full SERVER_BENCHMARK suite
- * @param {Object} config - Benchmark configuration
- * @returns {Promise<Object>} - Complete benchmark results
+ * Describe the machine running the benchmark
+ * @returns {Object} - platform, arch, cpus, totalMemoryMB, freeMemoryMB, nodeVersion
  */
-async function runBenchmark(config = {}) {
-    const {
-        cpuDurationMs = 5000,
-        memorySizeMB = 100,
-        diskSizeMB = 10
-    } = config;
-
-    console.log('\n\n');
-    console.log('╔════════════════════════════════════════════════════╗');
-    console.log('║                                                    ║');
-    console.log('║          🚀 SERVER_BENCHMARK EXECUTION 🚀          ║');
-    console.log('║                                                    ║');
-    console.log('║     Proving real computation, not mocked data     ║');
-    console.log('║                                                    ║');
-    console.log('╚════════════════════════════════════════════════════╝');
-    console.log('');
-    logger.info('Starting SERVER_BENCHMARK...');
-    console.log(`📋 Benchmark Configuration:`);
-    console.log(`   - CPU Test Duration: ${cpuDurationMs}ms (${(cpuDurationMs / 1000).toFixed(1)}s)`);
-    console.log(`   - Memory Test Size: ${memorySizeMB}MB`);
-    console.log(`   - Disk I/O Test Size: ${diskSizeMB}MB`);
-    const benchmarkStart = Date.now();
-
-    // System info
+function getSystemInfo() {
     const systemInfo = {
         platform: os.platform(),
         arch: os.arch(),
@@ -254,45 +420,130 @@ async function runBenchmark(config = {}) {
         nodeVersion: process.version
     };
 
-    console.log(`\n🖥️  System Information:`);
-    console.log(`   - Platform: ${systemInfo.platform}`);
-    console.log(`   - Architecture: ${systemInfo.arch}`);
-    console.log(`   - CPU Cores: ${systemInfo.cpus}`);
-    console.log(`   - Total Memory: ${systemInfo.totalMemoryMB}MB`);
-    console.log(`   - Free Memory: ${systemInfo.freeMemoryMB}MB`);
-    console.log(`   - Node.js Version: ${systemInfo.nodeVersion}`);
+    display(`\n🖥️  System Information:`);
+    display(`   - Platform: ${systemInfo.platform}`);
+    display(`   - Architecture: ${systemInfo.arch}`);
+    display(`   - CPU Cores: ${systemInfo.cpus}`);
+    display(`   - Total Memory: ${systemInfo.totalMemoryMB}MB`);
+    display(`   - Free Memory: ${systemInfo.freeMemoryMB}MB`);
+    display(`   - Node.js Version: ${systemInfo.nodeVersion}`);
     logger.info('System info:', JSON.stringify(systemInfo));
+    return systemInfo;
+}
+
+/**
+ * Run full SERVER_BENCHMARK suite
+ * @param {Object} config - Benchmark configuration
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with
+ *   { phase, step, percent, opsPerSecond?, mbps?, iops?, core?, run?, warmup? } roughly once per second per phase
+ * @param {AbortSignal} [options.signal] - Cancels the running phase
+ * @param {Object} [options.challenge] - CPU challenge from services/challenge.js
+ *   ({ specHash, createdBlock, block, seed }); a fixed seed is used without one
+ * @returns {Promise<Object>} - Complete benchmark results; with repetitions each test
+ *   is its median run plus runs, and statistics describes every metric across runs;
+ *   cpuCheckpoints holds the CPU hash chain checkpoints (written to
+ *   cpu-checkpoints.json, not result.json)
+ */
+async function runBenchmark(config = {}, { onProgress = () => {}, signal, challenge = null } = {}) {
+    const {
+        cpuDurationMs = 5000,
+        cpuMode = 'single',
+        cpuAlgorithm = 'sha256',
+        cpuCheckpointInterval = DEFAULT_CHECKPOINT_INTERVAL
+    } = config;
+    const memoryConfig = resolveMemoryConfig(config);
+    const diskConfig = resolveDiskConfig(config);
+    const repetition = resolveRepetitionConfig(config);
+
+    if (cpuMode !== 'single' && cpuMode !== 'multi') {
+        throw new Error(`Invalid cpuMode: ${cpuMode} (expected single or multi)`);
+    }
+    getStep(cpuAlgorithm);
 
-    // Run tests sequentially for determinism
-    const cpuResult = cpuTest(cpuDurationMs);
-    const memoryResult = memoryTest(memorySizeMB);
-    const diskResult = await diskTest(diskSizeMB);
+    const cpuChallenge = {
+        seed: challenge ? challenge.seed : STANDALONE_SEED,
+        algorithm: cpuAlgorithm,
+        checkpointInterval: cpuCheckpointInterval
+    };
+
+    display('\n\n');
+    display('╔════════════════════════════════════════════════════╗');
+    display('║                                                    ║');
+    display('║          🚀 SERVER_BENCHMARK EXECUTION 🚀          ║');
+    display('║                                                    ║');
+    display('║     Proving real computation, not mocked data     ║');
+    display('║                                                    ║');
+    display('╚════════════════════════════════════════════════════╝');
+    display('');
+    logger.info('Starting SERVER_BENCHMARK...');
+    display(`📋 Benchmark Configuration:`);
+    display(`   - CPU Test Duration: ${cpuDurationMs}ms (${(cpuDurationMs / 1000).toFixed(1)}s)`);
+    display(`   - CPU Mode: ${cpuMode}`);
+    display(`   - CPU Challenge: ${cpuAlgorithm} chain from seed ${cpuChallenge.seed}${challenge ? ` (block ${challenge.block.number})` : ' (standalone)'}`);
+    display(`   - Memory Test Size: ${memoryConfig.memorySizeMB}MB (sweep ${memoryConfig.memorySweepKB.join('/')}KB)`);
+    display(`   - Disk I/O Test Size: ${diskConfig.diskSizeMB}MB (blocks ${diskConfig.diskBlockSizesKB.join('/')}KB, ${diskConfig.diskSyncMode})`);
+    display(`   - Runs per Test: ${repetition.warmupIterations} warmup + ${repetition.repetitions} measured (outliers: ${repetition.outlierTrimming})`);
+    const benchmarkStart = Date.now();
+
+    const systemInfo = getSystemInfo();
+
+    // Run tests sequentially for determinism, each in its own worker; the
+    // CPU duration is shared by the measured runs, warmups come on top
+    const phaseOptions = { onProgress, signal };
+    const runCount = repetition.warmupIterations + repetition.repetitions;
+    const cpuRunMs = cpuDurationMs / repetition.repetitions;
+    const cpuOptions = { ...phaseOptions, timeoutMs: runCount * cpuRunMs + PHASE_TIMEOUT_MS };
+    const rawCpuRuns = cpuMode === 'multi'
+        ? await multiCoreCpuTest(cpuRunMs, cpuChallenge, repetition, cpuOptions)
+        : await singleCoreCpuTest(cpuRunMs, cpuChallenge, repetition, cpuOptions);
+    const { cpuRuns, cpuResult, cpuCheckpoints } = splitCheckpoints(rawCpuRuns, challenge);
+
+    const repeatedOptions = { ...phaseOptions, timeoutMs: runCount * PHASE_TIMEOUT_MS };
+    const memoryRuns = await runPhaseRunsInWorker('memory', planRuns(repetition, () => [memoryConfig]), repeatedOptions);
+    const diskRuns = await runDiskPhase(diskConfig, repetition, repeatedOptions);
+    const memoryResult = combineRuns('memory', memoryRuns);
+    const diskResult = combineRuns('disk', diskRuns);
+
+    const statistics = runStatistics({ cpu: cpuRuns, memory: memoryRuns, disk: diskRuns }, repetition);
+    if (statistics.highVariance.length) {
+        logger.warn(`High variance across ${repetition.repetitions} runs (CV > ${repetition.maxCV}): ${statistics.highVariance.join(', ')}`);
+    }
 
     const totalDuration = Date.now() - benchmarkStart;
 
-    console.log('\n\n');
-    console.log('╔════════════════════════════════════════════════════╗');
-    console.log('║                                                    ║');
-    console.log('║           ✅ BENCHMARK COMPLETED ✅                ║');
-    console.log('║                                                    ║');
-    console.log('╚════════════════════════════════════════════════════╝');
-    console.log('');
-    console.log(`⏱️  Total Execution Time: ${totalDuration}ms (${(totalDuration / 1000).toFixed(2)}s)`);
-    console.log('');
-    console.log('📊 Summary of Results:');
-    console.log(`   CPU:`);
-    console.log(`     - Operations/sec: ${cpuResult.opsPerSecond.toLocaleString()}`);
-    console.log(`     - Total iterations: ${cpuResult.iterations.toLocaleString()}`);
-    console.log(`     - Primes found: ${cpuResult.primesFound.toLocaleString()}`);
-    console.log(`   Memory:`);
-    console.log(`     - Write speed: ${memoryResult.writeMBps.toFixed(2)} MB/s`);
-    console.log(`     - Read speed: ${memoryResult.readMBps.toFixed(2)} MB/s`);
-    console.log(`   Disk I/O:`);
-    console.log(`     - Write speed: ${diskResult.writeMBps.toFixed(2)} MB/s`);
-    console.log(`     - Read speed: ${diskResult.readMBps.toFixed(2)} MB/s`);
-    console.log('');
-    console.log('✨ All results are deterministic and reproducible!');
-    console.log('');
+    display('\n\n');
+    display('╔════════════════════════════════════════════════════╗');
+    display('║                                                    ║');
+    display('║           ✅ BENCHMARK COMPLETED ✅                ║');
+    display('║                                                    ║');
+    display('╚════════════════════════════════════════════════════╝');
+    display('');
+    display(`⏱️  Total Execution Time: ${totalDuration}ms (${(totalDuration / 1000).toFixed(2)}s)`);
+    display('');
+    display('📊 Summary of Results:');
+    display(`   CPU (${cpuResult.mode}${cpuResult.cores ? `, ${cpuResult.cores} cores` : ''}):`);
+    display(`     - Hashes/sec: ${cpuResult.opsPerSecond.toLocaleString()}`);
+    display(`     - Total hashes: ${cpuResult.iterations.toLocaleString()} (${cpuResult.algorithm})`);
+    display(`   Memory:`);
+    if (memoryResult.error) {
+        display(`     - Skipped: ${memoryResult.error}`);
+    } else {
+        display(`     - Write speed: ${memoryResult.writeMBps.toFixed(2)} MB/s`);
+        display(`     - Read speed: ${memoryResult.readMBps.toFixed(2)} MB/s`);
+        display(`     - Copy speed: ${memoryResult.stream.copyMBps.toFixed(2)} MB/s`);
+    }
+    display(`   Disk I/O:`);
+    display(`     - Write speed: ${diskResult.writeMBps.toFixed(2)} MB/s`);
+    display(`     - Read speed: ${diskResult.readMBps.toFixed(2)} MB/s`);
+    display(`     - Random 4K: ${diskResult.random.read.iops} read IOPS, ${diskResult.random.write.iops} write IOPS`);
+    if (repetition.repetitions > 1) {
+        display(`   Across ${repetition.repetitions} runs (median ± stddev, CV):`);
+        for (const [metric, stats] of Object.entries(statistics.metrics)) {
+            display(`     - ${metric}: ${stats.median} ± ${stats.stddev} (CV ${stats.cv})${stats.highVariance ? ' ⚠️  high variance' : ''}`);
+        }
+    }
+    display('');
     logger.info(`SERVER_BENCHMARK completed in ${totalDuration}ms`);
 
     return {
@@ -302,30 +553,84 @@ async function runBenchmark(config = {}) {
             memory: memoryResult,
             disk: diskResult
         },
+        statistics,
+        totalDurationMs: totalDuration,
+        timestamp: new Date().toISOString(),
+        cpuCheckpoints
+    };
+}
+
+/**
+ * Run NETWORK_BENCHMARK against the spec's target
+ * For target "loopback" the built-in server (services/networkServer.js) is
+ * started on 127.0.0.1 in this thread, so it does not share an event loop
+ * with the client worker, and is closed afterwards.
+ * @param {Object} config - Benchmark configuration (see resolveNetworkConfig)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Same as runBenchmark
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<Object>} - { systemInfo, target, tests: { tcp, http }, totalDurationMs, timestamp }
+ */
+async function runNetworkBenchmark(config = {}, { onProgress = () => {}, signal } = {}) {
+    const networkConfig = resolveNetworkConfig(config);
+
+    logger.info('Starting NETWORK_BENCHMARK...');
+    const benchmarkStart = Date.now();
+    const systemInfo = getSystemInfo();
+
+    const server = networkConfig.target === LOOPBACK ? await startNetworkServer() : null;
+    const target = server
+        ? { kind: LOOPBACK, host: server.host, tcpPort: server.tcpPort, httpUrl: server.httpUrl }
+        : { kind: 'remote', ...networkConfig.target };
+
+    let tests;
+    try {
+        // Four throughput tests plus the latency tests
+        const timeoutMs = 4 * networkConfig.throughputDurationMs + PHASE_TIMEOUT_MS;
+        tests = await runPhaseInWorker('network', [{ ...networkConfig, target }], { onProgress, signal, timeoutMs });
+    } finally {
+        if (server) await server.close();
+    }
+
+    const totalDuration = Date.now() - benchmarkStart;
+    logger.info(`NETWORK_BENCHMARK completed in ${totalDuration}ms`);
+
+    return {
+        systemInfo,
+        target,
+        tests,
         totalDurationMs: totalDuration,
         timestamp: new Date().toISOString()
     };
 }
 
 module.exports = {
+    SERVER_BENCHMARK,
+    NETWORK_BENCHMARK,
+    PHASES,
     runBenchmark,
+    runNetworkBenchmark,
+    runPhaseInWorker,
+    runPhaseRunsInWorker,
+    multiCoreCpuTest,
     cpuTest,
     memoryTest,
-    diskTest
+    diskTest,
+    networkTest
 };
 
 // Allow running this file directly for testing/demonstration
 if (require.main === module) {
-    console.log('\n🎯 Running benchmark.js in standalone mode...\n');
+    display('\n🎯 Running benchmark.js in standalone mode...\n');
     runBenchmark({
         cpuDurationMs: 5000,  // 5 seconds (short demo)
         memorySizeMB: 100,
         diskSizeMB: 10
     }).then(() => {
-        console.log('\n✨ Standalone benchmark execution complete!\n');
+        display('\n✨ Standalone benchmark execution complete!\n');
         process.exit(0);
     }).catch((error) => {
-        console.error('\n❌ Benchmark failed:', error);
+        logger.error('Benchmark failed:', error);
         process.exit(1);
     });
 }
@@ -0,0 +1,67 @@
+const { parentPort, workerData } = require('worker_threads');
+const logger = require('../utils/logger');
+
+/**
+ * Benchmark worker thread entry point
+ * Runs a benchmark phase off the main thread.
+ *
+ * Input (workerData), one of:
+ * - { phase, args: [...] }                       one run; the result is the phase result
+ * - { phase, runs: [{ args: [...], warmup }] }   runs in order in this thread, so warmup
+ *                                                runs warm the same JIT and caches; the
+ *                                                result lists the non-warmup results
+ * phase is a key of PHASES ('cpu' | 'memory' | 'disk' | 'network')
+ *
+ * Messages posted to the coordinator:
+ * - { type: 'log', level, message }
+ * - { type: 'progress', progress }  (with runs: progress gains run and warmup)
+ * - { type: 'result', result }
+ * - { type: 'error', error: { message, stack } }
+ */
+
+// Route this thread's logger through the coordinator so logs land in the
+// coordinator's output (and execution.log). The logger module instance is
+// private to this worker, so nothing outside the thread is affected.
+['debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = (message, ...args) => {
+        const text = [message, ...args.map(a => (typeof a === 'object' ? JSON.stringify(a) : String(a)))].join(' ');
+        parentPort.postMessage({ type: 'log', level, message: text });
+    };
+});
+
+const { PHASES } = require('./benchmark');
+
+async function main() {
+    const { phase, args = [], runs } = workerData;
+    const run = PHASES[phase];
+
+    if (!run) {
+        throw new Error(`Unknown benchmark phase: ${phase}`);
+    }
+
+    const report = (progress) => parentPort.postMessage({ type: 'progress', progress });
+
+    if (!runs) {
+        const result = await run(...args, report);
+        parentPort.postMessage({ type: 'result', result });
+        return;
+    }
+
+    const results = [];
+    const counts = { warmup: 0, measured: 0 };
+    for (const { args: runArgs = [], warmup = false } of runs) {
+        const number = warmup ? ++counts.warmup : ++counts.measured;
+        const onProgress = (progress) => report(warmup ? { ...progress, run: number, warmup } : { ...progress, run: number });
+        const result = await run(...runArgs, onProgress);
+        if (!warmup) results.push(result);
+    }
+
+    parentPort.postMessage({ type: 'result', result: results });
+}
+
+main().catch((error) => {
+    parentPort.postMessage({
+        type: 'error',
+        error: { message: error.message, stack: error.stack }
+    });
+});
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getTaskCreatedBlock, getBlock } = require('../contracts/executionRegistry');
+const {
+    DEFAULT_CHECKPOINT_INTERVAL,
+    MAX_CHECKPOINT_INTERVAL,
+    laneSeed,
+    iterate
+} = require('../utils/hashChain');
+const logger = require('../utils/logger');
+
+/**
+ * CPU challenge-response
+ *
+ * The CPU phase extends a hash chain from a seed nobody knows before the
+ * task exists:
+ *   seed = keccak256(specHash || blockhash(createdBlock + CPU_CHALLENGE_DELAY_BLOCKS))
+ * The benchmark records a checkpoint every checkpointInterval hashes in
+ * cpu-checkpoints.json, which is a Merkle leaf of the anchored artifacts.
+ * A verifier recomputes the seed from the chain and recomputes a few
+ * random segments between checkpoints; a fabricated hash count fails
+ * unless every segment was really computed.
+ */
+
+const CHECKPOINTS_FILE = 'cpu-checkpoints.json';
+
+// Blocks after the creation block whose hash seeds the challenge (at least 1)
+const CHALLENGE_DELAY_BLOCKS = Math.max(parseInt(process.env.CPU_CHALLENGE_DELAY_BLOCKS || '1', 10), 1);
+// How long to wait for the challenge block to be mined
+const CHALLENGE_TIMEOUT_MS = parseInt(process.env.CPU_CHALLENGE_TIMEOUT_MS || '120000', 10);
+const CHALLENGE_POLL_MS = 2000;
+// Segments recomputed per verification
+const SPOT_CHECKS = parseInt(process.env.CPU_SPOT_CHECKS || '8', 10);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function sameHash(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Derive the challenge seed
+ * @param {string} specHash - On-chain specHash
+ * @param {string} blockHash - Hash of the challenge block
+ * @returns {string} - bytes32 hex
+ */
+function deriveSeed(specHash, blockHash) {
+    return ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [specHash, blockHash]);
+}
+
+/**
+ * Get the CPU challenge of a task, waiting for the challenge block if needed
+ * @param {number} taskId - Task ID
+ * @param {string} specHash - On-chain specHash
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @param {AbortSignal} [options.signal] - Stops waiting
+ * @returns {Promise<{specHash: string, createdBlock: number, block: {number: number, hash: string}, seed: string}>}
+ */
+async function getChallenge(taskId, specHash, { chainId, signal } = {}) {
+    const createdBlock = await getTaskCreatedBlock(taskId, { chainId });
+    if (createdBlock === null) {
+        throw new Error(`Task ${taskId} does not exist`);
+    }
+
+    const target = createdBlock + CHALLENGE_DELAY_BLOCKS;
+    const deadline = Date.now() + CHALLENGE_TIMEOUT_MS;
+
+    let block = await getBlock(target, { chainId });
+    if (!block) {
+        logger.info(`Waiting for challenge block ${target} (task created in block ${createdBlock})`);
+    }
+    while (!block) {
+        if (signal && signal.aborted) {
+            throw new Error('Execution cancelled');
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Challenge block ${target} not mined within ${CHALLENGE_TIMEOUT_MS}ms`);
+        }
+        await sleep(CHALLENGE_POLL_MS);
+        block = await getBlock(target, { chainId });
+    }
+
+    const challenge = {
+        specHash,
+        createdBlock,
+        block: { number: block.number, hash: block.hash },
+        seed: deriveSeed(specHash, block.hash)
+    };
+    logger.info(`CPU challenge seed ${challenge.seed} from block ${block.number}`);
+    return challenge;
+}
+
+/**
+ * Check cpu-checkpoints.json against the chain and recompute random segments
+ * @param {Object} checkpoints - Parsed cpu-checkpoints.json
+ * @param {Object} context
+ * @param {number} context.taskId - Task ID
+ * @param {string} context.specHash - On-chain specHash
+ * @param {Object} [context.spec] - Committed spec (checks algorithm and interval)
+ * @param {Object} [context.result] - Parsed result.json (checks the reported hash count)
+ * @param {number} [context.chainId] - Chain ID (default: CHAIN_ID)
+ * @param {number} [context.spotChecks] - Segments to recompute (default: CPU_SPOT_CHECKS)
+ * @returns {Promise<{passed: boolean, detail: string, problems: Array<string>, segments: number, checked: Array<Object>}>}
+ */
+async function verifyCpuWork(checkpoints, { taskId, specHash, spec = null, result = null, chainId, spotChecks = SPOT_CHECKS }) {
+    const problems = [];
+    const { algorithm, checkpointInterval, challenge, lanes } = checkpoints;
+    const fail = (detail) => ({ passed: false, detail, problems: [...problems, detail], segments: 0, checked: [] });
+
+    if (!challenge || !Array.isArray(lanes)) {
+        return fail('No challenge recorded (standalone run)');
+    }
+    if (!Number.isInteger(checkpointInterval) || checkpointInterval < 1 || checkpointInterval > MAX_CHECKPOINT_INTERVAL) {
+        return fail(`checkpointInterval must be between 1 and ${MAX_CHECKPOINT_INTERVAL}`);
+    }
+    if (!challenge.block || !Number.isInteger(challenge.block.number) || !ethers.isHexString(challenge.block.hash, 32)) {
+        return fail('challenge block must have a block number and a bytes32 hash');
+    }
+
+    // Seed: committed specHash and a block mined after the task was created
+    if (!sameHash(challenge.specHash, specHash)) {
+        problems.push('challenge specHash is not the on-chain specHash');
+    }
+    const createdBlock = await getTaskCreatedBlock(taskId, { chainId });
+    if (createdBlock === null || challenge.block.number <= createdBlock) {
+        problems.push(`challenge block ${challenge.block.number} is not after the creation block ${createdBlock}`);
+    }
+    const block = await getBlock(challenge.block.number, { chainId });
+    if (!block || !sameHash(block.hash, challenge.block.hash)) {
+        problems.push(`challenge block hash does not match block ${challenge.block.number} on-chain`);
+    }
+    if (!sameHash(deriveSeed(specHash, challenge.block.hash), challenge.seed)) {
+        problems.push('seed is not keccak256(specHash || blockHash)');
+    }
+
+    // Parameters the spec committed to
+    if (spec && spec.config) {
+        const expectedAlgorithm = spec.config.cpuAlgorithm || 'sha256';
+        const expectedInterval = spec.config.cpuCheckpointInterval || DEFAULT_CHECKPOINT_INTERVAL;
+        if (algorithm !== expectedAlgorithm) problems.push(`algorithm ${algorithm} is not the committed ${expectedAlgorithm}`);
+        if (checkpointInterval !== expectedInterval) problems.push(`checkpointInterval ${checkpointInterval} is not the committed ${expectedInterval}`);
+    }
+
+    // Lanes: derived seeds, and as many checkpoints as the claimed hash count needs
+    const segments = [];
+    lanes.forEach((lane, index) => {
+        if (lane.lane !== index || !sameHash(lane.seed, laneSeed(challenge.seed, index))) {
+            problems.push(`lane ${index} does not start from its derived seed`);
+        }
+        if (!Array.isArray(lane.checkpoints) || lane.checkpoints.length * checkpointInterval !== lane.iterations) {
+            problems.push(`lane ${index} claims ${lane.iterations} hashes but has ${(lane.checkpoints || []).length} checkpoints`);
+            return;
+        }
+        lane.checkpoints.forEach((hash, i) => segments.push({ lane: index, index: i }));
+    });
+
+    const total = lanes.reduce((sum, lane) => sum + (lane.iterations || 0), 0);
+    if (result && result.tests && result.tests.cpu && result.tests.cpu.iterations !== total) {
+        problems.push(`result.json reports ${result.tests.cpu.iterations} hashes, checkpoints cover ${total}`);
+    }
+
+    // Spot checks: recompute random segments from the previous checkpoint
+    const checked = [];
+    const remaining = [...segments];
+    while (checked.length < Math.min(spotChecks, segments.length)) {
+        const { lane, index } = remaining.splice(crypto.randomInt(remaining.length), 1)[0];
+        const chain = lanes[lane];
+        const start = index === 0 ? chain.seed : chain.checkpoints[index - 1];
+        const matches = sameHash(iterate(start, checkpointInterval, algorithm), chain.checkpoints[index]);
+        checked.push({ lane, index, matches });
+        if (!matches) {
+            problems.push(`lane ${lane} checkpoint ${index} does not follow from the previous one`);
+        }
+    }
+
+    const passed = problems.length === 0;
+    return {
+        passed,
+        detail: passed
+            ? `${checked.length} of ${segments.length} segments recomputed (${total} ${algorithm} hashes from block ${challenge.block.number})`
+            : problems.join('; '),
+        problems,
+        segments: segments.length,
+        checked
+    };
+}
+
+module.exports = {
+    CHECKPOINTS_FILE,
+    deriveSeed,
+    getChallenge,
+    verifyCpuWork
+};
@@ -0,0 +1,372 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { latencySummary, round } = require('../utils/stats');
+const logger = require('../utils/logger');
+
+const { display } = logger;
+
+/**
+ * Disk I/O suite (runs inside a benchmark worker)
+ *
+ * - Sequential write per block size, made durable with fsync every
+ *   fsyncIntervalMB (syncMode "fsync") or by opening with O_DSYNC ("dsync");
+ *   the time includes the final sync
+ * - Sequential read of the same file per block size
+ * - Random 4K reads and synced random 4K writes over the file, reported as
+ *   IOPS and latency percentiles
+ *
+ * Data is random and every block is stamped with a counter, so neither
+ * compression nor deduplication shrinks what reaches the disk. Reads use
+ * O_DIRECT where the platform and filesystem allow it; otherwise they may be
+ * served from the page cache and the result says direct: false.
+ * All files live in the directory handed in by the coordinator, which
+ * removes it after the worker has exited.
+ */
+
+const RANDOM_BLOCK_SIZE = 4096;
+const SYNC_MODES = ['fsync', 'dsync'];
+const DEFAULT_BLOCK_SIZES_KB = [4, 64, 1024];
+const MAX_BLOCK_SIZE_KB = 16384;
+const MAX_RANDOM_OPS = 100000;
+
+const DEFAULTS = {
+    diskSizeMB: 10,
+    diskBlockSizesKB: DEFAULT_BLOCK_SIZES_KB,
+    diskSyncMode: 'fsync',
+    diskFsyncIntervalMB: 4,
+    diskRandomOps: 1000
+};
+
+const { O_WRONLY, O_RDONLY, O_CREAT, O_TRUNC, O_DIRECT, O_DSYNC } = fs.constants;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate the disk fields of a benchmark config and fill in defaults
+ * @param {Object} [config] - Task spec config
+ * @param {number} [config.diskSizeMB=10] - Test file size
+ * @param {Array<number>} [config.diskBlockSizesKB=[4, 64, 1024]] - Sequential block sizes (multiples of 4)
+ * @param {string} [config.diskSyncMode='fsync'] - fsync | dsync
+ * @param {number} [config.diskFsyncIntervalMB=4] - MB written between fsyncs (fsync mode)
+ * @param {number} [config.diskRandomOps=1000] - Random reads and random writes, each
+ * @returns {{diskSizeMB: number, diskBlockSizesKB: Array<number>, diskSyncMode: string, diskFsyncIntervalMB: number, diskRandomOps: number}}
+ * @throws {Error} with statusCode 400 for invalid values
+ */
+function resolveDiskConfig(config = {}) {
+    const resolved = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        resolved[key] = config[key] === undefined || config[key] === null ? DEFAULTS[key] : config[key];
+    }
+    const { diskSizeMB, diskBlockSizesKB, diskSyncMode, diskFsyncIntervalMB, diskRandomOps } = resolved;
+
+    if (!isPositiveInteger(diskSizeMB)) {
+        throw invalid('config.diskSizeMB must be a positive integer');
+    }
+    if (!Array.isArray(diskBlockSizesKB) || diskBlockSizesKB.length === 0 ||
+        !diskBlockSizesKB.every(kb => isPositiveInteger(kb) && kb % 4 === 0 && kb <= Math.min(MAX_BLOCK_SIZE_KB, diskSizeMB * 1024))) {
+        throw invalid(`config.diskBlockSizesKB must be a non-empty list of multiples of 4, at most ${MAX_BLOCK_SIZE_KB} and at most the file size`);
+    }
+    if (!SYNC_MODES.includes(diskSyncMode)) {
+        throw invalid(`config.diskSyncMode must be one of: ${SYNC_MODES.join(', ')}`);
+    }
+    if (!isPositiveInteger(diskFsyncIntervalMB)) {
+        throw invalid('config.diskFsyncIntervalMB must be a positive integer');
+    }
+    if (!isPositiveInteger(diskRandomOps) || diskRandomOps > MAX_RANDOM_OPS) {
+        throw invalid(`config.diskRandomOps must be an integer between 1 and ${MAX_RANDOM_OPS}`);
+    }
+
+    return {
+        ...resolved,
+        diskBlockSizesKB: [...new Set(diskBlockSizesKB)].sort((a, b) => a - b)
+    };
+}
+
+/**
+ * Allocate a page-aligned buffer
+ * O_DIRECT rejects unaligned buffers; WebAssembly memory is page-aligned,
+ * ordinary Buffers are not.
+ * @param {number} size - Bytes
+ * @returns {Buffer}
+ */
+function alignedBuffer(size) {
+    const memory = new WebAssembly.Memory({ initial: Math.ceil(size / 65536) });
+    return Buffer.from(memory.buffer, 0, size);
+}
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+const mbps = (bytes, ms) => round(bytes / (1024 * 1024) / Math.max(ms, 0.001) * 1000, 2);
+
+/**
+ * Throttle progress reports to about one per second (plus the last one)
+ * @param {Function} onProgress - Progress callback
+ * @returns {function(string, number, number, Object): void} - (step, done, total, extra)
+ */
+function progressReporter(onProgress) {
+    let last = 0;
+    return (step, done, total, extra = {}) => {
+        const now = Date.now();
+        if (done < total && now - last < 1000) return;
+        last = now;
+        onProgress({ phase: 'disk', step, percent: round(done / total * 100, 1), ...extra });
+    };
+}
+
+/**
+ * Open a file for reading, bypassing the page cache when possible
+ * @param {string} file - Path
+ * @param {Buffer} probe - Aligned buffer of at least RANDOM_BLOCK_SIZE bytes
+ * @returns {{fd: number, direct: boolean}}
+ */
+function openForRead(file, probe) {
+    if (O_DIRECT) {
+        let fd = null;
+        try {
+            fd = fs.openSync(file, O_RDONLY | O_DIRECT);
+            fs.readSync(fd, probe, 0, RANDOM_BLOCK_SIZE, 0);
+            return { fd, direct: true };
+        } catch (error) {
+            // EINVAL: filesystem (e.g. tmpfs) or buffer does not support direct I/O
+            if (fd !== null) fs.closeSync(fd);
+        }
+    }
+    return { fd: fs.openSync(file, O_RDONLY), direct: false };
+}
+
+/**
+ * Open a file for synced writes
+ * @param {string} file - Path
+ * @param {string} syncMode - fsync | dsync
+ * @param {number} [extraFlags=0] - e.g. O_CREAT | O_TRUNC
+ * @returns {number} - File descriptor
+ */
+function openForWrite(file, syncMode, extraFlags = 0) {
+    if (syncMode === 'dsync' && O_DSYNC === undefined) {
+        throw new Error('diskSyncMode "dsync" is not supported on this platform (no O_DSYNC)');
+    }
+    return fs.openSync(file, O_WRONLY | extraFlags | (syncMode === 'dsync' ? O_DSYNC : 0));
+}
+
+/**
+ * Sequential write then read of one file with one block size
+ * @returns {{blockSizeKB: number, write: Object, read: Object, direct: boolean}}
+ */
+function sequentialRun(file, pool, stamp, { blockSize, fileBytes, syncMode, fsyncIntervalBytes, report }) {
+    const blocks = Math.floor(fileBytes / blockSize);
+    const bytes = blocks * blockSize;
+    const slots = Math.floor(pool.length / blockSize);
+    const label = `${blockSize / 1024}K`;
+
+    // Write
+    let syncs = 0;
+    let unsynced = 0;
+    const fd = openForWrite(file, syncMode, O_CREAT | O_TRUNC);
+    const writeStart = process.hrtime.bigint();
+    try {
+        for (let i = 0; i < blocks; i++) {
+            const offset = (i % slots) * blockSize;
+            stamp(offset);
+            fs.writeSync(fd, pool, offset, blockSize, i * blockSize);
+            unsynced += blockSize;
+            if (syncMode === 'fsync' && unsynced >= fsyncIntervalBytes) {
+                fs.fsyncSync(fd);
+                syncs++;
+                unsynced = 0;
+            }
+            report(`write-${label}`, i + 1, blocks, { mbps: mbps((i + 1) * blockSize, elapsedMs(writeStart)) });
+        }
+        if (syncMode === 'fsync' && unsynced > 0) {
+            fs.fsyncSync(fd);
+            syncs++;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    const writeMs = elapsedMs(writeStart);
+
+    // Read (into the start of the aligned pool)
+    const { fd: readFd, direct } = openForRead(file, pool);
+    const readStart = process.hrtime.bigint();
+    let bytesRead = 0;
+    try {
+        for (let i = 0; i < blocks; i++) {
+            bytesRead += fs.readSync(readFd, pool, 0, blockSize, i * blockSize);
+            report(`read-${label}`, i + 1, blocks, { mbps: mbps(bytesRead, elapsedMs(readStart)) });
+        }
+    } finally {
+        fs.closeSync(readFd);
+    }
+    const readMs = elapsedMs(readStart);
+
+    if (bytesRead !== bytes) {
+        throw new Error(`Short read: ${bytesRead} of ${bytes} bytes with ${label} blocks`);
+    }
+
+    return {
+        blockSizeKB: blockSize / 1024,
+        direct,
+        write: { bytes, durationMs: round(writeMs), MBps: mbps(bytes, writeMs), syncs },
+        read: { bytes: bytesRead, durationMs: round(readMs), MBps: mbps(bytesRead, readMs) }
+    };
+}
+
+/**
+ * Random 4K reads, then synced random 4K writes, at aligned offsets
+ * @returns {{read: Object, write: Object, direct: boolean}}
+ */
+function randomRun(file, pool, stamp, { fileBytes, ops, syncMode, report }) {
+    const slots = fileBytes / RANDOM_BLOCK_SIZE;
+    const poolSlots = Math.floor(pool.length / RANDOM_BLOCK_SIZE);
+    const iops = (count, ms) => round(count / Math.max(ms, 0.001) * 1000, 1);
+
+    // Reads
+    const readLatencies = [];
+    const { fd: readFd, direct } = openForRead(file, pool);
+    const readStart = process.hrtime.bigint();
+    try {
+        for (let i = 0; i < ops; i++) {
+            const position = crypto.randomInt(slots) * RANDOM_BLOCK_SIZE;
+            const start = process.hrtime.bigint();
+            fs.readSync(readFd, pool, 0, RANDOM_BLOCK_SIZE, position);
+            readLatencies.push(elapsedMs(start));
+            report('random-read', i + 1, ops, { iops: iops(i + 1, elapsedMs(readStart)) });
+        }
+    } finally {
+        fs.closeSync(readFd);
+    }
+    const readMs = elapsedMs(readStart);
+
+    // Writes, each durable before the next (O_DSYNC or fsync per write)
+    const writeLatencies = [];
+    const writeFd = openForWrite(file, syncMode);
+    const writeStart = process.hrtime.bigint();
+    try {
+        for (let i = 0; i < ops; i++) {
+            const offset = (i % poolSlots) * RANDOM_BLOCK_SIZE;
+            const position = crypto.randomInt(slots) * RANDOM_BLOCK_SIZE;
+            stamp(offset);
+            const start = process.hrtime.bigint();
+            fs.writeSync(writeFd, pool, offset, RANDOM_BLOCK_SIZE, position);
+            if (syncMode === 'fsync') fs.fsyncSync(writeFd);
+            writeLatencies.push(elapsedMs(start));
+            report('random-write', i + 1, ops, { iops: iops(i + 1, elapsedMs(writeStart)) });
+        }
+    } finally {
+        fs.closeSync(writeFd);
+    }
+    const writeMs = elapsedMs(writeStart);
+
+    return {
+        direct,
+        read: { ops, durationMs: round(readMs), iops: iops(ops, readMs), latency: latencySummary(readLatencies) },
+        write: { ops, durationMs: round(writeMs), iops: iops(ops, writeMs), latency: latencySummary(writeLatencies) }
+    };
+}
+
+/**
+ * Disk I/O test
+ * @param {Object} options
+ * @param {string} options.dir - Empty directory owned by this run (removed by the coordinator)
+ * @param {number} [options.diskSizeMB] - Test file size (see resolveDiskConfig for all fields)
+ * @param {Function} [onProgress] - Progress callback, see runBenchmark
+ * @returns {Object} - Disk test results
+ */
+function diskTest(options, onProgress = () => {}) {
+    const { dir, ...config } = options;
+    const {
+        diskSizeMB,
+        diskBlockSizesKB,
+        diskSyncMode,
+        diskFsyncIntervalMB,
+        diskRandomOps
+    } = resolveDiskConfig(config);
+
+    display('\n========================================');
+    display('💿 STARTING DISK I/O BENCHMARK');
+    display('========================================');
+    logger.info(`Starting disk I/O test with ${diskSizeMB}MB, blocks ${diskBlockSizesKB.join('/')}KB, ${diskSyncMode}...`);
+    display(`  📁 Test directory: ${dir}`);
+
+    const file = path.join(dir, 'disk-test.dat');
+    const fileBytes = diskSizeMB * 1024 * 1024;
+    const report = progressReporter(onProgress);
+
+    // Random pool as large as the largest block; the first 8 bytes of each
+    // block get a fresh counter so no two written blocks are identical
+    const pool = alignedBuffer(Math.max(...diskBlockSizesKB) * 1024);
+    crypto.randomFillSync(pool);
+    let counter = 0;
+    const stamp = (offset) => pool.writeDoubleLE(++counter, offset);
+    display(`  📦 ${(pool.length / 1024).toFixed(0)}KB of random data, stamped per block`);
+
+    const startTime = Date.now();
+    try {
+        const sequential = diskBlockSizesKB.map((kb) => {
+            display(`\n  ✍️  Sequential ${kb}KB blocks: writing and reading ${diskSizeMB}MB...`);
+            const run = sequentialRun(file, pool, stamp, {
+                blockSize: kb * 1024,
+                fileBytes,
+                syncMode: diskSyncMode,
+                fsyncIntervalBytes: diskFsyncIntervalMB * 1024 * 1024,
+                report
+            });
+            display(`     Write ${run.write.MBps} MB/s (${run.write.syncs} fsyncs), read ${run.read.MBps} MB/s${run.direct ? '' : ' (page cache)'}`);
+            return run;
+        });
+
+        // The file left by the sweep is fully written, so random I/O never extends it
+        display(`\n  🎲 Random 4KB: ${diskRandomOps} reads and ${diskRandomOps} synced writes...`);
+        const random = randomRun(file, pool, stamp, { fileBytes, ops: diskRandomOps, syncMode: diskSyncMode, report });
+        display(`     Read ${random.read.iops} IOPS (p50 ${random.read.latency.p50Ms}ms, p99 ${random.read.latency.p99Ms}ms)`);
+        display(`     Write ${random.write.iops} IOPS (p50 ${random.write.latency.p50Ms}ms, p99 ${random.write.latency.p99Ms}ms)`);
+
+        // Headline numbers: largest block size
+        const largest = sequential[sequential.length - 1];
+        const direct = sequential.every(run => run.direct) && random.direct;
+        const totalTime = Date.now() - startTime;
+
+        display(`\n  📊 Disk I/O Performance:`);
+        display(`     - Write speed: ${largest.write.MBps} MB/s (${largest.blockSizeKB}KB blocks, ${diskSyncMode})`);
+        display(`     - Read speed: ${largest.read.MBps} MB/s${direct ? ' (O_DIRECT)' : ' (page cache)'}`);
+        logger.info(`Disk test completed: Write ${largest.write.MBps} MB/s, Read ${largest.read.MBps} MB/s, ` +
+            `random read ${random.read.iops} IOPS, random write ${random.write.iops} IOPS`);
+        if (!direct) {
+            logger.warn('Disk reads could not use O_DIRECT; read results may reflect the page cache');
+        }
+
+        return {
+            fileSizeMB: diskSizeMB,
+            syncMode: diskSyncMode,
+            fsyncIntervalMB: diskFsyncIntervalMB,
+            direct,
+            writeMBps: largest.write.MBps,
+            readMBps: largest.read.MBps,
+            sequential: sequential.map(({ direct: _direct, ...run }) => run),
+            random: {
+                blockSizeKB: RANDOM_BLOCK_SIZE / 1024,
+                read: random.read,
+                write: random.write
+            },
+            bytesWritten: sequential.reduce((sum, run) => sum + run.write.bytes, 0) + diskRandomOps * RANDOM_BLOCK_SIZE,
+            totalDurationMs: totalTime
+        };
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+}
+
+module.exports = {
+    SYNC_MODES,
+    DEFAULT_BLOCK_SIZES_KB,
+    MAX_BLOCK_SIZE_KB,
+    MAX_RANDOM_OPS,
+    resolveDiskConfig,
+    diskTest
+};
@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+const { chainId: defaultChainId } = require('../config/chain');
+const { taskKey } = require('../utils/taskKey');
+
+/**
+ * Per-task event bus
+ * Services publish progress and pipeline events here; the SSE route
+ * streams them to clients. Recent events are kept per task so a client
+ * that connects mid-run (or reconnects) can catch up. Tasks are keyed by
+ * taskKey, since task IDs are only unique per chain.
+ *
+ * Event types:
+ * - stage            { stage }  benchmarking | uploading | anchoring | done | failed
+ * - progress         { phase, step, percent, opsPerSecond?, mbps?, iops? }
+ * - artifact-created { artifactPath, files }
+ * - file-uploaded    { objectName, bytes }
+ * - tx-sent          { action, txHash, nonce, replaces } (replaces: hash of the stuck tx, or null)
+ * - tx-confirmed     { action, txHash, blockNumber }
+ */
+
+const HISTORY_LIMIT = 200;
+const HISTORY_TTL_MS = 10 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = new Map();
+let nextEventId = 1;
+
+function channel(key) {
+    return `task:${key}`;
+}
+
+/**
+ * Publish an event for a task
+ * @param {number} taskId - Task ID
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain the task lives on (default: CHAIN_ID)
+ * @returns {Object} - Published event
+ */
+function emitTaskEvent(taskId, type, data = {}, { chainId = defaultChainId } = {}) {
+    const key = taskKey(taskId, chainId);
+    const event = {
+        id: nextEventId++,
+        taskId,
+        chainId,
+        type,
+        data,
+        timestamp: new Date().toISOString()
+    };
+
+    let events = history.get(key);
+    if (!events) {
+        events = [];
+        history.set(key, events);
+    }
+    events.push(event);
+    if (events.length > HISTORY_LIMIT) {
+        events.shift();
+    }
+
+    // Drop history some time after the run finishes
+    if (type === 'stage' && (data.stage === 'done' || data.stage === 'failed')) {
+        setTimeout(() => {
+            if (history.get(key) === events) history.delete(key);
+        }, HISTORY_TTL_MS).unref();
+    }
+
+    emitter.emit(channel(key), event);
+    return event;
+}
+
+/**
+ * Subscribe to a task's events
+ * @param {number} taskId - Task ID
+ * @param {Function} listener - (event) => void
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain the task lives on (default: CHAIN_ID)
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(taskId, listener, { chainId = defaultChainId } = {}) {
+    const name = channel(taskKey(taskId, chainId));
+    emitter.on(name, listener);
+    return () => emitter.off(name, listener);
+}
+
+/**
+ * Get buffered events for a task
+ * @param {number} taskId - Task ID
+ * @param {number} [afterId=0] - Only return events with a greater id
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain the task lives on (default: CHAIN_ID)
+ * @returns {Array<Object>}
+ */
+function getTaskEvents(taskId, afterId = 0, { chainId = defaultChainId } = {}) {
+    return (history.get(taskKey(taskId, chainId)) || []).filter(event => event.id > afterId);
+}
+
+module.exports = {
+    emitTaskEvent,
+    subscribe,
+    getTaskEvents
+};
@@ -0,0 +1,197 @@
+const { hashSpec } = require('../utils/hash');
+const { chainId: defaultChainId } = require('../config/chain');
+const { getTask, getReceipt } = require('../contracts/executionRegistry');
+const { loadSpec } = require('./specStore');
+const { getTaskType } = require('./taskTypes');
+const { processArtifacts } = require('./artifacts');
+const { submitReceipt, retryPendingReceipt } = require('./receipt');
+const { emitTaskEvent } = require('./events');
+const logger = require('../utils/logger');
+
+/**
+ * Task execution pipeline
+ * Loads the committed spec, runs the benchmark, uploads artifacts and
+ * anchors the receipt on-chain. Used by the job queue.
+ */
+
+// Job type for queued task executions
+const EXECUTE_TASK_JOB = 'EXECUTE_TASK';
+
+/**
+ * Build an error carrying an HTTP status for the routes
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Load a task's stored spec and check it against the on-chain specHash
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<{task: Object, spec: Object}>}
+ * @throws {Error} with statusCode 404 (unknown task) or 409 (missing/mismatched spec,
+ *   or a type this backend does not run)
+ */
+async function loadCommittedSpec(taskId, { chainId } = {}) {
+    const task = await getTask(taskId, { chainId });
+
+    if (task.requester === '0x0000000000000000000000000000000000000000') {
+        throw httpError(404, 'Task not found');
+    }
+
+    const spec = await loadSpec(task.specHash);
+
+    if (!spec) {
+        throw httpError(409, `Spec not found for specHash ${task.specHash}`);
+    }
+
+    const computedSpecHash = hashSpec(spec);
+
+    if (computedSpecHash.toLowerCase() !== task.specHash.toLowerCase()) {
+        logger.error(`Spec hash mismatch for task ${taskId}: on-chain ${task.specHash}, computed ${computedSpecHash}`);
+        throw httpError(409, `Stored spec does not match on-chain specHash (on-chain ${task.specHash}, computed ${computedSpecHash})`);
+    }
+
+    try {
+        getTaskType(spec.type);
+    } catch (error) {
+        throw httpError(409, `Task type ${spec.type} is not supported by this backend`);
+    }
+
+    return { task, spec };
+}
+
+/**
+ * Execute a task end to end
+ * Stage transitions and benchmark progress are published as task events
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {Function} [options.onStage] - async (stage) => void, called on each
+ *   pipeline stage: benchmarking, uploading, anchoring
+ * @param {AbortSignal} [options.signal] - Cancels the run before anchoring
+ * @param {ethers.Signer} [options.signer] - Signs the receipt transaction (default: backend wallet)
+ * @param {number} [options.chainId] - Chain the task lives on (default: CHAIN_ID)
+ * @returns {Promise<Object>} - Execution summary
+ */
+async function executeTask(taskId, { onStage = async () => {}, signal, signer, chainId = defaultChainId } = {}) {
+    const stage = async (name) => {
+        emitTaskEvent(taskId, 'stage', { stage: name }, { chainId });
+        await onStage(name);
+    };
+
+    // Everything logged during the run, from any module, is captured for execution.log
+    const logs = [];
+
+    try {
+        const result = await logger.runWithContext(
+            { taskId, chainId },
+            () => runPipeline(taskId, stage, { signal, signer, chainId }, logs),
+            { capture: logs }
+        );
+        emitTaskEvent(taskId, 'stage', { stage: 'done' }, { chainId });
+        return result;
+    } catch (error) {
+        emitTaskEvent(taskId, 'stage', { stage: 'failed', error: error.message }, { chainId });
+        throw error;
+    }
+}
+
+async function runPipeline(taskId, stage, { signal, signer, chainId }, logs) {
+    const checkCancelled = () => {
+        if (signal && signal.aborted) {
+            throw new Error('Execution cancelled');
+        }
+    };
+
+    const { task, spec } = await loadCommittedSpec(taskId, { chainId });
+
+    // A receipt may already exist if a previous run was interrupted after anchoring
+    const existingReceipt = await getReceipt(taskId, { chainId });
+    if (existingReceipt) {
+        logger.warn(`Task ${taskId} already has an on-chain receipt, skipping execution`);
+        return {
+            taskId,
+            chainId,
+            artifactHash: existingReceipt.artifactHash,
+            resultHash: existingReceipt.resultHash,
+            artifactUrl: null,
+            receiptTxHash: null,
+            alreadyAnchored: true
+        };
+    }
+
+    // Artifacts were uploaded but the receipt never made it: anchor those hashes
+    // rather than benchmarking again
+    const queued = await retryPendingReceipt(taskId, { chainId });
+    if (queued) {
+        logger.info(`Task ${taskId} anchored from the receipt outbox`);
+        return {
+            taskId,
+            chainId,
+            artifactHash: queued.artifactHash,
+            resultHash: queued.resultHash,
+            artifactUrl: null,
+            receiptTxHash: queued.txHash,
+            fromOutbox: true
+        };
+    }
+
+    logger.info(`Starting execution for task ${taskId}`);
+
+    // Run the benchmark through the spec's task type
+    await stage('benchmarking');
+    const taskType = getTaskType(spec.type);
+    const onProgress = (progress) => emitTaskEvent(taskId, 'progress', progress, { chainId });
+    logger.info(`Running ${spec.type} with committed spec:`, JSON.stringify(spec.config));
+    const benchmarkResults = await taskType.execute(spec, { taskId, task, chainId, onProgress, signal });
+
+    // Process artifacts (create folder, upload to Greenfield, compute hashes)
+    checkCancelled();
+    await stage('uploading');
+    logger.info('Processing artifacts...');
+    // receipt.json is signed by the same key that submits the receipt
+    const { artifactUrl, artifactHash, resultHash, operator, receiptSignature } = await processArtifacts(
+        taskId,
+        benchmarkResults,
+        logs,
+        spec,
+        { chainId, signer }
+    );
+
+    // Last point where cancelling is safe; a sent transaction cannot be recalled
+    checkCancelled();
+
+    // Submit receipt on-chain
+    await stage('anchoring');
+    logger.info('Submitting receipt on-chain...');
+    const receipt = await submitReceipt(taskId, artifactHash, resultHash, { signer, chainId });
+
+    logger.info(`Task ${taskId} execution completed successfully`);
+
+    return {
+        taskId,
+        chainId,
+        artifactHash,
+        resultHash,
+        artifactUrl,
+        operator,
+        receiptSignature,
+        receiptTxHash: receipt.txHash,
+        benchmarkSummary: {
+            duration: benchmarkResults.totalDurationMs,
+            ...taskType.summarize(benchmarkResults)
+        }
+    };
+}
+
+module.exports = {
+    EXECUTE_TASK_JOB,
+    executeTask,
+    loadCommittedSpec
+};
@@ -0,0 +1,360 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { mode } = require('../config/chain');
+const { getRegistry } = require('../contracts/executionRegistry');
+const logger = require('../utils/logger');
+
+// The index follows the default chain (CHAIN_ID)
+const { chainId, provider, contract, deployment } = getRegistry();
+const deploymentBlock = deployment.blockNumber;
+
+/**
+ * ExecutionRegistry event indexer
+ *
+ * Follows TaskCreated and ReceiptSubmitted from the deployment block and
+ * keeps a local JSON index of every task and its receipt.
+ *
+ * Reorgs: only blocks at least INDEXER_CONFIRMATIONS deep are written to the
+ * store. Events in the unconfirmed tail are re-read on every poll and served
+ * with `confirmed: false`, so shallow reorgs simply replace them. The hash of
+ * each confirmed batch tip is checkpointed; if a checkpoint no longer matches
+ * the chain (a reorg deeper than the confirmation depth) the index rolls
+ * back to the newest checkpoint that still matches and re-indexes from there.
+ */
+
+// There are no events to follow in MODE=local
+const INDEXER_ENABLED = (process.env.INDEXER_ENABLED || 'true') === 'true' && mode !== 'local';
+const INDEX_STORE_PATH = process.env.INDEX_STORE_PATH || 'index/tasks.json';
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || '5', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000', 10);
+const BATCH_BLOCKS = parseInt(process.env.INDEXER_BATCH_BLOCKS || '2000', 10);
+const START_BLOCK = process.env.INDEXER_START_BLOCK !== undefined
+    ? parseInt(process.env.INDEXER_START_BLOCK, 10)
+    : deploymentBlock;
+
+// Checkpointed block hashes kept for reorg detection
+const MAX_CHECKPOINTS = 128;
+
+const STATUSES = ['PENDING', 'COMPLETED'];
+
+let state = null;
+let unconfirmed = { tasks: {}, receipts: {} };
+let headBlock = null;
+
+function storePath() {
+    return path.resolve(process.cwd(), INDEX_STORE_PATH);
+}
+
+async function emptyState() {
+    // Without a recorded deployment block, only tasks created from now on are indexed
+    let startBlock = START_BLOCK;
+    if (startBlock === undefined) {
+        startBlock = await provider.getBlockNumber();
+        logger.warn(`No deployment block recorded and INDEXER_START_BLOCK not set; indexing from the current block ${startBlock}, earlier tasks are not listed`);
+    }
+
+    return {
+        chainId,
+        contract: contract.target.toLowerCase(),
+        startBlock,
+        lastIndexedBlock: startBlock - 1,
+        checkpoints: [],
+        tasks: {}
+    };
+}
+
+/**
+ * Load the index from disk
+ * An index written for another chain or contract is discarded
+ * @returns {Promise<Object>}
+ */
+async function loadState() {
+    const filePath = storePath();
+
+    if (await fs.pathExists(filePath)) {
+        try {
+            const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (stored.chainId === chainId && stored.contract === contract.target.toLowerCase()) {
+                return stored;
+            }
+            logger.warn('Task index belongs to another chain or contract, rebuilding');
+        } catch (error) {
+            logger.warn('Task index unreadable, rebuilding:', error.message);
+        }
+    }
+
+    return emptyState();
+}
+
+async function saveState() {
+    const filePath = storePath();
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tmpPath, JSON.stringify(state));
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Fetch and decode registry events in a block range
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<Array<Object>>} - Decoded events in chain order
+ */
+async function fetchEvents(fromBlock, toBlock) {
+    const topics = [[
+        contract.interface.getEvent('TaskCreated').topicHash,
+        contract.interface.getEvent('ReceiptSubmitted').topicHash
+    ]];
+
+    const logs = await provider.getLogs({ address: contract.target, topics, fromBlock, toBlock });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+        if (!timestamps.has(log.blockNumber)) {
+            const block = await provider.getBlock(log.blockNumber);
+            timestamps.set(log.blockNumber, block.timestamp);
+        }
+
+        const parsed = contract.interface.parseLog(log);
+        events.push({
+            name: parsed.name,
+            args: parsed.args,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+            timestamp: timestamps.get(log.blockNumber)
+        });
+    }
+
+    return events;
+}
+
+/**
+ * Apply decoded events to a task map
+ * @param {Object} tasks - taskId => task (mutated)
+ * @param {Object} receipts - taskId => receipt for tasks not in `tasks` (mutated)
+ * @param {Array<Object>} events - Decoded events
+ * @param {boolean} confirmed - Whether the events are past the confirmation depth
+ */
+function applyEvents(tasks, receipts, events, confirmed) {
+    for (const event of events) {
+        const taskId = Number(event.args.taskId);
+
+        if (event.name === 'TaskCreated') {
+            tasks[taskId] = {
+                taskId,
+                requester: event.args.requester,
+                specHash: event.args.specHash,
+                createdAt: event.timestamp,
+                blockNumber: event.blockNumber,
+                txHash: event.txHash,
+                confirmed,
+                receipt: null
+            };
+        } else {
+            const receipt = {
+                operator: event.args.operator,
+                artifactHash: event.args.artifactHash,
+                resultHash: event.args.resultHash,
+                completedAt: event.timestamp,
+                blockNumber: event.blockNumber,
+                txHash: event.txHash,
+                confirmed
+            };
+            if (tasks[taskId]) {
+                tasks[taskId].receipt = receipt;
+            } else {
+                receipts[taskId] = receipt;
+            }
+        }
+    }
+}
+
+/**
+ * Detect a reorg below the confirmed tip and roll back to the newest
+ * checkpoint still on the canonical chain
+ * @returns {Promise<void>}
+ */
+async function handleDeepReorg() {
+    const checkpoints = state.checkpoints;
+    if (checkpoints.length === 0) return;
+
+    const tip = checkpoints[checkpoints.length - 1];
+    const block = await provider.getBlock(tip.number);
+    if (block && block.hash === tip.hash) return;
+
+    let ancestor = null;
+    for (let i = checkpoints.length - 2; i >= 0; i--) {
+        const candidate = await provider.getBlock(checkpoints[i].number);
+        if (candidate && candidate.hash === checkpoints[i].hash) {
+            ancestor = checkpoints[i];
+            break;
+        }
+    }
+
+    const rollbackTo = ancestor ? ancestor.number : state.startBlock - 1;
+    logger.warn(`Reorg below confirmation depth at block ${tip.number}, rolling back index to block ${rollbackTo}`);
+
+    for (const [taskId, task] of Object.entries(state.tasks)) {
+        if (task.blockNumber > rollbackTo) {
+            delete state.tasks[taskId];
+        } else if (task.receipt && task.receipt.blockNumber > rollbackTo) {
+            task.receipt = null;
+        }
+    }
+
+    state.checkpoints = checkpoints.filter(c => c.number <= rollbackTo);
+    state.lastIndexedBlock = rollbackTo;
+    await saveState();
+}
+
+/**
+ * Index confirmed blocks up to head - CONFIRMATIONS and refresh the unconfirmed tail
+ * The poll loop of startIndexer calls this; the index is loaded on first use
+ * @returns {Promise<void>}
+ */
+async function syncOnce() {
+    if (!state) {
+        state = await loadState();
+    }
+    headBlock = await provider.getBlockNumber();
+    const safeBlock = headBlock - CONFIRMATIONS;
+
+    await handleDeepReorg();
+
+    while (state.lastIndexedBlock < safeBlock) {
+        const fromBlock = state.lastIndexedBlock + 1;
+        const toBlock = Math.min(fromBlock + BATCH_BLOCKS - 1, safeBlock);
+
+        const events = await fetchEvents(fromBlock, toBlock);
+        const orphanReceipts = {};
+        applyEvents(state.tasks, orphanReceipts, events, true);
+        for (const taskId of Object.keys(orphanReceipts)) {
+            logger.warn(`ReceiptSubmitted for unindexed task ${taskId}, ignoring`);
+        }
+
+        const tip = await provider.getBlock(toBlock);
+        state.checkpoints.push({ number: toBlock, hash: tip.hash });
+        state.checkpoints = state.checkpoints.slice(-MAX_CHECKPOINTS);
+        state.lastIndexedBlock = toBlock;
+        await saveState();
+
+        if (events.length) {
+            logger.info(`Indexed ${events.length} events in blocks ${fromBlock}-${toBlock}`);
+        }
+    }
+
+    // Unconfirmed tail is rebuilt from scratch every poll
+    const tail = { tasks: {}, receipts: {} };
+    if (headBlock > state.lastIndexedBlock) {
+        const events = await fetchEvents(state.lastIndexedBlock + 1, headBlock);
+        applyEvents(tail.tasks, tail.receipts, events, false);
+    }
+    unconfirmed = tail;
+}
+
+/**
+ * Parse a time filter: unix seconds or an ISO date
+ * @param {string} value - Query value
+ * @returns {number|null} - Unix seconds, or null if invalid
+ */
+function parseTime(value) {
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    const ms = Date.parse(value);
+    return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * List indexed tasks
+ * @param {Object} [filters]
+ * @param {string} [filters.requester] - Requester address
+ * @param {string} [filters.operator] - Receipt operator address
+ * @param {string} [filters.status] - PENDING | COMPLETED
+ * @param {number} [filters.from] - Created at or after (unix seconds)
+ * @param {number} [filters.to] - Created at or before (unix seconds)
+ * @param {number} [filters.page=1] - 1-based page
+ * @param {number} [filters.limit=20] - Page size
+ * @param {string} [filters.order='desc'] - asc | desc by taskId
+ * @returns {{tasks: Array<Object>, total: number, page: number, limit: number}}
+ */
+function queryTasks({ requester, operator, status, from, to, page = 1, limit = 20, order = 'desc' } = {}) {
+    const confirmedTasks = state ? state.tasks : {};
+    const merged = new Map();
+
+    for (const task of Object.values(confirmedTasks)) {
+        merged.set(task.taskId, { ...task, receipt: unconfirmed.receipts[task.taskId] || task.receipt });
+    }
+    for (const task of Object.values(unconfirmed.tasks)) {
+        merged.set(task.taskId, task);
+    }
+
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const tasks = [...merged.values()]
+        .map(task => ({ ...task, status: task.receipt ? 'COMPLETED' : 'PENDING' }))
+        .filter(task => !requester || same(task.requester, requester))
+        .filter(task => !operator || (task.receipt && same(task.receipt.operator, operator)))
+        .filter(task => !status || task.status === status)
+        .filter(task => from === undefined || task.createdAt >= from)
+        .filter(task => to === undefined || task.createdAt <= to)
+        .sort((a, b) => (order === 'asc' ? a.taskId - b.taskId : b.taskId - a.taskId));
+
+    const start = (page - 1) * limit;
+    return {
+        tasks: tasks.slice(start, start + limit),
+        total: tasks.length,
+        page,
+        limit
+    };
+}
+
+/**
+ * Get indexer progress
+ * @returns {Object}
+ */
+function getIndexerStatus() {
+    return {
+        enabled: INDEXER_ENABLED,
+        startBlock: state ? state.startBlock : null,
+        lastIndexedBlock: state ? state.lastIndexedBlock : null,
+        headBlock,
+        confirmations: CONFIRMATIONS,
+        synced: Boolean(state) && headBlock !== null && state.lastIndexedBlock >= headBlock - CONFIRMATIONS
+    };
+}
+
+/**
+ * Load the index and keep it in sync with the chain
+ * @returns {Promise<void>}
+ */
+async function startIndexer() {
+    if (!INDEXER_ENABLED) {
+        logger.info(`Task indexer disabled (${mode === 'local' ? 'MODE=local' : 'INDEXER_ENABLED=false'})`);
+        return;
+    }
+
+    state = await loadState();
+    logger.info(`Task indexer starting at block ${state.lastIndexedBlock + 1} (${CONFIRMATIONS} confirmations)`);
+
+    const tick = async () => {
+        try {
+            await syncOnce();
+        } catch (error) {
+            logger.error('Task indexer sync failed:', error.message);
+        } finally {
+            setTimeout(tick, POLL_INTERVAL_MS).unref();
+        }
+    };
+
+    tick();
+}
+
+module.exports = {
+    STATUSES,
+    parseTime,
+    queryTasks,
+    getIndexerStatus,
+    syncOnce,
+    startIndexer
+};
@@ -0,0 +1,257 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Persistent local job queue
+ * Jobs are stored one JSON file per job so they survive a restart.
+ * Jobs interrupted mid-run are re-queued on startup; handlers must be
+ * safe to re-run (task execution checks for an existing on-chain receipt).
+ *
+ * Lifecycle: queued -> <handler stages> -> done | failed
+ */
+
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || 'jobs';
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1'));
+
+const TERMINAL_STATES = ['done', 'failed'];
+
+const jobs = new Map();
+const pending = [];
+const controllers = new Map();
+const handlers = {};
+let running = 0;
+let started = false;
+
+function getJobDir() {
+    return path.join(process.cwd(), JOB_STORE_DIR);
+}
+
+/**
+ * Persist a job record atomically
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+async function persistJob(job) {
+    const jobPath = path.join(getJobDir(), `${job.id}.json`);
+    const tmpPath = `${jobPath}.${process.pid}.tmp`;
+    await fs.ensureDir(getJobDir());
+    await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+    await fs.rename(tmpPath, jobPath);
+}
+
+/**
+ * Update a job in memory and on disk
+ * @param {Object} job - Job record
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} - Updated job
+ */
+async function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await persistJob(job);
+    return job;
+}
+
+/**
+ * Register the handler for a job type
+ * Handler signature: async (job, setState, signal) => result
+ * signal is an AbortSignal that fires when the job is cancelled
+ * @param {string} type - Job type
+ * @param {Function} handler - Job handler
+ */
+function registerHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+async function runJob(job) {
+    const handler = handlers[job.type];
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type ${job.type}`);
+        }
+
+        await updateJob(job, {
+            attempts: job.attempts + 1,
+            startedAt: new Date().toISOString()
+        });
+
+        const setState = (state) => {
+            logger.info(`Job ${job.id} -> ${state}`);
+            return updateJob(job, { state });
+        };
+
+        const result = await handler(job, setState, controller.signal);
+
+        await updateJob(job, {
+            state: 'done',
+            result,
+            finishedAt: new Date().toISOString()
+        });
+        logger.info(`Job ${job.id} done`);
+
+    } catch (error) {
+        logger.error(`Job ${job.id} failed:`, error.message);
+        await updateJob(job, {
+            state: 'failed',
+            error: error.message,
+            finishedAt: new Date().toISOString()
+        }).catch((persistError) => {
+            logger.error(`Failed to persist job ${job.id}:`, persistError.message);
+        });
+    } finally {
+        controllers.delete(job.id);
+    }
+}
+
+function drain() {
+    while (running < JOB_CONCURRENCY && pending.length > 0) {
+        const job = pending.shift();
+        running++;
+        runJob(job).finally(() => {
+            running--;
+            drain();
+        });
+    }
+}
+
+/**
+ * Submit a new job
+ * findActiveJob sees the job as soon as enqueue is called, before it is persisted
+ * @param {string} type - Job type
+ * @param {Object} payload - Job input
+ * @returns {Promise<Object>} - Queued job
+ */
+async function enqueue(type, payload = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        requestId: logger.getContext().requestId || null,
+        state: 'queued',
+        attempts: 0,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    await persistJob(job);
+    logger.info(`Job ${job.id} queued (${type})`);
+
+    pending.push(job);
+    if (started) drain();
+
+    return job;
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null}
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Find an unfinished job matching a predicate
+ * @param {Function} predicate - (job) => boolean
+ * @returns {Object|null}
+ */
+function findActiveJob(predicate) {
+    for (const job of jobs.values()) {
+        if (!TERMINAL_STATES.includes(job.state) && predicate(job)) {
+            return job;
+        }
+    }
+    return null;
+}
+
+/**
+ * Cancel a job
+ * Queued jobs fail immediately; running jobs are signalled and fail once
+ * their handler stops
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - Job, or null if unknown
+ */
+async function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || TERMINAL_STATES.includes(job.state)) {
+        return job || null;
+    }
+
+    const index = pending.indexOf(job);
+    if (index !== -1) {
+        pending.splice(index, 1);
+        await updateJob(job, {
+            state: 'failed',
+            error: 'Job cancelled',
+            finishedAt: new Date().toISOString()
+        });
+        logger.info(`Job ${job.id} cancelled before start`);
+        return job;
+    }
+
+    const controller = controllers.get(id);
+    if (controller) {
+        logger.info(`Job ${job.id} cancellation requested`);
+        controller.abort();
+    }
+    return job;
+}
+
+/**
+ * Load persisted jobs and start processing
+ * Unfinished jobs from a previous run are re-queued in creation order
+ * @returns {Promise<void>}
+ */
+async function startQueue() {
+    if (started) return;
+
+    await fs.ensureDir(getJobDir());
+    const files = (await fs.readdir(getJobDir())).filter((f) => f.endsWith('.json'));
+
+    const restored = [];
+    for (const file of files) {
+        try {
+            const job = await fs.readJson(path.join(getJobDir(), file));
+            jobs.set(job.id, job);
+            if (!TERMINAL_STATES.includes(job.state)) {
+                restored.push(job);
+            }
+        } catch (error) {
+            logger.warn(`Skipping unreadable job file ${file}:`, error.message);
+        }
+    }
+
+    restored.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of restored) {
+        if (job.state !== 'queued') {
+            logger.warn(`Job ${job.id} was interrupted in state ${job.state}, re-queueing`);
+            await updateJob(job, { state: 'queued' });
+        }
+        pending.push(job);
+    }
+
+    started = true;
+    logger.info(`Job queue started: ${jobs.size} jobs loaded, ${pending.length} pending, concurrency ${JOB_CONCURRENCY}`);
+    drain();
+}
+
+module.exports = {
+    TERMINAL_STATES,
+    registerHandler,
+    enqueue,
+    getJob,
+    findActiveJob,
+    cancelJob,
+    startQueue
+};
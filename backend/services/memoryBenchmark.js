@@ -0,0 +1,311 @@
+const os = require('os');
+const { round } = require('../utils/stats');
+const logger = require('../utils/logger');
+
+const { display } = logger;
+
+/**
+ * Memory suite (runs inside a benchmark worker)
+ *
+ * - Bandwidth over three Float64Arrays a, b, c splitting memorySizeMB:
+ *   write (a[i] = i), read (sum of a), and the STREAM kernels
+ *   copy (c = a), scale (b = s*c) and add (c = a + b); best of memoryPasses
+ * - Latency by pointer chasing: a random cycle with one node per 64-byte
+ *   cache line, so every hop is a dependent load the prefetcher cannot guess
+ * - A sweep of working-set sizes (memorySweepKB) measuring read bandwidth
+ *   and latency, which steps up as the set outgrows each cache level
+ *
+ * Typed arrays live outside the V8 heap, so sizes are exact and nothing is
+ * boxed. Before allocating, the test checks its peak footprint against
+ * MEMORY_MAX_FREE_FRACTION of os.freemem() and returns { error } instead of
+ * running the machine out of memory.
+ */
+
+// Share of free memory the test may allocate
+const MAX_FREE_FRACTION = parseFloat(process.env.MEMORY_MAX_FREE_FRACTION || '0.5');
+
+// L1, L2, L3 and beyond on typical servers; sizes above one array are dropped
+const DEFAULT_SWEEP_KB = [16, 256, 4096, 32768];
+const MAX_PASSES = 100;
+const CACHE_LINE = 64;
+const CHASE_HOPS = 1 << 20;
+// Bytes read per sweep size, so small sizes are timed over many repetitions
+const SWEEP_READ_BYTES = 256 * 1024 * 1024;
+const STREAM_SCALAR = 3;
+
+const DEFAULTS = {
+    memorySizeMB: 100,
+    memoryPasses: 5
+};
+
+function invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Each of the three bandwidth arrays gets a third of memorySizeMB
+const arrayKB = (memorySizeMB) => Math.floor(memorySizeMB * 1024 / 3);
+
+/**
+ * Validate the memory fields of a benchmark config and fill in defaults
+ * @param {Object} [config] - Task spec config
+ * @param {number} [config.memorySizeMB=100] - Total size of the bandwidth arrays
+ * @param {number} [config.memoryPasses=5] - Passes per bandwidth kernel (best is reported)
+ * @param {Array<number>} [config.memorySweepKB] - Working-set sizes, each at most memorySizeMB / 3
+ *   (default: [16, 256, 4096, 32768] without the sizes that do not fit)
+ * @returns {{memorySizeMB: number, memoryPasses: number, memorySweepKB: Array<number>}}
+ * @throws {Error} with statusCode 400 for invalid values
+ */
+function resolveMemoryConfig(config = {}) {
+    const given = (key) => config[key] !== undefined && config[key] !== null;
+    const memorySizeMB = given('memorySizeMB') ? config.memorySizeMB : DEFAULTS.memorySizeMB;
+    const memoryPasses = given('memoryPasses') ? config.memoryPasses : DEFAULTS.memoryPasses;
+
+    if (!isPositiveInteger(memorySizeMB)) {
+        throw invalid('config.memorySizeMB must be a positive integer');
+    }
+    if (!isPositiveInteger(memoryPasses) || memoryPasses > MAX_PASSES) {
+        throw invalid(`config.memoryPasses must be an integer between 1 and ${MAX_PASSES}`);
+    }
+
+    const maxKB = arrayKB(memorySizeMB);
+    let memorySweepKB;
+    if (given('memorySweepKB')) {
+        memorySweepKB = config.memorySweepKB;
+        if (!Array.isArray(memorySweepKB) || !memorySweepKB.every(kb => isPositiveInteger(kb) && kb <= maxKB)) {
+            throw invalid(`config.memorySweepKB must be a list of sizes in KB between 1 and ${maxKB} (memorySizeMB / 3)`);
+        }
+    } else {
+        memorySweepKB = DEFAULT_SWEEP_KB.filter(kb => kb <= maxKB);
+    }
+
+    return {
+        memorySizeMB,
+        memoryPasses,
+        memorySweepKB: [...new Set(memorySweepKB)].sort((a, b) => a - b)
+    };
+}
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+const mbps = (bytes, ms) => round(bytes / (1024 * 1024) / Math.max(ms, 0.001) * 1000, 2);
+
+/**
+ * Time a kernel over several passes
+ * @param {number} passes - Number of runs
+ * @param {Function} kernel - The work; its return value feeds the checksum
+ * @returns {{bestMs: number, value: number}}
+ */
+function bestOf(passes, kernel) {
+    let bestMs = Infinity;
+    let value = 0;
+    for (let pass = 0; pass < passes; pass++) {
+        const start = process.hrtime.bigint();
+        value = kernel();
+        bestMs = Math.min(bestMs, elapsedMs(start));
+    }
+    return { bestMs, value };
+}
+
+/**
+ * Build a random single cycle through the cache lines of a buffer
+ * Sattolo's algorithm with a fixed xorshift seed, so every run chases the
+ * same order.
+ * @param {number} bytes - Working-set size
+ * @returns {Uint32Array} - chain[i] is the index of the node after node i
+ */
+function buildChain(bytes) {
+    const stride = CACHE_LINE / 4;
+    const nodes = Math.max(Math.floor(bytes / CACHE_LINE), 2);
+    const chain = new Uint32Array(nodes * stride);
+    const order = new Uint32Array(nodes);
+    for (let i = 0; i < nodes; i++) order[i] = i;
+
+    let state = 0x9e3779b9;
+    const next = () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state >>> 0;
+    };
+    for (let i = nodes - 1; i > 0; i--) {
+        const j = next() % i;
+        const tmp = order[i];
+        order[i] = order[j];
+        order[j] = tmp;
+    }
+    // Sattolo's shuffle yields a single cycle: node i points at node order[i]
+    for (let i = 0; i < nodes; i++) {
+        chain[i * stride] = order[i] * stride;
+    }
+    return chain;
+}
+
+/**
+ * Average latency of a dependent load
+ * @param {number} bytes - Working-set size
+ * @returns {{latencyNs: number, end: number}}
+ */
+function chaseLatency(bytes) {
+    const chain = buildChain(bytes);
+    let p = 0;
+    for (let i = 0; i < CHASE_HOPS / 8; i++) p = chain[p];
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < CHASE_HOPS; i++) p = chain[p];
+    const ns = Number(process.hrtime.bigint() - start);
+
+    return { latencyNs: round(ns / CHASE_HOPS, 2), end: p };
+}
+
+/**
+ * Read bandwidth of the first sizeKB of an array, repeated to SWEEP_READ_BYTES
+ * @param {Float64Array} array - Source
+ * @param {number} sizeKB - Working-set size
+ * @returns {{readMBps: number, sum: number}}
+ */
+function sweepRead(array, sizeKB) {
+    const view = array.subarray(0, sizeKB * 1024 / 8);
+    const reps = Math.max(Math.ceil(SWEEP_READ_BYTES / (sizeKB * 1024)), 1);
+    const readOnce = () => {
+        let partial = 0;
+        for (let i = 0; i < view.length; i++) partial += view[i];
+        return partial;
+    };
+    let sum = readOnce();
+
+    const start = process.hrtime.bigint();
+    for (let r = 0; r < reps; r++) sum += readOnce();
+    const ms = elapsedMs(start);
+
+    return { readMBps: mbps(view.length * 8 * reps, ms), sum };
+}
+
+/**
+ * Check the test's peak footprint against free memory
+ * @param {number} memorySizeMB - Bandwidth arrays
+ * @param {Array<number>} memorySweepKB - Sweep sizes (the largest chain is allocated next to the arrays)
+ * @returns {{requestedMB: number, limitMB: number, freeMemoryMB: number, fits: boolean}}
+ */
+function checkFootprint(memorySizeMB, memorySweepKB) {
+    const largestChainKB = memorySweepKB.length ? Math.max(...memorySweepKB) : 0;
+    const requestedMB = Math.ceil(memorySizeMB + largestChainKB / 1024);
+    const freeMemoryMB = Math.floor(os.freemem() / 1024 / 1024);
+    const limitMB = Math.floor(freeMemoryMB * MAX_FREE_FRACTION);
+    return { requestedMB, limitMB, freeMemoryMB, fits: requestedMB <= limitMB };
+}
+
+/**
+ * Memory bandwidth and latency test
+ * @param {Object} config - Memory fields of the benchmark config (see resolveMemoryConfig)
+ * @param {Function} [onProgress] - Progress callback, see runBenchmark
+ * @returns {Object} - Memory test results, or { error, requestedMB, limitMB, freeMemoryMB } if it does not fit
+ */
+function memoryTest(config = {}, onProgress = () => {}) {
+    const { memorySizeMB, memoryPasses, memorySweepKB } = resolveMemoryConfig(config);
+
+    display('\n========================================');
+    display('💾 STARTING MEMORY BENCHMARK');
+    display('========================================');
+    logger.info(`Starting memory test with ${memorySizeMB}MB, ${memoryPasses} passes, sweep ${memorySweepKB.join('/')}KB...`);
+
+    const footprint = checkFootprint(memorySizeMB, memorySweepKB);
+    const refuse = (error) => {
+        logger.warn(`Memory test skipped: ${error}`);
+        display(`  ⚠️  ${error}`);
+        return {
+            error,
+            allocatedMB: 0,
+            requestedMB: footprint.requestedMB,
+            limitMB: footprint.limitMB,
+            freeMemoryMB: footprint.freeMemoryMB
+        };
+    };
+    if (!footprint.fits) {
+        return refuse(`Needs ${footprint.requestedMB}MB but the limit is ${footprint.limitMB}MB ` +
+            `(${MAX_FREE_FRACTION * 100}% of ${footprint.freeMemoryMB}MB free)`);
+    }
+
+    const startTime = Date.now();
+    const length = Math.floor(arrayKB(memorySizeMB) * 1024 / 8);
+    const arrayBytes = length * 8;
+    let a, b, c;
+    try {
+        a = new Float64Array(length);
+        b = new Float64Array(length);
+        c = new Float64Array(length);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return refuse(`Allocation of ${memorySizeMB}MB failed: ${error.message}`);
+        }
+        throw error;
+    }
+    display(`  📦 3 arrays of ${length.toLocaleString()} doubles (${(arrayBytes / (1024 * 1024)).toFixed(2)}MB each)`);
+
+    let checksum = 0;
+    const kernels = [
+        ['write', arrayBytes, () => { for (let i = 0; i < length; i++) a[i] = i; return a[length - 1]; }],
+        ['read', arrayBytes, () => { let sum = 0; for (let i = 0; i < length; i++) sum += a[i]; return sum; }],
+        ['copy', 2 * arrayBytes, () => { for (let i = 0; i < length; i++) c[i] = a[i]; return c[length - 1]; }],
+        ['scale', 2 * arrayBytes, () => { for (let i = 0; i < length; i++) b[i] = STREAM_SCALAR * c[i]; return b[length - 1]; }],
+        ['add', 3 * arrayBytes, () => { for (let i = 0; i < length; i++) c[i] = a[i] + b[i]; return c[length - 1]; }]
+    ];
+
+    const bandwidth = {};
+    const steps = kernels.length + memorySweepKB.length;
+    kernels.forEach(([name, bytes, kernel], index) => {
+        const { bestMs, value } = bestOf(memoryPasses, kernel);
+        checksum += value;
+        bandwidth[name] = mbps(bytes, bestMs);
+        display(`  ✅ ${name.padEnd(5)} ${bandwidth[name].toFixed(2)} MB/s (best of ${memoryPasses})`);
+        onProgress({ phase: 'memory', step: name, percent: round((index + 1) / steps * 100, 1), mbps: bandwidth[name] });
+    });
+
+    display(`\n  🔍 Working-set sweep...`);
+    const sweep = memorySweepKB.map((sizeKB, index) => {
+        const { readMBps, sum } = sweepRead(a, sizeKB);
+        const { latencyNs, end } = chaseLatency(sizeKB * 1024);
+        checksum += sum + end;
+        display(`     ${String(sizeKB).padStart(7)}KB: read ${readMBps.toFixed(2)} MB/s, latency ${latencyNs}ns`);
+        onProgress({ phase: 'memory', step: `sweep-${sizeKB}K`, percent: round((kernels.length + index + 1) / steps * 100, 1), mbps: readMBps });
+        return { sizeKB, readMBps, latencyNs };
+    });
+
+    const totalTime = Date.now() - startTime;
+    const largest = sweep[sweep.length - 1];
+
+    display(`\n  📊 Memory Performance:`);
+    display(`     - Write speed: ${bandwidth.write.toFixed(2)} MB/s`);
+    display(`     - Read speed: ${bandwidth.read.toFixed(2)} MB/s`);
+    display(`     - Copy / Scale / Add: ${bandwidth.copy.toFixed(2)} / ${bandwidth.scale.toFixed(2)} / ${bandwidth.add.toFixed(2)} MB/s`);
+    if (largest) display(`     - Latency at ${largest.sizeKB}KB: ${largest.latencyNs}ns`);
+    display(`     - Total time: ${totalTime}ms`);
+    logger.info(`Memory test completed: Write ${bandwidth.write.toFixed(2)} MB/s, Read ${bandwidth.read.toFixed(2)} MB/s, ` +
+        `Copy ${bandwidth.copy.toFixed(2)} MB/s${largest ? `, latency ${largest.latencyNs}ns at ${largest.sizeKB}KB` : ''}`);
+
+    return {
+        allocatedMB: memorySizeMB,
+        arrayMB: round(arrayBytes / (1024 * 1024), 2),
+        passes: memoryPasses,
+        writeMBps: bandwidth.write,
+        readMBps: bandwidth.read,
+        stream: {
+            copyMBps: bandwidth.copy,
+            scaleMBps: bandwidth.scale,
+            addMBps: bandwidth.add
+        },
+        latencyNs: largest ? largest.latencyNs : null,
+        sweep,
+        totalDurationMs: totalTime,
+        checksum: checksum % 1000000 // For verification
+    };
+}
+
+module.exports = {
+    DEFAULT_SWEEP_KB,
+    MAX_PASSES,
+    resolveMemoryConfig,
+    memoryTest
+};
@@ -0,0 +1,494 @@
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { latencySummary, round } = require('../utils/stats');
+const logger = require('../utils/logger');
+
+const { display } = logger;
+
+/**
+ * NETWORK_BENCHMARK client (runs inside a benchmark worker)
+ *
+ * Against a target speaking the protocol of services/networkServer.js:
+ * - TCP: connection setup latency, echo round-trip latency, upload (SINK)
+ *   and download (SOURCE) throughput
+ * - HTTP: request latency (GET /ping on a keep-alive connection), upload
+ *   (POST /sink) and download (GET /source) throughput
+ *
+ * Throughput tests stream for throughputDurationMs. Uploads count what the
+ * target confirms it received, not what was handed to the socket.
+ *
+ * Remote hosts must be listed in NETWORK_ALLOWED_HOSTS (comma-separated,
+ * "*" for any), so a task spec cannot point the operator at arbitrary hosts.
+ * "loopback" is always allowed.
+ */
+
+const LOOPBACK = 'loopback';
+// No progress on a socket for this long fails the test
+const IO_TIMEOUT_MS = 10000;
+
+const LIMITS = {
+    connections: [1, 1000],
+    requests: [1, 100000],
+    payloadBytes: [1, 65536],
+    throughputDurationMs: [100, 600000]
+};
+
+const DEFAULTS = {
+    target: LOOPBACK,
+    connections: 50,
+    requests: 200,
+    payloadBytes: 64,
+    throughputDurationMs: 5000
+};
+
+const pool = crypto.randomBytes(64 * 1024);
+
+function invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Hosts remote targets may use
+ * @returns {Array<string>} - Lowercase host names, or ["*"]
+ */
+function allowedHosts() {
+    return (process.env.NETWORK_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function checkHostAllowed(host) {
+    const allowed = allowedHosts();
+    if (!allowed.includes('*') && !allowed.includes(host.toLowerCase())) {
+        throw invalid(`Network target host ${host} is not in NETWORK_ALLOWED_HOSTS`);
+    }
+}
+
+/**
+ * Validate a target
+ * @param {string|Object} target - "loopback" or { host, tcpPort?, httpUrl? }
+ * @returns {string|{host: string, tcpPort: number|null, httpUrl: string|null}}
+ */
+function resolveTarget(target) {
+    if (target === LOOPBACK) return LOOPBACK;
+
+    if (!target || typeof target !== 'object' || typeof target.host !== 'string' || !target.host) {
+        throw invalid('config.target must be "loopback" or { host, tcpPort?, httpUrl? }');
+    }
+    const tcpPort = target.tcpPort === undefined || target.tcpPort === null ? null : target.tcpPort;
+    const httpUrl = target.httpUrl === undefined || target.httpUrl === null ? null : target.httpUrl;
+
+    if (tcpPort === null && httpUrl === null) {
+        throw invalid('config.target needs tcpPort, httpUrl or both');
+    }
+    if (tcpPort !== null && !(Number.isInteger(tcpPort) && tcpPort > 0 && tcpPort < 65536)) {
+        throw invalid('config.target.tcpPort must be a port number');
+    }
+    checkHostAllowed(target.host);
+
+    if (httpUrl !== null) {
+        let url;
+        try {
+            url = new URL(httpUrl);
+        } catch (error) {
+            throw invalid(`config.target.httpUrl is not a URL: ${httpUrl}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw invalid('config.target.httpUrl must be http or https');
+        }
+        checkHostAllowed(url.hostname.replace(/^\[|\]$/g, ''));
+    }
+
+    return { host: target.host, tcpPort, httpUrl };
+}
+
+/**
+ * Validate the fields of a NETWORK_BENCHMARK config and fill in defaults
+ * @param {Object} [config] - Task spec config
+ * @param {string|Object} [config.target='loopback'] - "loopback" or { host, tcpPort?, httpUrl? }
+ * @param {number} [config.connections=50] - Connections opened for setup latency
+ * @param {number} [config.requests=200] - Echo round trips and HTTP requests, each
+ * @param {number} [config.payloadBytes=64] - Echo message size
+ * @param {number} [config.throughputDurationMs=5000] - Length of each throughput test
+ * @returns {Object} - Resolved config
+ * @throws {Error} with statusCode 400 for invalid values
+ */
+function resolveNetworkConfig(config = {}) {
+    const resolved = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        resolved[key] = config[key] === undefined || config[key] === null ? DEFAULTS[key] : config[key];
+    }
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+        const value = resolved[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw invalid(`config.${key} must be an integer between ${min} and ${max}`);
+        }
+    }
+    resolved.target = resolveTarget(resolved.target);
+    return resolved;
+}
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+function throughput(bytes, ms) {
+    const seconds = Math.max(ms, 0.001) / 1000;
+    return {
+        bytes,
+        durationMs: round(ms),
+        MBps: round(bytes / (1024 * 1024) / seconds, 2),
+        Mbitps: round(bytes * 8 / 1e6 / seconds, 2)
+    };
+}
+
+/**
+ * Open a TCP connection
+ * @param {string} host - Host
+ * @param {number} port - Port
+ * @returns {Promise<net.Socket>} - Connected socket with an idle timeout
+ */
+function connect(host, port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        socket.setNoDelay(true);
+        socket.setTimeout(IO_TIMEOUT_MS, () => socket.destroy(new Error(`No activity from ${host}:${port} for ${IO_TIMEOUT_MS}ms`)));
+        socket.once('error', reject);
+        socket.once('connect', () => {
+            socket.off('error', reject);
+            // Tests listen for the errors they care about; late ones after a test must not crash the worker
+            socket.on('error', () => {});
+            resolve(socket);
+        });
+    });
+}
+
+/**
+ * Time TCP connection setup (handshake until connected)
+ */
+async function tcpConnectLatency(host, port, connections, report) {
+    const samples = [];
+    for (let i = 0; i < connections; i++) {
+        const start = process.hrtime.bigint();
+        const socket = await connect(host, port);
+        samples.push(elapsedMs(start));
+        socket.destroy();
+        report('connect', i + 1, connections);
+    }
+    return latencySummary(samples);
+}
+
+/**
+ * Time echo round trips of payloadBytes on one connection
+ */
+async function tcpEcho(host, port, requests, payloadBytes, report) {
+    const socket = await connect(host, port);
+    const payload = pool.subarray(0, payloadBytes);
+    const samples = [];
+    let received = 0;
+    let waiting = null;
+
+    socket.on('data', (chunk) => {
+        received += chunk.length;
+        if (waiting && received >= payloadBytes) {
+            received -= payloadBytes;
+            const done = waiting;
+            waiting = null;
+            done.resolve();
+        }
+    });
+    socket.on('error', (error) => waiting && waiting.reject(error));
+    socket.on('close', () => waiting && waiting.reject(new Error('Echo connection closed')));
+
+    try {
+        socket.write('ECHO\n');
+        for (let i = 0; i < requests; i++) {
+            const start = process.hrtime.bigint();
+            await new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+                socket.write(payload);
+            });
+            samples.push(elapsedMs(start));
+            report('echo', i + 1, requests);
+        }
+    } finally {
+        socket.destroy();
+    }
+    return { payloadBytes, ...latencySummary(samples) };
+}
+
+/**
+ * Write pool to a stream until durationMs has passed, honouring backpressure
+ * @param {stream.Writable} stream - Socket or HTTP request
+ * @param {number} durationMs - How long to write
+ * @param {function(number): void} onBytes - Called with the bytes written so far
+ * @returns {Promise<void>} - Resolves once the stream has been ended
+ */
+function writeFor(stream, durationMs, onBytes) {
+    return new Promise((resolve, reject) => {
+        const start = Date.now();
+        let written = 0;
+        const write = () => {
+            while (Date.now() - start < durationMs) {
+                written += pool.length;
+                onBytes(written);
+                if (!stream.write(pool)) return;
+            }
+            stream.off('drain', write);
+            stream.end();
+            resolve();
+        };
+        stream.on('drain', write);
+        stream.once('error', reject);
+        write();
+    });
+}
+
+/**
+ * Read a stream for durationMs, then close it
+ * @param {stream.Readable} stream - Socket or HTTP response
+ * @param {number} durationMs - How long to read
+ * @param {Function} close - Closes the connection
+ * @param {function(number): void} onBytes - Called with the bytes read so far
+ * @returns {Promise<number>} - Bytes read
+ */
+function readFor(stream, durationMs, close, onBytes) {
+    return new Promise((resolve, reject) => {
+        let bytes = 0;
+        const timer = setTimeout(() => {
+            stream.removeAllListeners('data');
+            close();
+            resolve(bytes);
+        }, durationMs);
+        stream.on('data', (chunk) => {
+            bytes += chunk.length;
+            onBytes(bytes);
+        });
+        stream.once('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        stream.once('end', () => {
+            clearTimeout(timer);
+            reject(new Error(`Download ended early after ${bytes} bytes`));
+        });
+    });
+}
+
+/**
+ * Stream to SINK for durationMs; counts what the target confirms
+ */
+async function tcpUpload(host, port, durationMs, report) {
+    const socket = await connect(host, port);
+    try {
+        const reply = new Promise((resolve, reject) => {
+            let text = '';
+            socket.on('data', (chunk) => { text += chunk.toString(); });
+            socket.once('end', () => resolve(text));
+            socket.once('error', reject);
+        });
+
+        socket.write('SINK\n');
+        const start = process.hrtime.bigint();
+        await writeFor(socket, durationMs, (bytes) => report('tcp-upload', elapsedMs(start), durationMs, bytes, start));
+        const confirmed = parseInt(await reply, 10);
+        const ms = elapsedMs(start);
+        if (!Number.isInteger(confirmed)) {
+            throw new Error('Target did not confirm the uploaded byte count');
+        }
+        return throughput(confirmed, ms);
+    } finally {
+        socket.destroy();
+    }
+}
+
+/**
+ * Read from SOURCE for durationMs
+ */
+async function tcpDownload(host, port, durationMs, report) {
+    const socket = await connect(host, port);
+    try {
+        socket.write('SOURCE\n');
+        const start = process.hrtime.bigint();
+        const bytes = await readFor(socket, durationMs, () => socket.destroy(),
+            (read) => report('tcp-download', elapsedMs(start), durationMs, read, start));
+        return throughput(bytes, elapsedMs(start));
+    } finally {
+        socket.destroy();
+    }
+}
+
+/**
+ * Send an HTTP request and collect the response body
+ * @param {string} url - Absolute URL
+ * @param {Object} options - http.request options
+ * @returns {{req: http.ClientRequest, response: Promise<http.IncomingMessage>}}
+ */
+function request(url, options) {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, options);
+    req.setTimeout(IO_TIMEOUT_MS, () => req.destroy(new Error(`No response from ${url} for ${IO_TIMEOUT_MS}ms`)));
+    const response = new Promise((resolve, reject) => {
+        req.once('response', (res) => {
+            res.on('error', () => {});
+            resolve(res);
+        });
+        req.once('error', reject);
+    });
+    // Aborting a download on purpose must not crash the worker
+    req.on('error', () => {});
+    return { req, response };
+}
+
+function readBody(res) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.once('end', () => resolve(Buffer.concat(chunks).toString()));
+        res.once('error', reject);
+    });
+}
+
+function expectStatus(res, url, ...statuses) {
+    if (!statuses.includes(res.statusCode)) {
+        res.resume();
+        throw new Error(`${url} answered ${res.statusCode}`);
+    }
+}
+
+/**
+ * Time GET /ping on one keep-alive connection (after one warm-up request)
+ */
+async function httpRequests(baseUrl, requests, report) {
+    const url = new URL('ping', baseUrl).toString();
+    const agent = new (url.startsWith('https:') ? https : http).Agent({ keepAlive: true, maxSockets: 1 });
+    const samples = [];
+    try {
+        for (let i = -1; i < requests; i++) {
+            const start = process.hrtime.bigint();
+            const { req, response } = request(url, { method: 'GET', agent });
+            req.end();
+            const res = await response;
+            expectStatus(res, url, 200, 204);
+            await readBody(res);
+            if (i >= 0) {
+                samples.push(elapsedMs(start));
+                report('http-request', i + 1, requests);
+            }
+        }
+    } finally {
+        agent.destroy();
+    }
+    return latencySummary(samples);
+}
+
+/**
+ * POST to /sink for durationMs; counts what the target confirms
+ */
+async function httpUpload(baseUrl, durationMs, report) {
+    const url = new URL('sink', baseUrl).toString();
+    const { req, response } = request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' }
+    });
+    const start = process.hrtime.bigint();
+    await writeFor(req, durationMs, (bytes) => report('http-upload', elapsedMs(start), durationMs, bytes, start));
+    const res = await response;
+    expectStatus(res, url, 200);
+    const { bytes } = JSON.parse(await readBody(res));
+    return throughput(bytes, elapsedMs(start));
+}
+
+/**
+ * GET /source for durationMs
+ */
+async function httpDownload(baseUrl, durationMs, report) {
+    const url = new URL('source', baseUrl).toString();
+    const { req, response } = request(url, { method: 'GET' });
+    req.end();
+    const start = process.hrtime.bigint();
+    const res = await response;
+    expectStatus(res, url, 200);
+    const bytes = await readFor(res, durationMs, () => req.destroy(),
+        (read) => report('http-download', elapsedMs(start), durationMs, read, start));
+    return throughput(bytes, elapsedMs(start));
+}
+
+/**
+ * Throttle progress reports to about one per second (plus the last one)
+ * @param {Function} onProgress - Progress callback
+ * @returns {function(string, number, number, number=, bigint=): void}
+ *   (step, done, total, bytes?, start?) - bytes and start add the current MB/s
+ */
+function progressReporter(onProgress) {
+    let last = 0;
+    return (step, done, total, bytes, start) => {
+        const now = Date.now();
+        if (done < total && now - last < 1000) return;
+        last = now;
+        const progress = { phase: 'network', step, percent: round(Math.min(done / total, 1) * 100, 1) };
+        if (bytes !== undefined) progress.mbps = throughput(bytes, elapsedMs(start)).MBps;
+        onProgress(progress);
+    };
+}
+
+/**
+ * Network test
+ * @param {Object} config - Resolved config; target is { host, tcpPort, httpUrl }
+ *   (the coordinator replaces "loopback" with the built-in server's address)
+ * @param {Function} [onProgress] - Progress callback, see runBenchmark
+ * @returns {Promise<Object>} - { tcp, http }; a part is null if the target has no such endpoint
+ */
+async function networkTest(config, onProgress = () => {}) {
+    const { target, connections, requests, payloadBytes, throughputDurationMs } = config;
+    const report = progressReporter(onProgress);
+    const result = { tcp: null, http: null };
+
+    display('\n========================================');
+    display('🌐 STARTING NETWORK BENCHMARK');
+    display('========================================');
+    logger.info(`Starting network test against ${target.host} (tcp ${target.tcpPort || '-'}, http ${target.httpUrl || '-'})...`);
+
+    if (target.tcpPort) {
+        const { host, tcpPort } = target;
+        display(`\n  🔌 TCP ${host}:${tcpPort}`);
+        const connect = await tcpConnectLatency(host, tcpPort, connections, (step, done, total) => report('tcp-connect', done, total));
+        display(`     Connect: p50 ${connect.p50Ms}ms, p99 ${connect.p99Ms}ms (${connections} connections)`);
+        const echo = await tcpEcho(host, tcpPort, requests, payloadBytes, (step, done, total) => report('tcp-echo', done, total));
+        display(`     Echo ${payloadBytes}B: p50 ${echo.p50Ms}ms, p99 ${echo.p99Ms}ms`);
+        const upload = await tcpUpload(host, tcpPort, throughputDurationMs, report);
+        display(`     Upload: ${upload.MBps} MB/s`);
+        const download = await tcpDownload(host, tcpPort, throughputDurationMs, report);
+        display(`     Download: ${download.MBps} MB/s`);
+        result.tcp = { connect, echo, upload, download };
+    }
+
+    if (target.httpUrl) {
+        const base = target.httpUrl.endsWith('/') ? target.httpUrl : `${target.httpUrl}/`;
+        display(`\n  🌍 HTTP ${base}`);
+        const requestLatency = await httpRequests(base, requests, report);
+        display(`     Requests: p50 ${requestLatency.p50Ms}ms, p95 ${requestLatency.p95Ms}ms, p99 ${requestLatency.p99Ms}ms`);
+        const upload = await httpUpload(base, throughputDurationMs, report);
+        display(`     Upload: ${upload.MBps} MB/s`);
+        const download = await httpDownload(base, throughputDurationMs, report);
+        display(`     Download: ${download.MBps} MB/s`);
+        result.http = { request: requestLatency, upload, download };
+    }
+
+    logger.info('Network test completed' +
+        (result.tcp ? `: TCP up ${result.tcp.upload.MBps} MB/s, down ${result.tcp.download.MBps} MB/s, connect p50 ${result.tcp.connect.p50Ms}ms` : '') +
+        (result.http ? `${result.tcp ? ';' : ':'} HTTP up ${result.http.upload.MBps} MB/s, down ${result.http.download.MBps} MB/s, request p50 ${result.http.request.p50Ms}ms` : ''));
+
+    return result;
+}
+
+module.exports = {
+    LOOPBACK,
+    DEFAULTS,
+    LIMITS,
+    resolveNetworkConfig,
+    networkTest
+};
@@ -0,0 +1,179 @@
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Built-in NETWORK_BENCHMARK target
+ * The backend starts one on 127.0.0.1 for target "loopback"; operators can
+ * run it anywhere with `npm run network-server` and list it as a remote
+ * target. Any server speaking the same protocol works.
+ *
+ * TCP: the client sends one header line, then
+ *   ECHO\n    every byte is sent back
+ *   SINK\n    bytes are counted until the client half-closes; the reply is "<count>\n"
+ *   SOURCE\n  random bytes are streamed until the client disconnects
+ *
+ * HTTP:
+ *   GET  /ping    204, no body
+ *   POST /sink    body is counted; replies { "bytes": <count> }
+ *   GET  /source  random bytes are streamed until the client disconnects
+ */
+
+// Longest accepted TCP header line
+const MAX_HEADER_BYTES = 64;
+
+// Random payload for SOURCE streams, reused for every write
+const pool = crypto.randomBytes(64 * 1024);
+
+/**
+ * Write pool to a stream until it closes, honouring backpressure
+ * @param {stream.Writable} stream - Socket or HTTP response
+ */
+function pump(stream) {
+    const write = () => {
+        while (!stream.destroyed && !stream.writableEnded && stream.write(pool)) {
+            // keep writing until the buffer is full
+        }
+    };
+    stream.on('drain', write);
+    write();
+}
+
+function handleTcp(socket) {
+    socket.setNoDelay(true);
+    socket.on('error', () => {});
+
+    let header = Buffer.alloc(0);
+    let mode = null;
+    let count = 0;
+
+    socket.on('data', (chunk) => {
+        if (mode === null) {
+            header = Buffer.concat([header, chunk]);
+            const newline = header.indexOf(0x0a);
+            if (newline === -1) {
+                if (header.length > MAX_HEADER_BYTES) socket.destroy();
+                return;
+            }
+            mode = header.subarray(0, newline).toString().trim();
+            chunk = header.subarray(newline + 1);
+
+            if (mode === 'SOURCE') {
+                pump(socket);
+                return;
+            }
+            if (mode !== 'ECHO' && mode !== 'SINK') {
+                socket.destroy();
+                return;
+            }
+        }
+
+        if (mode === 'ECHO' && chunk.length) socket.write(chunk);
+        if (mode === 'SINK') count += chunk.length;
+    });
+
+    socket.on('end', () => {
+        if (mode === 'SINK') socket.end(`${count}\n`);
+        else socket.end();
+    });
+}
+
+function handleHttp(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/ping') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    if (req.method === 'POST' && pathname === '/sink') {
+        let bytes = 0;
+        req.on('data', (chunk) => { bytes += chunk.length; });
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ bytes }));
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/source') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.on('error', () => {});
+        return pump(res);
+    }
+
+    res.writeHead(404);
+    res.end();
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+/**
+ * Start the TCP and HTTP listeners
+ * @param {Object} [options]
+ * @param {string} [options.host='127.0.0.1'] - Bind address
+ * @param {number} [options.tcpPort=0] - TCP port (0 = any free port)
+ * @param {number} [options.httpPort=0] - HTTP port (0 = any free port)
+ * @returns {Promise<{host: string, tcpPort: number, httpUrl: string, close: function(): Promise<void>}>}
+ */
+async function startNetworkServer({ host = '127.0.0.1', tcpPort = 0, httpPort = 0 } = {}) {
+    const sockets = new Set();
+    const tcpServer = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        handleTcp(socket);
+    });
+    const httpServer = http.createServer(handleHttp);
+
+    const boundTcpPort = await listen(tcpServer, tcpPort, host);
+    let boundHttpPort;
+    try {
+        boundHttpPort = await listen(httpServer, httpPort, host);
+    } catch (error) {
+        tcpServer.close();
+        throw error;
+    }
+
+    const urlHost = net.isIPv6(host) ? `[${host}]` : host;
+    logger.info(`Network benchmark server listening on ${host} (tcp ${boundTcpPort}, http ${boundHttpPort})`);
+
+    return {
+        host,
+        tcpPort: boundTcpPort,
+        httpUrl: `http://${urlHost}:${boundHttpPort}/`,
+        close: async () => {
+            sockets.forEach(socket => socket.destroy());
+            httpServer.closeAllConnections();
+            await Promise.all([
+                new Promise(resolve => tcpServer.close(() => resolve())),
+                new Promise(resolve => httpServer.close(() => resolve()))
+            ]);
+        }
+    };
+}
+
+module.exports = {
+    startNetworkServer
+};
+
+// Run as a standalone target: npm run network-server
+if (require.main === module) {
+    require('dotenv').config();
+    startNetworkServer({
+        host: process.env.NETWORK_SERVER_HOST || '0.0.0.0',
+        tcpPort: parseInt(process.env.NETWORK_SERVER_TCP_PORT || '5201', 10),
+        httpPort: parseInt(process.env.NETWORK_SERVER_HTTP_PORT || '5202', 10)
+    }).catch((error) => {
+        logger.error('Network benchmark server failed to start:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,289 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getRegistry, getReceipt } = require('../contracts/executionRegistry');
+const { executeTask } = require('./executor');
+const logger = require('../utils/logger');
+
+// The operator serves the default chain (CHAIN_ID)
+const { chainId, provider, contract, deployment } = getRegistry();
+const deploymentBlock = deployment.blockNumber;
+
+/**
+ * Standalone operator
+ *
+ * Follows TaskCreated events and executes every task it has not seen before
+ * (benchmark, artifact upload, receipt) with its own signer. Tasks are run
+ * one at a time in taskId order; a task that already has a receipt on-chain
+ * is skipped without running the benchmark.
+ *
+ * Progress is kept in a local state file (OPERATOR_STATE_PATH): the last
+ * scanned block and the status of every claimed task. After a crash the
+ * operator resumes scanning where it stopped and re-runs any task that was
+ * still running; the executor's receipt check makes that re-run a no-op if
+ * the receipt had already been anchored.
+ *
+ * Claims are local: there is no on-chain lock, so two operators following
+ * the same registry race and the slower one reverts with "Receipt already
+ * submitted" (and skips the task on its next attempt).
+ */
+
+const OPERATOR_STATE_PATH = process.env.OPERATOR_STATE_PATH || 'operator/state.json';
+const POLL_INTERVAL_MS = parseInt(process.env.OPERATOR_POLL_INTERVAL_MS || '5000', 10);
+const CONFIRMATIONS = parseInt(process.env.OPERATOR_CONFIRMATIONS || '2', 10);
+const BATCH_BLOCKS = parseInt(process.env.OPERATOR_BATCH_BLOCKS || '2000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.OPERATOR_MAX_ATTEMPTS || '3', 10);
+const START_BLOCK = process.env.OPERATOR_START_BLOCK !== undefined
+    ? parseInt(process.env.OPERATOR_START_BLOCK, 10)
+    : deploymentBlock;
+
+// claimed -> running -> completed | skipped | failed (or back to claimed to retry)
+const TASK_STATUSES = ['claimed', 'running', 'completed', 'skipped', 'failed'];
+
+let state = null;
+let signer = null;
+let stopping = false;
+let current = null;
+let timer = null;
+
+function statePath() {
+    return path.resolve(process.cwd(), OPERATOR_STATE_PATH);
+}
+
+async function saveState() {
+    const filePath = statePath();
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    state.updatedAt = new Date().toISOString();
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Load the operator state
+ * State written for another chain, contract or operator address is discarded
+ * @param {string} operator - Operator address
+ * @returns {Promise<Object>}
+ */
+async function loadState(operator) {
+    const filePath = statePath();
+
+    if (await fs.pathExists(filePath)) {
+        try {
+            const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (stored.chainId === chainId &&
+                stored.contract === contract.target.toLowerCase() &&
+                stored.operator === operator) {
+                return stored;
+            }
+            logger.warn('Operator state belongs to another chain, contract or key, starting fresh');
+        } catch (error) {
+            logger.warn('Operator state unreadable, starting fresh:', error.message);
+        }
+    }
+
+    // Without a recorded deployment block, only tasks created from now on are picked up
+    const startBlock = START_BLOCK !== undefined ? START_BLOCK : await provider.getBlockNumber();
+
+    return {
+        chainId,
+        contract: contract.target.toLowerCase(),
+        operator,
+        lastBlock: startBlock - 1,
+        tasks: {},
+        updatedAt: null
+    };
+}
+
+/**
+ * Claim tasks from TaskCreated events up to head - CONFIRMATIONS
+ * @returns {Promise<number>} - Number of newly claimed tasks
+ */
+async function scanForTasks() {
+    const safeBlock = (await provider.getBlockNumber()) - CONFIRMATIONS;
+    const topic = contract.interface.getEvent('TaskCreated').topicHash;
+    let claimed = 0;
+
+    while (state.lastBlock < safeBlock) {
+        const fromBlock = state.lastBlock + 1;
+        const toBlock = Math.min(fromBlock + BATCH_BLOCKS - 1, safeBlock);
+
+        const logs = await provider.getLogs({ address: contract.target, topics: [topic], fromBlock, toBlock });
+
+        for (const log of logs) {
+            const taskId = Number(contract.interface.parseLog(log).args.taskId);
+            if (state.tasks[taskId]) continue;
+
+            state.tasks[taskId] = {
+                taskId,
+                status: 'claimed',
+                attempts: 0,
+                blockNumber: log.blockNumber,
+                claimedAt: new Date().toISOString()
+            };
+            claimed++;
+            logger.info(`Claimed task ${taskId} (block ${log.blockNumber})`);
+        }
+
+        state.lastBlock = toBlock;
+        await saveState();
+    }
+
+    return claimed;
+}
+
+/**
+ * Execute one claimed task and record the outcome
+ * @param {Object} entry - Task entry from the state file (updated in place)
+ * @returns {Promise<void>}
+ */
+async function runTask(entry) {
+    const { taskId } = entry;
+    const controller = new AbortController();
+    current = { taskId, controller };
+
+    entry.status = 'running';
+    entry.attempts++;
+    entry.startedAt = new Date().toISOString();
+    delete entry.error;
+    await saveState();
+
+    try {
+        const existing = await getReceipt(taskId);
+        if (existing) {
+            logger.info(`Task ${taskId} already has a receipt from ${existing.operator}, skipping`);
+            Object.assign(entry, { status: 'skipped', receiptOperator: existing.operator });
+            return;
+        }
+
+        const result = await executeTask(taskId, { signer, signal: controller.signal });
+
+        if (result.alreadyAnchored) {
+            Object.assign(entry, { status: 'skipped', artifactHash: result.artifactHash, resultHash: result.resultHash });
+        } else {
+            Object.assign(entry, {
+                status: 'completed',
+                artifactHash: result.artifactHash,
+                resultHash: result.resultHash,
+                artifactUrl: result.artifactUrl,
+                txHash: result.receiptTxHash
+            });
+            logger.info(`Task ${taskId} completed, receipt tx ${result.receiptTxHash}`);
+        }
+    } catch (error) {
+        entry.error = error.message;
+
+        if (stopping) {
+            // Interrupted by shutdown: does not count as an attempt
+            entry.attempts--;
+            entry.status = 'claimed';
+        } else if (error.statusCode === 404 || error.statusCode === 409 || entry.attempts >= MAX_ATTEMPTS) {
+            // Unknown task or missing/mismatched spec will not fix itself
+            entry.status = 'failed';
+            logger.error(`Task ${taskId} failed:`, error.message);
+        } else {
+            entry.status = 'claimed';
+            logger.warn(`Task ${taskId} attempt ${entry.attempts}/${MAX_ATTEMPTS} failed, will retry:`, error.message);
+        }
+    } finally {
+        current = null;
+        entry.finishedAt = new Date().toISOString();
+        await saveState();
+    }
+}
+
+/**
+ * Run claimed tasks in taskId order until none are left or the operator stops
+ * @returns {Promise<void>}
+ */
+async function drainClaimed() {
+    const pending = Object.values(state.tasks)
+        .filter(entry => entry.status === 'claimed')
+        .sort((a, b) => a.taskId - b.taskId);
+
+    for (const entry of pending) {
+        if (stopping) return;
+        await runTask(entry);
+    }
+}
+
+/**
+ * Start the operator loop
+ * @param {ethers.Signer} operatorSigner - Signs receipt transactions
+ * @returns {Promise<void>}
+ */
+async function startOperator(operatorSigner) {
+    signer = operatorSigner;
+    const operator = await signer.getAddress();
+    state = await loadState(operator);
+
+    // Anything still marked running was interrupted by a crash
+    for (const entry of Object.values(state.tasks)) {
+        if (entry.status === 'running') {
+            logger.warn(`Task ${entry.taskId} was interrupted, re-queueing`);
+            entry.status = 'claimed';
+        }
+    }
+    await saveState();
+
+    logger.info(`Operator ${operator} scanning from block ${state.lastBlock + 1} (${CONFIRMATIONS} confirmations)`);
+
+    const tick = async () => {
+        try {
+            await scanForTasks();
+            await drainClaimed();
+        } catch (error) {
+            logger.error('Operator poll failed:', error.message);
+        } finally {
+            if (!stopping) {
+                timer = setTimeout(tick, POLL_INTERVAL_MS);
+            }
+        }
+    };
+
+    tick();
+}
+
+/**
+ * Stop polling and cancel the running task (if it has not reached anchoring yet)
+ * @returns {Promise<void>} - Resolves once the state file is saved
+ */
+async function stopOperator() {
+    stopping = true;
+    clearTimeout(timer);
+
+    if (current) {
+        logger.info(`Stopping: cancelling task ${current.taskId}`);
+        current.controller.abort();
+        while (current) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    if (state) {
+        await saveState();
+    }
+}
+
+/**
+ * Get the operator state summary
+ * @returns {Object}
+ */
+function getOperatorStatus() {
+    const counts = Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+    for (const entry of Object.values(state ? state.tasks : {})) {
+        counts[entry.status]++;
+    }
+    return {
+        operator: state ? state.operator : null,
+        lastBlock: state ? state.lastBlock : null,
+        running: current ? current.taskId : null,
+        counts
+    };
+}
+
+module.exports = {
+    TASK_STATUSES,
+    startOperator,
+    stopOperator,
+    getOperatorStatus
+};
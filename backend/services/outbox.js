@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const txConfig = require('../config/tx');
+const { chainId: defaultChainId } = require('../config/chain');
+const { listFiles } = require('../utils/merkle');
+const { taskKey } = require('../utils/taskKey');
+const logger = require('../utils/logger');
+
+/**
+ * Durable receipt outbox
+ * A receipt is written here before its transaction is sent and removed once
+ * it is mined, one JSON file per task (TX_OUTBOX_DIR/chain-<chainId>/receipt-<taskId>.json).
+ * Entries of the default chain written before the chain-<chainId>/ layout
+ * (TX_OUTBOX_DIR/receipt-<taskId>.json) are moved into it on load.
+ * Entries left behind by a failure or a restart are retried by
+ * services/receipt.js, so hashes computed after a successful upload are never lost.
+ *
+ * Lifecycle: pending -> sent -> (removed) | failed
+ */
+
+// task key => entry
+const entries = new Map();
+let loaded = false;
+
+function getOutboxDir() {
+    return path.resolve(process.cwd(), txConfig.outbox.dir);
+}
+
+function entryPath({ taskId, chainId = defaultChainId }) {
+    return path.join(getOutboxDir(), `chain-${chainId}`, `receipt-${taskId}.json`);
+}
+
+async function persist(entry) {
+    const filePath = entryPath(entry);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tmpPath, JSON.stringify(entry, null, 2));
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Load outbox entries from disk (once)
+ * @returns {Promise<void>}
+ */
+async function loadOutbox() {
+    if (loaded) return;
+    loaded = true;
+
+    const dir = getOutboxDir();
+    if (!(await fs.pathExists(dir))) return;
+
+    for (const file of await listFiles(dir)) {
+        if (!/^(chain-\d+\/)?receipt-\d+\.json$/.test(file)) continue;
+        try {
+            const filePath = path.join(dir, ...file.split('/'));
+            const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (!file.startsWith('chain-')) {
+                entry.chainId = entry.chainId ?? defaultChainId;
+                await persist(entry);
+                await fs.remove(filePath);
+            }
+            entries.set(taskKey(entry.taskId, entry.chainId), entry);
+        } catch (error) {
+            logger.warn(`Skipping unreadable outbox entry ${file}:`, error.message);
+        }
+    }
+
+    if (entries.size) {
+        logger.info(`Loaded ${entries.size} receipts from the outbox`);
+    }
+}
+
+/**
+ * Record a receipt before it is sent
+ * An entry already waiting for the task is returned unchanged
+ * @param {Object} receipt - { taskId, chainId, artifactHash, resultHash, from }
+ * @returns {Promise<Object>} - Outbox entry
+ */
+async function addReceipt({ taskId, chainId = defaultChainId, artifactHash, resultHash, from }) {
+    await loadOutbox();
+
+    const key = taskKey(taskId, chainId);
+    const existing = entries.get(key);
+    if (existing && existing.status !== 'failed') {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+        taskId,
+        chainId,
+        artifactHash,
+        resultHash,
+        from,
+        status: 'pending',
+        nonce: null,
+        fees: null,
+        hashes: [],
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    entries.set(key, entry);
+    await persist(entry);
+    return entry;
+}
+
+/**
+ * Update an outbox entry in memory and on disk
+ * @param {Object} entry - Outbox entry
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} - Updated entry
+ */
+async function updateReceipt(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    await persist(entry);
+    return entry;
+}
+
+/**
+ * Remove an entry once its receipt is on-chain
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<void>}
+ */
+async function removeReceipt(entry) {
+    entries.delete(taskKey(entry.taskId, entry.chainId));
+    await fs.remove(entryPath(entry));
+}
+
+/**
+ * Get the entry waiting for a task, if any (failed entries excluded)
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object|null>}
+ */
+async function getPendingReceipt(taskId, chainId) {
+    await loadOutbox();
+    const entry = entries.get(taskKey(taskId, chainId));
+    return entry && entry.status !== 'failed' ? entry : null;
+}
+
+/**
+ * List entries still to be delivered, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function listPendingReceipts() {
+    await loadOutbox();
+    return [...entries.values()]
+        .filter(entry => entry.status !== 'failed')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+    addReceipt,
+    updateReceipt,
+    removeReceipt,
+    getPendingReceipt,
+    listPendingReceipts
+};
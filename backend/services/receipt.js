@@ -1,37 +1,190 @@
-const { submitReceipt: submitReceiptOnChain } = require('../contracts/executionRegistry');
+const { getChain } = require('../config/chain');
+const txConfig = require('../config/tx');
+const { submitReceipt: submitReceiptOnChain, getReceipt } = require('../contracts/executionRegistry');
+const { addReceipt, updateReceipt, removeReceipt, getPendingReceipt, listPendingReceipts } = require('./outbox');
+const { taskKey } = require('../utils/taskKey');
 const logger = require('../utils/logger');
 
 /**
  * Receipt submission service
  * Handles on-chain receipt submission with artifact and result hashes
+ *
+ * Receipts are recorded in the durable outbox before the transaction is
+ * sent. A failed or interrupted submission stays there and is retried in
+ * the background (TX_OUTBOX_RETRY_MS) and after a restart.
  */
 
+// task key => delivery in progress, so a background retry never races a live one
+const inFlight = new Map();
+
+function sameHash(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Send an outbox entry and remove it once mined
+ * @param {Object} entry - Outbox entry
+ * @param {ethers.Signer} signer - Signer for entry.from
+ * @returns {Promise<Object>} - Transaction details
+ */
+function deliver(entry, signer) {
+    const { taskId, chainId } = entry;
+    const key = taskKey(taskId, chainId);
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const delivery = (async () => {
+        await updateReceipt(entry, { attempts: entry.attempts + 1 });
+
+        try {
+            const result = await submitReceiptOnChain(taskId, entry.artifactHash, entry.resultHash, {
+                chainId,
+                signer,
+                resume: entry.nonce !== null ? { nonce: entry.nonce, hashes: entry.hashes, fees: entry.fees } : undefined,
+                onSent: ({ nonce, fees, hashes }) => updateReceipt(entry, { status: 'sent', nonce, fees, hashes })
+            });
+
+            await removeReceipt(entry);
+            logger.child({ txHash: result.txHash }).info(`Receipt submitted successfully. TX: ${result.txHash}`);
+
+            return {
+                taskId,
+                chainId,
+                artifactHash: entry.artifactHash,
+                resultHash: entry.resultHash,
+                txHash: result.txHash,
+                submittedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            // A permanent failure (revert) will not succeed on retry
+            await updateReceipt(entry, {
+                status: error.permanent ? 'failed' : entry.status,
+                lastError: error.message
+            });
+            if (!error.permanent) {
+                logger.warn(`Receipt for task ${taskId} kept in the outbox for retry`);
+            }
+            throw error;
+        }
+    })().finally(() => inFlight.delete(key));
+
+    inFlight.set(key, delivery);
+    return delivery;
+}
+
 /**
  * Submit execution receipt to blockchain
  * @param {number} taskId - Task ID
  * @param {string} artifactHash - Keccak256 hash of artifact folder
  * @param {string} resultHash - Keccak256 hash of result.json
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @param {ethers.Signer} [options.signer] - Operator signer on that chain (default: backend wallet)
  * @returns {Promise<Object>} - Transaction details
  */
-async function submitReceipt(taskId, artifactHash, resultHash) {
+async function submitReceipt(taskId, artifactHash, resultHash, { chainId, signer } = {}) {
+    const chain = getChain(chainId);
+    const sender = signer || chain.wallet;
+
     logger.info(`Submitting receipt for task ${taskId}`);
     logger.info(`Artifact hash: ${artifactHash}`);
     logger.info(`Result hash: ${resultHash}`);
 
-    // Submit to blockchain via contract wrapper
-    const result = await submitReceiptOnChain(taskId, artifactHash, resultHash);
+    const entry = await addReceipt({ taskId, chainId: chain.chainId, artifactHash, resultHash, from: await sender.getAddress() });
+    return deliver(entry, sender);
+}
+
+/**
+ * Resolve the local signer for an outbox entry
+ * @param {Object} entry - Outbox entry
+ * @returns {ethers.Signer|null}
+ */
+function signerFor(entry) {
+    const { wallet, operatorWallet } = getChain(entry.chainId);
+    return [operatorWallet, wallet].find(candidate => sameHash(candidate.address, entry.from)) || null;
+}
+
+/**
+ * Retry the outbox entry for a task, if one is waiting
+ * Used by the executor so a re-run anchors the hashes already computed
+ * instead of producing new ones
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object|null>} - Transaction details, or null if nothing was waiting
+ */
+async function retryPendingReceipt(taskId, { chainId } = {}) {
+    const entry = await getPendingReceipt(taskId, chainId);
+    if (!entry) {
+        return null;
+    }
+
+    const signer = signerFor(entry);
+    if (!signer) {
+        throw new Error(`Receipt for task ${taskId} is queued for ${entry.from}, which is not a local signer`);
+    }
+
+    logger.info(`Retrying queued receipt for task ${taskId}`);
+    return deliver(entry, signer);
+}
+
+/**
+ * Retry every receipt left in the outbox
+ * Entries whose receipt is already on-chain are cleared
+ * @returns {Promise<void>}
+ */
+async function flushOutbox() {
+    for (const entry of await listPendingReceipts()) {
+        const { taskId, chainId } = entry;
+        if (inFlight.has(taskKey(taskId, chainId))) continue;
+
+        try {
+            const onChain = await getReceipt(taskId, { chainId });
+            if (onChain) {
+                if (!sameHash(onChain.artifactHash, entry.artifactHash) || !sameHash(onChain.resultHash, entry.resultHash)) {
+                    logger.warn(`Task ${taskId} was anchored with different hashes by ${onChain.operator}, dropping queued receipt`);
+                }
+                await removeReceipt(entry);
+                continue;
+            }
 
-    logger.info(`Receipt submitted successfully. TX: ${result.txHash}`);
+            const signer = signerFor(entry);
+            if (!signer) {
+                logger.warn(`Outbox receipt for task ${taskId} belongs to ${entry.from}, which is not a local signer`);
+                continue;
+            }
+
+            await logger.runWithContext({ taskId, chainId }, () => deliver(entry, signer));
+        } catch (error) {
+            logger.error(`Outbox retry for task ${taskId} failed:`, error.message);
+        }
+    }
+}
 
-    return {
-        taskId,
-        artifactHash,
-        resultHash,
-        txHash: result.txHash,
-        submittedAt: new Date().toISOString()
+/**
+ * Retry queued receipts now and every TX_OUTBOX_RETRY_MS
+ * @returns {function(): void} - Stops the schedule
+ */
+function startReceiptOutbox() {
+    let flushing = null;
+    const flush = () => {
+        if (!flushing) {
+            flushing = flushOutbox()
+                .catch(error => logger.error('Outbox retry failed:', error.message))
+                .finally(() => { flushing = null; });
+        }
     };
+
+    flush();
+    const timer = setInterval(flush, txConfig.outbox.retryIntervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
 }
 
 module.exports = {
-    submitReceipt
+    submitReceipt,
+    retryPendingReceipt,
+    startReceiptOutbox
 };
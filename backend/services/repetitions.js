@@ -0,0 +1,138 @@
+const { describe, trimIqrOutliers } = require('../utils/stats');
+
+/**
+ * Warmup and repeated runs of SERVER_BENCHMARK phases
+ *
+ * Each phase first runs warmupIterations times with the results discarded
+ * (JIT compilation, page faults, cold caches), then repetitions times, all
+ * in the same worker so the warmup carries over.
+ * Every metric is described over the measured runs, optionally after
+ * dropping outliers, and flagged highVariance when its coefficient of
+ * variation exceeds maxCV.
+ */
+
+// none: keep every run; iqr: drop runs outside 1.5 IQR of the quartiles (needs 4+ runs)
+const OUTLIER_RULES = ['none', 'iqr'];
+const MAX_WARMUP_ITERATIONS = 10;
+const MAX_REPETITIONS = 20;
+
+const DEFAULTS = {
+    warmupIterations: 0,
+    repetitions: 1,
+    outlierTrimming: 'none',
+    maxCV: 0.1
+};
+
+function invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Validate the repetition fields of a benchmark config and fill in defaults
+ * @param {Object} [config] - Task spec config
+ * @param {number} [config.warmupIterations=0] - Discarded runs per phase
+ * @param {number} [config.repetitions=1] - Measured runs per phase
+ * @param {string} [config.outlierTrimming='none'] - none | iqr
+ * @param {number} [config.maxCV=0.1] - Coefficient of variation above which a metric is flagged
+ * @returns {{warmupIterations: number, repetitions: number, outlierTrimming: string, maxCV: number}}
+ * @throws {Error} with statusCode 400 for invalid values
+ */
+function resolveRepetitionConfig(config = {}) {
+    const resolved = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        resolved[key] = config[key] === undefined || config[key] === null ? DEFAULTS[key] : config[key];
+    }
+    const { warmupIterations, repetitions, outlierTrimming, maxCV } = resolved;
+
+    if (!Number.isInteger(warmupIterations) || warmupIterations < 0 || warmupIterations > MAX_WARMUP_ITERATIONS) {
+        throw invalid(`config.warmupIterations must be an integer between 0 and ${MAX_WARMUP_ITERATIONS}`);
+    }
+    if (!Number.isInteger(repetitions) || repetitions < 1 || repetitions > MAX_REPETITIONS) {
+        throw invalid(`config.repetitions must be an integer between 1 and ${MAX_REPETITIONS}`);
+    }
+    if (!OUTLIER_RULES.includes(outlierTrimming)) {
+        throw invalid(`config.outlierTrimming must be one of: ${OUTLIER_RULES.join(', ')}`);
+    }
+    if (typeof maxCV !== 'number' || !(maxCV > 0) || !Number.isFinite(maxCV)) {
+        throw invalid('config.maxCV must be a positive number');
+    }
+
+    return resolved;
+}
+
+/**
+ * The runs of one phase worker (see services/benchmarkWorker.js): the
+ * warmups, then the measured runs
+ * @param {Object} repetitionConfig - From resolveRepetitionConfig
+ * @param {Function} argsFor - ({ warmup, index }) => phase arguments for that run
+ * @returns {Array<{args: Array, warmup: boolean}>}
+ */
+function planRuns({ warmupIterations, repetitions }, argsFor) {
+    return [
+        ...Array.from({ length: warmupIterations }, (_, index) => ({ args: argsFor({ warmup: true, index }), warmup: true })),
+        ...Array.from({ length: repetitions }, (_, index) => ({ args: argsFor({ warmup: false, index }), warmup: false }))
+    ];
+}
+
+/**
+ * Read a dotted path such as random.read.iops
+ * @returns {number|undefined} - undefined unless the value is a finite number
+ */
+function metricValue(result, metric) {
+    const value = metric.split('.').reduce((node, key) => (node == null ? undefined : node[key]), result);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * The run whose value of metric is the (lower) median
+ * @param {Array<Object>} runs - Measured runs
+ * @param {string} metric - Dotted path of the headline metric
+ * @returns {Object}
+ */
+function medianRun(runs, metric) {
+    const measured = runs.filter(run => metricValue(run, metric) !== undefined);
+    if (measured.length === 0) return runs[0];
+    const sorted = [...measured].sort((a, b) => metricValue(a, metric) - metricValue(b, metric));
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Describe each metric across runs
+ * Runs without a value (e.g. a memory test skipped by its guard) are left out
+ * @param {Array<Object>} runs - Measured runs of one phase
+ * @param {Array<string>} metrics - Dotted paths within a run
+ * @param {Object} repetitionConfig - From resolveRepetitionConfig
+ * @returns {Object<string, Object>} - Per metric: describe() plus trimmed and highVariance
+ */
+function describeRuns(runs, metrics, { outlierTrimming, maxCV }) {
+    const described = {};
+    for (const metric of metrics) {
+        const values = runs.map(run => metricValue(run, metric)).filter(value => value !== undefined);
+        if (values.length === 0) continue;
+
+        const { kept, trimmed } = outlierTrimming === 'iqr'
+            ? trimIqrOutliers(values)
+            : { kept: values, trimmed: [] };
+        const stats = describe(kept);
+
+        described[metric] = {
+            ...stats,
+            trimmed: trimmed.length,
+            highVariance: stats.samples > 1 && stats.cv !== null && stats.cv > maxCV
+        };
+    }
+    return described;
+}
+
+module.exports = {
+    OUTLIER_RULES,
+    MAX_WARMUP_ITERATIONS,
+    MAX_REPETITIONS,
+    DEFAULTS,
+    resolveRepetitionConfig,
+    planRuns,
+    medianRun,
+    describeRuns
+};
@@ -0,0 +1,148 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { hashSpec } = require('../utils/hash');
+const { canonicalize } = require('../utils/canonical');
+const { getStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+/**
+ * Content-addressed task spec store
+ * Specs are stored on local disk keyed by specHash and mirrored to artifact storage
+ * so anyone can fetch a spec and check it against the on-chain specHash
+ */
+
+const SPEC_STORE_DIR = process.env.SPEC_STORE_DIR || 'specs';
+
+/**
+ * Resolve the local path of a stored spec
+ * @param {string} specHash - Spec hash (0x-prefixed)
+ * @returns {string} - Absolute path to the spec file
+ */
+function getSpecPath(specHash) {
+    return path.join(process.cwd(), SPEC_STORE_DIR, `${specHash.toLowerCase()}.json`);
+}
+
+/**
+ * Mirror a stored spec to the configured storage provider
+ * Best effort: the local copy is authoritative for this backend
+ * @param {string} specHash - Spec hash
+ * @param {Buffer} content - Canonical spec bytes
+ * @returns {Promise<void>}
+ */
+async function mirrorToStorage(specHash, content) {
+    try {
+        await getStorage().put(`specs/${specHash.toLowerCase()}.json`, content, { contentType: 'application/json' });
+    } catch (error) {
+        logger.warn(`Failed to mirror spec ${specHash} to storage:`, error.message);
+    }
+}
+
+/**
+ * Whether the storage mirror holds a spec
+ * A failed check counts as missing; mirroring is best effort anyway
+ * @param {string} specHash - Spec hash
+ * @returns {Promise<boolean>}
+ */
+async function isMirrored(specHash) {
+    try {
+        return await getStorage().exists(`specs/${specHash.toLowerCase()}.json`);
+    } catch (error) {
+        logger.warn(`Failed to check storage mirror of spec ${specHash}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Store a task spec under its specHash
+ * The file holds the canonical encoding, so for v1 specs keccak256(file) === specHash
+ * @param {Object} spec - Task specification
+ * @returns {Promise<{specHash: string, specPath: string}>}
+ */
+async function saveSpec(spec) {
+    const specHash = hashSpec(spec);
+    const specPath = getSpecPath(specHash);
+
+    if (await fs.pathExists(specPath)) {
+        logger.info(`Spec already stored: ${specHash}`);
+        // A failed or since-deleted mirror is repaired from the local copy
+        if (!(await isMirrored(specHash))) {
+            await mirrorToStorage(specHash, await fs.readFile(specPath));
+        }
+        return { specHash, specPath };
+    }
+
+    const content = Buffer.from(canonicalize(spec), 'utf8');
+
+    await fs.ensureDir(path.dirname(specPath));
+    // Write then rename so a crash never leaves a truncated spec behind
+    const tmpPath = `${specPath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, content);
+    await fs.rename(tmpPath, specPath);
+
+    logger.info(`Spec stored: ${specPath}`);
+
+    await mirrorToStorage(specHash, content);
+
+    return { specHash, specPath };
+}
+
+/**
+ * Fetch a spec from the storage mirror and cache it locally
+ * Used by processes that did not create the task (e.g. a standalone operator)
+ * @param {string} specHash - Spec hash
+ * @returns {Promise<Object|null>} - Spec, or null if not mirrored or not matching specHash
+ */
+async function fetchMirroredSpec(specHash) {
+    let content;
+    try {
+        content = await getStorage().get(`specs/${specHash.toLowerCase()}.json`);
+    } catch (error) {
+        logger.warn(`Spec ${specHash} not available from storage:`, error.message);
+        return null;
+    }
+
+    let spec;
+    try {
+        spec = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+        logger.warn(`Mirrored spec ${specHash} is not valid JSON`);
+        return null;
+    }
+
+    if (hashSpec(spec).toLowerCase() !== specHash.toLowerCase()) {
+        logger.warn(`Mirrored spec does not hash to ${specHash}, ignoring`);
+        return null;
+    }
+
+    const specPath = getSpecPath(specHash);
+    await fs.ensureDir(path.dirname(specPath));
+    const tmpPath = `${specPath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, content);
+    await fs.rename(tmpPath, specPath);
+
+    logger.info(`Spec fetched from storage: ${specHash}`);
+    return spec;
+}
+
+/**
+ * Load a task spec by specHash
+ * Falls back to the storage mirror when the spec is not on local disk
+ * @param {string} specHash - Spec hash
+ * @returns {Promise<Object|null>} - Spec, or null if not stored
+ */
+async function loadSpec(specHash) {
+    const specPath = getSpecPath(specHash);
+
+    if (!(await fs.pathExists(specPath))) {
+        return fetchMirroredSpec(specHash);
+    }
+
+    const content = await fs.readFile(specPath, 'utf8');
+    return JSON.parse(content);
+}
+
+module.exports = {
+    saveSpec,
+    loadSpec,
+    getSpecPath
+};
@@ -0,0 +1,334 @@
+const { NodeAdapterReedSolomon } = require('@bnb-chain/reed-solomon/node.adapter');
+const greenfieldConfig = require('../../config/greenfield');
+const logger = require('../../utils/logger');
+
+const { ObjectStatus } = greenfieldConfig;
+
+/**
+ * BNB Greenfield storage provider
+ * Objects are created on-chain (with Reed-Solomon checksums) and then
+ * uploaded to the bucket's storage provider as public-read.
+ */
+
+// Reed-Solomon encoder for Greenfield
+let rsEncoder = null;
+
+function getReedSolomon() {
+    if (!rsEncoder) {
+        rsEncoder = new NodeAdapterReedSolomon();
+    }
+    return rsEncoder;
+}
+
+/**
+ * Upload a single file to Greenfield
+ * @param {Object} client - Greenfield client
+ * @param {string} bucketName - Bucket name
+ * @param {string} objectName - Object name (path in bucket)
+ * @param {Buffer} fileBuffer - File content
+ * @param {string} contentType - MIME type
+ * @param {string} privateKey - Account private key
+ * @param {string} accountAddress - Account address
+ * @returns {Promise<Object>} - Upload result
+ */
+async function uploadFileToGreenfield(client, bucketName, objectName, fileBuffer, contentType, privateKey, accountAddress) {
+    const { VisibilityType, RedundancyType, Long, bytesFromBase64 } = greenfieldConfig;
+
+    logger.info(`Creating object on Greenfield: ${objectName}`);
+
+    // Compute checksums using Reed-Solomon
+    const expectCheckSums = await computeChecksums(fileBuffer);
+
+    // Create object transaction
+    const createObjectTx = await client.object.createObject({
+        bucketName: bucketName,
+        objectName: objectName,
+        creator: accountAddress,
+        visibility: VisibilityType.VISIBILITY_TYPE_PUBLIC_READ,
+        contentType: contentType || 'application/octet-stream',
+        redundancyType: RedundancyType.REDUNDANCY_EC_TYPE,
+        payloadSize: Long.fromInt(fileBuffer.byteLength),
+        expectChecksums: expectCheckSums.map((x) => bytesFromBase64(x)),
+    });
+
+    // Simulate to get gas estimate
+    const simulateInfo = await createObjectTx.simulate({
+        denom: 'BNB',
+    });
+
+    // Broadcast create object transaction
+    const createObjectTxRes = await createObjectTx.broadcast({
+        denom: 'BNB',
+        gasLimit: Number(simulateInfo?.gasLimit),
+        gasPrice: simulateInfo?.gasPrice || '5000000000',
+        payer: accountAddress,
+        granter: '',
+        privateKey: privateKey,
+    });
+
+    if (createObjectTxRes.code !== 0) {
+        throw new Error(`Failed to create object on Greenfield: ${createObjectTxRes.rawLog}`);
+    }
+
+    logger.child({ txHash: createObjectTxRes.transactionHash }).info(`Object created on-chain: ${createObjectTxRes.transactionHash}`);
+
+    // Upload the actual file content
+    const uploadRes = await client.object.uploadObject(
+        {
+            bucketName: bucketName,
+            objectName: objectName,
+            body: {
+                name: objectName,
+                type: contentType || 'application/octet-stream',
+                size: fileBuffer.byteLength,
+                content: fileBuffer,
+            },
+            txnHash: createObjectTxRes.transactionHash,
+        },
+        {
+            type: 'ECDSA',
+            privateKey: privateKey,
+        }
+    );
+
+    if (uploadRes.code !== 0) {
+        throw new Error(`Failed to upload object to Greenfield: ${uploadRes.message}`);
+    }
+
+    logger.info(`File uploaded successfully: ${objectName}`);
+    return uploadRes;
+}
+
+/**
+ * Download a single object from Greenfield
+ * @param {Object} client - Greenfield client
+ * @param {string} bucketName - Bucket name
+ * @param {string} objectName - Object name
+ * @param {string} privateKey - Account private key (for SP authentication)
+ * @returns {Promise<Buffer>} - Object content
+ */
+async function downloadFileFromGreenfield(client, bucketName, objectName, privateKey) {
+    logger.info(`Downloading object from Greenfield: ${objectName}`);
+
+    const res = await client.object.getObject(
+        { bucketName, objectName },
+        { type: 'ECDSA', privateKey }
+    );
+
+    if (res.code !== 0 || !res.body) {
+        throw new Error(`Failed to download object from Greenfield: ${objectName} (${res.message})`);
+    }
+
+    return Buffer.from(await res.body.arrayBuffer());
+}
+
+/**
+ * Compute the Reed-Solomon checksums Greenfield records for an object
+ * @param {Buffer} content - Object content
+ * @returns {Promise<Array<string>>} - Base64 checksums (primary hash first, then one per EC segment)
+ */
+async function computeChecksums(content) {
+    return getReedSolomon().encodeInSubWorker(Uint8Array.from(content));
+}
+
+/**
+ * Simulate and broadcast a Greenfield transaction
+ * @param {Object} tx - Transaction built by the SDK
+ * @param {string} privateKey - Account private key
+ * @param {string} accountAddress - Account address (payer)
+ * @returns {Promise<Object>} - Broadcast result (code 0 on success)
+ */
+async function broadcastTx(tx, privateKey, accountAddress) {
+    const simulateInfo = await tx.simulate({
+        denom: 'BNB',
+    });
+
+    return tx.broadcast({
+        denom: 'BNB',
+        gasLimit: Number(simulateInfo?.gasLimit),
+        gasPrice: simulateInfo?.gasPrice || '5000000000',
+        payer: accountAddress,
+        granter: '',
+        privateKey,
+    });
+}
+
+/**
+ * Delete an object from Greenfield
+ * Objects that were created on-chain but never sealed (upload interrupted)
+ * cannot be deleted; their creation is cancelled instead.
+ * @param {Object} client - Greenfield client
+ * @param {string} bucketName - Bucket name
+ * @param {string} objectName - Object name
+ * @param {string} privateKey - Account private key
+ * @param {string} accountAddress - Account address
+ * @param {boolean} [sealed=true] - Whether the object is sealed
+ * @returns {Promise<void>}
+ */
+async function deleteFileFromGreenfield(client, bucketName, objectName, privateKey, accountAddress, sealed = true) {
+    logger.info(`${sealed ? 'Deleting' : 'Cancelling unsealed'} object on Greenfield: ${objectName}`);
+
+    const msg = { bucketName, objectName, operator: accountAddress };
+    const tx = sealed
+        ? await client.object.deleteObject(msg)
+        : await client.object.cancelCreateObject(msg);
+    const txRes = await broadcastTx(tx, privateKey, accountAddress);
+
+    if (txRes.code !== 0) {
+        throw new Error(`Failed to delete object on Greenfield: ${txRes.rawLog}`);
+    }
+
+    logger.child({ txHash: txRes.transactionHash }).info(`Object removed on-chain: ${txRes.transactionHash}`);
+}
+
+/**
+ * Create a Greenfield storage provider
+ * @param {Object} config - Greenfield config (see config/greenfield.js)
+ * @returns {Object} - Storage provider
+ */
+function createGreenfieldProvider(config = greenfieldConfig) {
+    const { bucket, privateKey, accountAddress, getClient } = config;
+
+    if (!bucket || !privateKey || !accountAddress) {
+        throw new Error('Greenfield storage requires GREENFIELD_BUCKET, PRIVATE_KEY and ACCOUNT_ADDRESS');
+    }
+
+    let spEndpoint = null;
+
+    // Storage provider endpoint serving this bucket
+    async function getEndpoint() {
+        if (!spEndpoint) {
+            spEndpoint = (await getClient().sp.getSPUrlByBucket(bucket)).replace(/\/$/, '');
+        }
+        return spEndpoint;
+    }
+
+    async function getUrl(key) {
+        return `${await getEndpoint()}/view/${bucket}/${key}`;
+    }
+
+    async function put(key, content, { contentType } = {}) {
+        await uploadFileToGreenfield(getClient(), bucket, key, content, contentType, privateKey, accountAddress);
+        return { key, url: await getUrl(key) };
+    }
+
+    async function get(key) {
+        return downloadFileFromGreenfield(getClient(), bucket, key, privateKey);
+    }
+
+    // On-chain object record, or null if the object does not exist
+    async function getObjectInfo(key) {
+        try {
+            const { objectInfo } = await getClient().object.headObject(bucket, key);
+            return objectInfo || null;
+        } catch (error) {
+            if (/not found|No such object/i.test(error.message)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function exists(key) {
+        return Boolean(await getObjectInfo(key));
+    }
+
+    /**
+     * Object metadata from the on-chain record
+     * An object is only complete once sealed by the storage provider
+     * @param {string} key - Object key
+     * @returns {Promise<{size: number, checksum: string, complete: boolean}|null>}
+     */
+    async function head(key) {
+        const objectInfo = await getObjectInfo(key);
+        if (!objectInfo) return null;
+
+        return {
+            size: Number(objectInfo.payloadSize),
+            checksum: objectInfo.checksums.map(c => Buffer.from(c).toString('base64')).join(','),
+            complete: objectInfo.objectStatus === ObjectStatus.OBJECT_STATUS_SEALED
+        };
+    }
+
+    // Same fingerprint as head().checksum, computed locally
+    async function checksum(content) {
+        return (await computeChecksums(content)).join(',');
+    }
+
+    async function remove(key) {
+        const objectInfo = await getObjectInfo(key);
+        if (!objectInfo) return;
+
+        const sealed = objectInfo.objectStatus !== ObjectStatus.OBJECT_STATUS_CREATED;
+        await deleteFileFromGreenfield(getClient(), bucket, key, privateKey, accountAddress, sealed);
+    }
+
+    /**
+     * Check content against the Reed-Solomon checksums recorded on-chain
+     * for the object at creation time
+     * @param {string} key - Object key
+     * @param {Buffer} content - Downloaded content
+     * @returns {Promise<{algorithm: string, passed: boolean, expected: Array<string>, actual: Array<string>}>}
+     */
+    async function verifyChecksums(key, content) {
+        const objectInfo = await getObjectInfo(key);
+        const expected = (objectInfo?.checksums || []).map(c => Buffer.from(c).toString('base64'));
+        const actual = await computeChecksums(content);
+
+        return {
+            algorithm: 'reed-solomon',
+            passed: expected.length > 0 && expected.length === actual.length && expected.every((c, i) => c === actual[i]),
+            expected,
+            actual
+        };
+    }
+
+    async function list(prefix = '') {
+        const endpoint = await getEndpoint();
+        const keys = [];
+        let continuationToken = '';
+
+        do {
+            const query = new URLSearchParams({ prefix, 'max-keys': '1000' });
+            if (continuationToken) {
+                query.set('continuation-token', continuationToken);
+            }
+
+            const res = await getClient().object.listObjects({ bucketName: bucket, endpoint, query });
+            if (res.code !== 0) {
+                throw new Error(`Failed to list Greenfield objects: ${res.message}`);
+            }
+
+            const page = res.body.GfSpListObjectsByBucketNameResponse;
+            for (const meta of page.Objects || []) {
+                if (!meta.Removed) {
+                    keys.push(meta.ObjectInfo.ObjectName);
+                }
+            }
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : '';
+        } while (continuationToken);
+
+        return keys.sort();
+    }
+
+    return {
+        name: 'greenfield',
+        put,
+        get,
+        exists,
+        head,
+        checksum,
+        list,
+        remove,
+        verifyChecksums,
+        getUrl
+    };
+}
+
+module.exports = {
+    createGreenfieldProvider,
+    uploadFileToGreenfield,
+    downloadFileFromGreenfield,
+    deleteFileFromGreenfield,
+    computeChecksums
+};
@@ -0,0 +1,62 @@
+const storageConfig = require('../../config/storage');
+const { createLocalProvider } = require('./local');
+const { createGreenfieldProvider } = require('./greenfield');
+const { createS3Provider } = require('./s3');
+
+/**
+ * Pluggable artifact storage
+ *
+ * Every provider implements the same interface:
+ *   put(key, content, { contentType }) -> { key, url }
+ *   get(key)                          -> Buffer
+ *   exists(key)                       -> boolean
+ *   head(key)                         -> { size, checksum, complete } | null
+ *   checksum(content)                 -> string comparable to head(key).checksum
+ *   list(prefix)                      -> Array<string> (sorted keys)
+ *   remove(key)                       -> void
+ *   getUrl(key)                       -> string (publicly retrievable URL)
+ *
+ * Providers that record their own integrity data (Greenfield) also expose
+ *   verifyChecksums(key, content)     -> { algorithm, passed, expected, actual }
+ *
+ * Keys are '/'-separated paths such as chain-97/task-7/result.json.
+ * Operations throw on failure; nothing falls back to placeholder URLs.
+ */
+
+const PROVIDERS = {
+    local: () => createLocalProvider(storageConfig.local),
+    greenfield: () => createGreenfieldProvider(),
+    s3: () => createS3Provider(storageConfig.s3)
+};
+
+let storage = null;
+
+/**
+ * Create a storage provider by name
+ * @param {string} name - local | greenfield | s3
+ * @returns {Object} - Storage provider
+ */
+function createProvider(name) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown storage provider: ${name} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return factory();
+}
+
+/**
+ * Get the configured storage provider (STORAGE_PROVIDER)
+ * @returns {Object} - Storage provider
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createProvider(storageConfig.provider);
+    }
+    return storage;
+}
+
+module.exports = {
+    PROVIDERS: Object.keys(PROVIDERS),
+    createProvider,
+    getStorage
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { permanent } = require('../../utils/retry');
+const logger = require('../../utils/logger');
+
+/**
+ * Local filesystem storage provider
+ * Objects are files under a root directory; keys map to relative paths.
+ * The backend serves the root under /storage so URLs are retrievable.
+ */
+
+/**
+ * Resolve a key to a path inside root, rejecting traversal
+ * @param {string} root - Absolute root directory
+ * @param {string} key - Object key ('/'-separated)
+ * @returns {string}
+ */
+function resolveKey(root, key) {
+    const segments = key.split('/');
+    if (!key || segments.some(s => s === '' || s === '.' || s === '..')) {
+        throw permanent(new Error(`Invalid storage key: ${key}`));
+    }
+    return path.join(root, ...segments);
+}
+
+async function walk(dir, prefix) {
+    if (!(await fs.pathExists(dir))) return [];
+
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const keys = [];
+    for (const entry of entries) {
+        const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            keys.push(...await walk(path.join(dir, entry.name), key));
+        } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+            keys.push(key);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Create a local storage provider
+ * @param {Object} options
+ * @param {string} options.dir - Root directory (relative to cwd or absolute)
+ * @param {string} options.baseUrl - Public URL the root is served under
+ * @returns {Object} - Storage provider
+ */
+function createLocalProvider({ dir, baseUrl }) {
+    const root = path.resolve(process.cwd(), dir);
+
+    async function getUrl(key) {
+        return `${baseUrl.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    async function put(key, content) {
+        const filePath = resolveKey(root, key);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, filePath);
+        logger.info(`Stored object locally: ${key}`);
+        return { key, url: await getUrl(key) };
+    }
+
+    async function get(key) {
+        const filePath = resolveKey(root, key);
+        if (!(await fs.pathExists(filePath))) {
+            throw new Error(`Object not found: ${key}`);
+        }
+        return fs.readFile(filePath);
+    }
+
+    async function exists(key) {
+        return fs.pathExists(resolveKey(root, key));
+    }
+
+    /**
+     * Object metadata
+     * @param {string} key - Object key
+     * @returns {Promise<{size: number, checksum: string, complete: boolean}|null>}
+     */
+    async function head(key) {
+        const filePath = resolveKey(root, key);
+        if (!(await fs.pathExists(filePath))) return null;
+
+        const content = await fs.readFile(filePath);
+        return { size: content.length, checksum: await checksum(content), complete: true };
+    }
+
+    // sha256 of the content, hex
+    async function checksum(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    async function remove(key) {
+        await fs.remove(resolveKey(root, key));
+        logger.info(`Removed local object: ${key}`);
+    }
+
+    async function list(prefix = '') {
+        const keys = await walk(root, '');
+        return keys.filter(key => key.startsWith(prefix)).sort();
+    }
+
+    return {
+        name: 'local',
+        root,
+        put,
+        get,
+        exists,
+        head,
+        checksum,
+        list,
+        remove,
+        getUrl
+    };
+}
+
+module.exports = {
+    createLocalProvider
+};
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { permanent } = require('../../utils/retry');
+const logger = require('../../utils/logger');
+
+/**
+ * S3-compatible storage provider
+ * Talks to AWS S3, MinIO or any S3-compatible endpoint over plain HTTP
+ * with AWS Signature Version 4.
+ */
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract every value of a tag from an XML document
+ * @param {string} xml - XML text
+ * @param {string} tag - Tag name
+ * @returns {Array<string>}
+ */
+function xmlValues(xml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map(m => decodeXml(m[1]));
+}
+
+/**
+ * Create an S3-compatible storage provider
+ * @param {Object} options - See config/storage.js (s3)
+ * @returns {Object} - Storage provider
+ */
+function createS3Provider({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const base = new URL(endpoint);
+
+    function objectUrl(key = '') {
+        const url = new URL(base.href);
+        const basePath = base.pathname.replace(/\/$/, '');
+        if (forcePathStyle) {
+            url.pathname = `${basePath}/${bucket}/${encodeKey(key)}`;
+        } else {
+            url.hostname = `${bucket}.${base.hostname}`;
+            url.pathname = `${basePath}/${encodeKey(key)}`;
+        }
+        return url;
+    }
+
+    /**
+     * Send a signed request
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key ('' for bucket-level requests)
+     * @param {Object} [options]
+     * @param {Object} [options.query] - Query parameters
+     * @param {Buffer} [options.body] - Request body
+     * @param {Object} [options.headers] - Extra headers (signed)
+     * @returns {Promise<Response>}
+     */
+    async function request(method, key, { query = {}, body, headers = {} } = {}) {
+        const url = objectUrl(key);
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+
+        const canonicalQuery = Object.keys(query)
+            .sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+            .join('&');
+        url.search = canonicalQuery;
+
+        const signedHeaders = {
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+            ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]))
+        };
+        const headerNames = Object.keys(signedHeaders).sort();
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            canonicalQuery,
+            headerNames.map(name => `${name}:${signedHeaders[name].trim()}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, part) => hmac(key, part),
+            hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+        );
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        const { host, ...sendHeaders } = signedHeaders;
+        sendHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+            `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+
+        return fetch(url, { method, headers: sendHeaders, body });
+    }
+
+    // Client errors other than timeouts and throttling will not succeed on retry
+    async function failure(res, action, key) {
+        const text = await res.text().catch(() => '');
+        const code = xmlValues(text, 'Code')[0] || res.statusText;
+        const error = new Error(`S3 ${action} failed for ${key || bucket}: ${res.status} ${code}`);
+        const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+        return retryable ? error : permanent(error);
+    }
+
+    async function getUrl(key) {
+        if (publicUrl) {
+            return `${publicUrl.replace(/\/$/, '')}/${encodeKey(key)}`;
+        }
+        return objectUrl(key).href;
+    }
+
+    async function put(key, content, { contentType } = {}) {
+        const res = await request('PUT', key, {
+            body: content,
+            headers: { 'content-type': contentType || 'application/octet-stream' }
+        });
+        if (!res.ok) {
+            throw await failure(res, 'upload', key);
+        }
+        logger.info(`Uploaded object to S3: ${key}`);
+        return { key, url: await getUrl(key) };
+    }
+
+    async function get(key) {
+        const res = await request('GET', key);
+        if (!res.ok) {
+            throw await failure(res, 'download', key);
+        }
+        return Buffer.from(await res.arrayBuffer());
+    }
+
+    async function exists(key) {
+        const res = await request('HEAD', key);
+        if (res.status === 404) return false;
+        if (!res.ok) {
+            throw await failure(res, 'head', key);
+        }
+        return true;
+    }
+
+    /**
+     * Object metadata from a HEAD request
+     * The ETag of a single-part upload is the MD5 of the content
+     * @param {string} key - Object key
+     * @returns {Promise<{size: number, checksum: string, complete: boolean}|null>}
+     */
+    async function head(key) {
+        const res = await request('HEAD', key);
+        if (res.status === 404) return null;
+        if (!res.ok) {
+            throw await failure(res, 'head', key);
+        }
+        return {
+            size: Number(res.headers.get('content-length')),
+            checksum: (res.headers.get('etag') || '').replace(/"/g, ''),
+            complete: true
+        };
+    }
+
+    // MD5 of the content, hex (matches the ETag of a single PUT)
+    async function checksum(content) {
+        return crypto.createHash('md5').update(content).digest('hex');
+    }
+
+    async function remove(key) {
+        const res = await request('DELETE', key);
+        if (!res.ok && res.status !== 404) {
+            throw await failure(res, 'delete', key);
+        }
+        logger.info(`Removed object from S3: ${key}`);
+    }
+
+    async function list(prefix = '') {
+        const keys = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const res = await request('GET', '', { query });
+            if (!res.ok) {
+                throw await failure(res, 'list', prefix);
+            }
+
+            const xml = await res.text();
+            keys.push(...xmlValues(xml, 'Key'));
+            continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true'
+                ? xmlValues(xml, 'NextContinuationToken')[0]
+                : null;
+        } while (continuationToken);
+
+        return keys.sort();
+    }
+
+    return {
+        name: 's3',
+        put,
+        get,
+        exists,
+        head,
+        checksum,
+        list,
+        remove,
+        getUrl
+    };
+}
+
+module.exports = {
+    createS3Provider
+};
@@ -0,0 +1,75 @@
+const serverBenchmark = require('./server');
+const networkBenchmark = require('./network');
+
+/**
+ * Task type registry
+ *
+ * Every type (spec.type) implements the same interface:
+ *   type                              -> string, the spec.type value
+ *   description                       -> string
+ *   schema                            -> JSON Schema of the request config
+ *   artifactFiles                     -> Array<string>, files buildArtifacts produces
+ *   buildConfig(config, duration)     -> committed spec config (throws with statusCode 400)
+ *   execute(spec, context)            -> benchmark results; context is
+ *                                        { taskId, task, chainId, onProgress, signal }
+ *   buildArtifacts(results)           -> { [fileName]: content } for artifactFiles
+ *   summarize(results)                -> headline numbers for metrics.json and the job result
+ *
+ * execution.log, metrics.json, spec.json, receipt.json and manifest.json
+ * are written for every type by services/artifacts.js.
+ */
+
+const TYPES = {
+    [serverBenchmark.type]: serverBenchmark,
+    [networkBenchmark.type]: networkBenchmark
+};
+
+// Task duration (seconds) accepted by every type
+const DURATION_SCHEMA = {
+    type: 'number',
+    exclusiveMinimum: 0,
+    default: 30,
+    description: 'Seconds; each type divides it among its tests'
+};
+
+/**
+ * Look up a task type
+ * @param {string} type - spec.type
+ * @returns {Object} - Task type
+ * @throws {Error} with statusCode 400 for unknown types
+ */
+function getTaskType(type) {
+    const taskType = Object.prototype.hasOwnProperty.call(TYPES, type) ? TYPES[type] : null;
+    if (!taskType) {
+        const error = new Error(`type must be one of: ${Object.keys(TYPES).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return taskType;
+}
+
+/**
+ * Describe the registered types for clients rendering task forms
+ * @returns {Array<{type: string, description: string, schema: Object, artifactFiles: Array<string>}>}
+ */
+function listTaskTypes() {
+    return Object.values(TYPES).map(({ type, description, schema, artifactFiles }) => ({
+        type,
+        description,
+        schema: {
+            type: 'object',
+            properties: {
+                duration: DURATION_SCHEMA,
+                config: schema
+            }
+        },
+        artifactFiles
+    }));
+}
+
+module.exports = {
+    TASK_TYPES: Object.keys(TYPES),
+    DURATION_SCHEMA,
+    getTaskType,
+    listTaskTypes
+};
@@ -0,0 +1,97 @@
+const { NETWORK_BENCHMARK, runNetworkBenchmark } = require('../benchmark');
+const { resolveNetworkConfig, LOOPBACK, DEFAULTS, LIMITS } = require('../networkBenchmark');
+
+/**
+ * NETWORK_BENCHMARK task type
+ * TCP and HTTP latency and throughput against the loopback server or an
+ * allowed remote target. No challenge: nothing here is CPU work to prove.
+ */
+
+const integer = (key, description) => ({
+    type: 'integer',
+    minimum: LIMITS[key][0],
+    maximum: LIMITS[key][1],
+    default: DEFAULTS[key],
+    description
+});
+
+const schema = {
+    type: 'object',
+    properties: {
+        target: {
+            oneOf: [
+                { const: LOOPBACK },
+                {
+                    type: 'object',
+                    properties: {
+                        host: { type: 'string', description: 'Must be listed in NETWORK_ALLOWED_HOSTS' },
+                        tcpPort: { type: 'integer', minimum: 1, maximum: 65535 },
+                        httpUrl: { type: 'string', format: 'uri' }
+                    },
+                    required: ['host'],
+                    anyOf: [{ required: ['tcpPort'] }, { required: ['httpUrl'] }]
+                }
+            ],
+            default: LOOPBACK,
+            description: 'Built-in server on 127.0.0.1, or a remote target'
+        },
+        connections: integer('connections', 'Connections timed for setup latency'),
+        requests: integer('requests', 'Echo round trips and HTTP requests, each'),
+        payloadBytes: integer('payloadBytes', 'Echo message size'),
+        throughputDurationMs: {
+            type: 'integer',
+            minimum: LIMITS.throughputDurationMs[0],
+            maximum: LIMITS.throughputDurationMs[1],
+            description: 'Length of each throughput test (default: duration / 6)'
+        }
+    }
+};
+
+/**
+ * Validate a request config and build the committed spec config
+ * @param {Object} config - Request config
+ * @param {number} duration - Task duration in seconds
+ * @returns {Object}
+ * @throws {Error} with statusCode 400 for invalid values
+ */
+function buildConfig(config, duration) {
+    // 4 throughput tests and the latency tests share the duration
+    return resolveNetworkConfig({ throughputDurationMs: Math.round((duration / 6) * 1000), ...config });
+}
+
+async function execute(spec, { onProgress, signal }) {
+    return runNetworkBenchmark(spec.config, { onProgress, signal });
+}
+
+function buildArtifacts(results) {
+    return {
+        'result.json': JSON.stringify(results, null, 2)
+    };
+}
+
+function summarize({ tests }) {
+    const { tcp, http } = tests;
+    return {
+        tcpConnectP50Ms: tcp ? tcp.connect.p50Ms : undefined,
+        tcpEchoP50Ms: tcp ? tcp.echo.p50Ms : undefined,
+        tcpEchoP99Ms: tcp ? tcp.echo.p99Ms : undefined,
+        tcpUploadMBps: tcp ? tcp.upload.MBps : undefined,
+        tcpDownloadMBps: tcp ? tcp.download.MBps : undefined,
+        httpRequestP50Ms: http ? http.request.p50Ms : undefined,
+        httpRequestP95Ms: http ? http.request.p95Ms : undefined,
+        httpRequestP99Ms: http ? http.request.p99Ms : undefined,
+        httpUploadMBps: http ? http.upload.MBps : undefined,
+        httpDownloadMBps: http ? http.download.MBps : undefined
+    };
+}
+
+module.exports = {
+    type: NETWORK_BENCHMARK,
+    description: 'TCP and HTTP latency and throughput',
+    schema,
+    artifactFiles: ['result.json'],
+    buildConfig,
+    execute,
+    buildArtifacts,
+    summarize
+};
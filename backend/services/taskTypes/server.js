@@ -0,0 +1,210 @@
+const { HASH_ALGORITHMS, DEFAULT_CHECKPOINT_INTERVAL, MAX_CHECKPOINT_INTERVAL } = require('../../utils/hashChain');
+const { SERVER_BENCHMARK, runBenchmark } = require('../benchmark');
+const { resolveMemoryConfig, DEFAULT_SWEEP_KB, MAX_PASSES } = require('../memoryBenchmark');
+const { resolveDiskConfig, SYNC_MODES, DEFAULT_BLOCK_SIZES_KB, MAX_BLOCK_SIZE_KB, MAX_RANDOM_OPS } = require('../diskBenchmark');
+const { resolveRepetitionConfig, OUTLIER_RULES, MAX_WARMUP_ITERATIONS, MAX_REPETITIONS, DEFAULTS: REPETITION_DEFAULTS } = require('../repetitions');
+const { getChallenge, CHECKPOINTS_FILE } = require('../challenge');
+
+/**
+ * SERVER_BENCHMARK task type
+ * CPU hash chain seeded from a block mined after task creation, then the
+ * memory and disk suites. The CPU checkpoints go to their own artifact file.
+ */
+
+const CPU_MODES = ['single', 'multi'];
+
+function invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+const schema = {
+    type: 'object',
+    properties: {
+        cpuMode: {
+            type: 'string',
+            enum: CPU_MODES,
+            default: 'single',
+            description: 'One hash chain, or one per core'
+        },
+        cpuAlgorithm: {
+            type: 'string',
+            enum: HASH_ALGORITHMS,
+            default: 'sha256',
+            description: 'Hash function of the CPU chain'
+        },
+        cpuCheckpointInterval: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_CHECKPOINT_INTERVAL,
+            default: DEFAULT_CHECKPOINT_INTERVAL,
+            description: 'Hashes between CPU checkpoints'
+        },
+        memorySizeMB: {
+            type: 'integer',
+            minimum: 1,
+            default: 100,
+            description: 'Split across three bandwidth arrays'
+        },
+        memoryPasses: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_PASSES,
+            default: 5,
+            description: 'Best of N per bandwidth kernel'
+        },
+        memorySweepKB: {
+            type: 'array',
+            items: { type: 'integer', minimum: 1 },
+            default: DEFAULT_SWEEP_KB,
+            description: 'Working-set sizes, each at most memorySizeMB / 3'
+        },
+        diskSizeMB: {
+            type: 'integer',
+            minimum: 1,
+            default: 10,
+            description: 'Test file size'
+        },
+        diskBlockSizesKB: {
+            type: 'array',
+            items: { type: 'integer', minimum: 4, maximum: MAX_BLOCK_SIZE_KB, multipleOf: 4 },
+            minItems: 1,
+            default: DEFAULT_BLOCK_SIZES_KB,
+            description: 'Sequential block-size sweep'
+        },
+        diskSyncMode: {
+            type: 'string',
+            enum: SYNC_MODES,
+            default: 'fsync',
+            description: 'fsync every diskFsyncIntervalMB, or open with O_DSYNC'
+        },
+        diskFsyncIntervalMB: {
+            type: 'integer',
+            minimum: 1,
+            default: 4,
+            description: 'MB between fsyncs (fsync mode)'
+        },
+        diskRandomOps: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_RANDOM_OPS,
+            default: 1000,
+            description: 'Random 4K reads and writes, each'
+        },
+        warmupIterations: {
+            type: 'integer',
+            minimum: 0,
+            maximum: MAX_WARMUP_ITERATIONS,
+            default: REPETITION_DEFAULTS.warmupIterations,
+            description: 'Discarded runs before each test'
+        },
+        repetitions: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_REPETITIONS,
+            default: REPETITION_DEFAULTS.repetitions,
+            description: 'Measured runs per test; the CPU time is split across them'
+        },
+        outlierTrimming: {
+            type: 'string',
+            enum: OUTLIER_RULES,
+            default: REPETITION_DEFAULTS.outlierTrimming,
+            description: 'iqr drops runs beyond 1.5 IQR of the quartiles (4+ runs)'
+        },
+        maxCV: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            default: REPETITION_DEFAULTS.maxCV,
+            description: 'Coefficient of variation above which a metric is flagged'
+        }
+    }
+};
+
+/**
+ * Validate a request config and build the committed spec config
+ * @param {Object} config - Request config
+ * @param {number} duration - Task duration in seconds
+ * @returns {Object}
+ * @throws {Error} with statusCode 400 for invalid values
+ */
+function buildConfig(config, duration) {
+    const cpuMode = config.cpuMode || 'single';
+    if (!CPU_MODES.includes(cpuMode)) {
+        throw invalid('config.cpuMode must be "single" or "multi"');
+    }
+
+    const cpuAlgorithm = config.cpuAlgorithm || 'sha256';
+    if (!HASH_ALGORITHMS.includes(cpuAlgorithm)) {
+        throw invalid(`config.cpuAlgorithm must be one of: ${HASH_ALGORITHMS.join(', ')}`);
+    }
+
+    const cpuCheckpointInterval = config.cpuCheckpointInterval || DEFAULT_CHECKPOINT_INTERVAL;
+    if (!Number.isInteger(cpuCheckpointInterval) || cpuCheckpointInterval < 1 || cpuCheckpointInterval > MAX_CHECKPOINT_INTERVAL) {
+        throw invalid(`config.cpuCheckpointInterval must be an integer between 1 and ${MAX_CHECKPOINT_INTERVAL}`);
+    }
+
+    return {
+        cpuDurationMs: (duration / 3) * 1000, // 1/3 of time for CPU
+        cpuMode,
+        cpuAlgorithm,
+        cpuCheckpointInterval,
+        ...resolveMemoryConfig(config),
+        ...resolveDiskConfig(config),
+        ...resolveRepetitionConfig(config)
+    };
+}
+
+/**
+ * Run the benchmark for a committed spec
+ * The CPU challenge needs the task's creation block, so it is fetched here
+ */
+async function execute(spec, { taskId, task, chainId, onProgress, signal }) {
+    return runBenchmark(spec.config, {
+        onProgress,
+        signal,
+        challenge: await getChallenge(taskId, task.specHash, { chainId, signal })
+    });
+}
+
+/**
+ * result.json and cpu-checkpoints.json (the CPU hash chain, kept out of
+ * result.json for size)
+ */
+function buildArtifacts(results) {
+    const { cpuCheckpoints, ...rest } = results;
+    return {
+        'result.json': JSON.stringify(rest, null, 2),
+        [CHECKPOINTS_FILE]: JSON.stringify(cpuCheckpoints)
+    };
+}
+
+function summarize({ tests, statistics }) {
+    return {
+        // cpuOpsPerSec is the name clients read before the task type registry
+        cpuOpsPerSec: tests.cpu.opsPerSecond,
+        cpuOpsPerSecond: tests.cpu.opsPerSecond,
+        memoryWriteMBps: tests.memory.writeMBps,
+        memoryReadMBps: tests.memory.readMBps,
+        memoryCopyMBps: tests.memory.stream && tests.memory.stream.copyMBps,
+        memoryLatencyNs: tests.memory.latencyNs,
+        memoryError: tests.memory.error,
+        diskWriteMBps: tests.disk.writeMBps,
+        diskReadMBps: tests.disk.readMBps,
+        diskRandomReadIOPS: tests.disk.random.read.iops,
+        diskRandomWriteIOPS: tests.disk.random.write.iops,
+        repetitions: statistics ? statistics.repetitions : undefined,
+        highVariance: statistics ? statistics.highVariance : undefined
+    };
+}
+
+module.exports = {
+    type: SERVER_BENCHMARK,
+    description: 'CPU hash chain, memory bandwidth and latency, disk I/O',
+    schema,
+    artifactFiles: ['result.json', CHECKPOINTS_FILE],
+    buildConfig,
+    execute,
+    buildArtifacts,
+    summarize
+};
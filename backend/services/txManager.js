@@ -0,0 +1,326 @@
+const { ethers } = require('ethers');
+const txConfig = require('../config/tx');
+const { permanent } = require('../utils/retry');
+const logger = require('../utils/logger');
+
+/**
+ * Transaction manager
+ *
+ * Every contract write goes through sendTransaction():
+ * - Nonces come from a local queue per chain and sender, so concurrent writes
+ *   from one key never reuse or skip a nonce. The queue resyncs from the node's pending
+ *   count after any failed send.
+ * - Fees follow TX_FEE_MODE (EIP-1559 or legacy gasPrice) and never exceed the
+ *   configured caps.
+ * - A transaction still unmined after TX_STUCK_TIMEOUT_MS is re-sent with the
+ *   same nonce and fees bumped by TX_FEE_BUMP_PERCENT; whichever version is
+ *   mined first wins.
+ * - A call that would revert fails at gas estimation with a permanent error,
+ *   before anything is broadcast.
+ * The chain is the signer's: every call goes to signer.provider.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// provider => sender (lowercase) => { next: number|null, tail: Promise }
+const nonceQueues = new WeakMap();
+
+/**
+ * Run fn with the sender's next nonce, one call at a time per sender
+ * The nonce is consumed only if fn resolves
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {string} address - Sender address
+ * @param {function(number): Promise<*>} fn - Broadcasts with the given nonce
+ * @returns {Promise<*>} - fn's result
+ */
+function withNextNonce(provider, address, fn) {
+    if (!nonceQueues.has(provider)) {
+        nonceQueues.set(provider, new Map());
+    }
+    const queues = nonceQueues.get(provider);
+    const key = address.toLowerCase();
+    if (!queues.has(key)) {
+        queues.set(key, { next: null, tail: Promise.resolve() });
+    }
+    const queue = queues.get(key);
+
+    const run = queue.tail.then(async () => {
+        if (queue.next === null) {
+            queue.next = await provider.getTransactionCount(address, 'pending');
+        }
+        const nonce = queue.next;
+        try {
+            const result = await fn(nonce);
+            queue.next = nonce + 1;
+            return result;
+        } catch (error) {
+            // Another process may have used the key; start again from the node's view
+            queue.next = null;
+            throw error;
+        }
+    });
+
+    queue.tail = run.catch(() => {});
+    return run;
+}
+
+const FEE_FIELDS = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+const minBigInt = (a, b) => (a < b ? a : b);
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+/**
+ * Clamp fees to the configured caps
+ * @param {Object} fees - { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas } (bigint)
+ * @returns {Object} - Capped fees
+ */
+function capFees(fees) {
+    const capped = { ...fees };
+    const { maxFeePerGas: feeCap, maxPriorityFeePerGas: tipCap } = txConfig;
+
+    if (capped.gasPrice !== undefined) {
+        if (feeCap !== null) capped.gasPrice = minBigInt(capped.gasPrice, feeCap);
+        return capped;
+    }
+
+    if (feeCap !== null) capped.maxFeePerGas = minBigInt(capped.maxFeePerGas, feeCap);
+    if (tipCap !== null) capped.maxPriorityFeePerGas = minBigInt(capped.maxPriorityFeePerGas, tipCap);
+    capped.maxPriorityFeePerGas = minBigInt(capped.maxPriorityFeePerGas, capped.maxFeePerGas);
+    return capped;
+}
+
+/**
+ * Current fees for a new transaction, under the fee mode and caps
+ * @param {ethers.Provider} provider - Chain provider
+ * @returns {Promise<Object>} - Fee fields plus `type` (0 legacy, 2 EIP-1559)
+ */
+async function currentFees(provider) {
+    const feeData = await provider.getFeeData();
+    const use1559 = txConfig.feeMode === 'eip1559' ||
+        (txConfig.feeMode === 'auto' && feeData.maxFeePerGas !== null);
+
+    if (!use1559) {
+        if (feeData.gasPrice === null) {
+            throw new Error('Node did not report a gas price');
+        }
+        return { type: 0, ...capFees({ gasPrice: feeData.gasPrice }) };
+    }
+
+    const tip = txConfig.priorityFeePerGas !== null
+        ? txConfig.priorityFeePerGas
+        : feeData.maxPriorityFeePerGas !== null ? feeData.maxPriorityFeePerGas : ethers.parseUnits('1', 'gwei');
+    const maxFee = feeData.maxFeePerGas !== null ? feeData.maxFeePerGas : feeData.gasPrice * 2n;
+
+    return { type: 2, ...capFees({ maxFeePerGas: maxBigInt(maxFee, tip), maxPriorityFeePerGas: tip }) };
+}
+
+/**
+ * Raise every fee field by TX_FEE_BUMP_PERCENT, within the caps
+ * @param {Object} fees - Fees of the transaction being replaced
+ * @returns {Object} - Bumped fees
+ */
+function bumpFees(fees) {
+    const bumped = { ...fees };
+    for (const field of FEE_FIELDS) {
+        if (bumped[field] !== undefined) {
+            bumped[field] = bumped[field] * BigInt(100 + txConfig.feeBumpPercent) / 100n;
+        }
+    }
+    return capFees(bumped);
+}
+
+/**
+ * Fees high enough to replace an earlier transaction: the larger of the
+ * current fees and the earlier ones bumped
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {Object} previous - Earlier fees
+ * @returns {Promise<Object>}
+ */
+async function replacementFees(provider, previous) {
+    const fees = await currentFees(provider);
+    const bumped = bumpFees(previous);
+    for (const field of FEE_FIELDS) {
+        if (fees[field] !== undefined && bumped[field] !== undefined) {
+            fees[field] = maxBigInt(fees[field], bumped[field]);
+        }
+    }
+    return capFees(fees);
+}
+
+/**
+ * Whether nodes will accept `after` as a replacement for `before`:
+ * every fee field has to rise by at least 10%
+ * @param {Object} before - Fees of the pending transaction
+ * @param {Object} after - Proposed fees
+ * @returns {boolean}
+ */
+function canReplace(before, after) {
+    return FEE_FIELDS.every(field => before[field] === undefined || after[field] * 100n >= before[field] * 110n);
+}
+
+/**
+ * Fees as decimal strings, for JSON persistence
+ * @param {Object} fees - Fee fields (bigint)
+ * @returns {Object}
+ */
+function serializeFees(fees) {
+    return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value]));
+}
+
+function parseFees(fees) {
+    return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, FEE_FIELDS.includes(key) ? BigInt(value) : value]));
+}
+
+function formatFees(fees) {
+    return fees.gasPrice !== undefined
+        ? `gasPrice ${ethers.formatUnits(fees.gasPrice, 'gwei')} gwei`
+        : `maxFee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei, tip ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei`;
+}
+
+/**
+ * Find a mined receipt among the hashes sent for one nonce
+ * @param {ethers.Provider} provider - Chain provider
+ * @param {Array<string>} hashes - Transaction hashes
+ * @returns {Promise<Object|null>} - Transaction receipt
+ */
+async function findMined(provider, hashes) {
+    for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+    }
+    return null;
+}
+
+/**
+ * Send a transaction and wait until one version of it is mined
+ * @param {ethers.Signer} signer - Sender (connected to the chain provider)
+ * @param {Object} request - { to, data, value? }
+ * @param {Object} [options]
+ * @param {string} [options.label='transaction'] - Name for logs and errors
+ * @param {Object} [options.resume] - Continue an earlier send after a restart:
+ *   { nonce, hashes, fees } as last reported to onSent
+ * @param {function(Object): Promise<void>} [options.onSent] - Called after every
+ *   broadcast (first send and replacements) with { hash, nonce, fees, hashes, replaced }
+ * @returns {Promise<{hash: string, nonce: number, receipt: Object, replacements: number}>}
+ * @throws {Error} permanent if the call reverts (at estimation or on-chain)
+ */
+async function sendTransaction(signer, request, { label = 'transaction', resume, onSent = async () => {} } = {}) {
+    const { provider } = signer;
+    const from = await signer.getAddress();
+    const txLogger = logger.child({ from });
+
+    let gasLimit;
+    try {
+        gasLimit = await provider.estimateGas({ ...request, from });
+    } catch (error) {
+        if (error.code === 'CALL_EXCEPTION') {
+            throw permanent(new Error(`${label} would revert: ${error.reason || error.shortMessage || error.message}`));
+        }
+        throw error;
+    }
+    gasLimit = gasLimit * BigInt(Math.round(txConfig.gasLimitMultiplier * 100)) / 100n;
+
+    let nonce;
+    let fees;
+    let hashes = [];
+
+    const broadcast = async (txNonce, txFees, replaced = null) => {
+        const tx = await signer.sendTransaction({ ...request, nonce: txNonce, gasLimit, ...txFees });
+        hashes.push(tx.hash);
+        txLogger.child({ txHash: tx.hash }).info(`${label} sent with nonce ${txNonce} (${formatFees(txFees)})${replaced ? `, replacing ${replaced}` : ''}`);
+        await onSent({ hash: tx.hash, nonce: txNonce, fees: serializeFees(txFees), hashes: [...hashes], replaced });
+        return tx;
+    };
+
+    if (resume && resume.nonce !== null && resume.nonce !== undefined) {
+        const mined = await findMined(provider, resume.hashes || []);
+        if (mined) {
+            return settle(mined, { label, nonce: resume.nonce, replacements: 0 });
+        }
+
+        const latest = await provider.getTransactionCount(from, 'latest');
+        if (latest <= resume.nonce) {
+            // The earlier version may still be in the mempool: replace it rather than race it
+            nonce = resume.nonce;
+            hashes = [...(resume.hashes || [])];
+            fees = parseFees(resume.fees);
+            const next = await replacementFees(provider, fees);
+            try {
+                await broadcast(nonce, next, hashes[hashes.length - 1] || null);
+                fees = next;
+            } catch (error) {
+                txLogger.warn(`Could not re-send ${label} with nonce ${nonce}, waiting on earlier broadcast:`, error.shortMessage || error.message);
+            }
+        } else {
+            txLogger.warn(`Nonce ${resume.nonce} of earlier ${label} was used by another transaction, sending again`);
+        }
+    }
+
+    if (nonce === undefined) {
+        nonce = await withNextNonce(provider, from, async (next) => {
+            fees = await currentFees(provider);
+            await broadcast(next, fees);
+            return next;
+        });
+    }
+
+    return waitForInclusion({ provider, from, nonce, hashes, label, txLogger, broadcast, fees });
+}
+
+/**
+ * Poll until one of the hashes for a nonce is mined, replacing the
+ * transaction with higher fees whenever it has been stuck too long
+ * @returns {Promise<Object>} - See sendTransaction
+ */
+async function waitForInclusion({ provider, from, nonce, hashes, label, txLogger, broadcast, fees }) {
+    let lastSentAt = Date.now();
+    let replacements = 0;
+    let nonceTaken = false;
+    let atCap = false;
+
+    for (;;) {
+        const mined = await findMined(provider, hashes);
+        if (mined) {
+            return settle(mined, { label, nonce, replacements });
+        }
+
+        const latest = await provider.getTransactionCount(from, 'latest');
+        if (latest > nonce) {
+            // Our receipt can lag the nonce by a poll; only give up on the second sighting
+            if (nonceTaken) {
+                throw new Error(`${label}: nonce ${nonce} was used by another transaction`);
+            }
+            nonceTaken = true;
+        } else if (Date.now() - lastSentAt >= txConfig.stuckTimeoutMs && replacements < txConfig.maxReplacements) {
+            const next = bumpFees(fees);
+            if (canReplace(fees, next)) {
+                try {
+                    await broadcast(nonce, next, hashes[hashes.length - 1]);
+                    fees = next;
+                    replacements++;
+                } catch (error) {
+                    txLogger.warn(`Replacement of ${label} failed:`, error.shortMessage || error.message);
+                }
+            } else if (!atCap) {
+                atCap = true;
+                txLogger.warn(`${label} with nonce ${nonce} is stuck at the gas price cap, waiting`);
+            }
+            lastSentAt = Date.now();
+        }
+
+        await sleep(txConfig.pollIntervalMs);
+    }
+}
+
+function settle(receipt, { label, nonce, replacements }) {
+    if (receipt.status === 0) {
+        throw permanent(new Error(`${label} reverted in transaction ${receipt.hash}`));
+    }
+    logger.child({ txHash: receipt.hash }).info(`${label} mined in block ${receipt.blockNumber}`);
+    return { hash: receipt.hash, nonce, receipt, replacements };
+}
+
+module.exports = {
+    sendTransaction,
+    currentFees
+};
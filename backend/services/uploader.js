@@ -0,0 +1,186 @@
+const fs = require('fs-extra');
+const path = require('path');
+const mimeTypes = require('mime-types');
+const storageConfig = require('../config/storage');
+const { getStorage } = require('./storage');
+const { withRetry } = require('../utils/retry');
+const { taskKey } = require('../utils/taskKey');
+const logger = require('../utils/logger');
+
+/**
+ * Idempotent, resumable artifact uploads
+ *
+ * Each object is checked before it is written: if the stored object is
+ * complete and its checksum matches the local file it is skipped; a stale or
+ * half-written object is removed and uploaded again. Transient failures are
+ * retried with exponential backoff, and files upload in parallel up to
+ * UPLOAD_CONCURRENCY.
+ *
+ * Progress is recorded in a per-task upload manifest
+ * (UPLOAD_STATE_DIR/<task key>.json, e.g. chain-97/task-7.json) so an interrupted upload resumes
+ * without re-checking objects it already finished; they are only confirmed
+ * to still exist.
+ */
+
+const { concurrency, retries, retryDelayMs, stateDir } = storageConfig.upload;
+
+/**
+ * Resolve the upload manifest path for a task
+ * Kept outside the artifact folder so it never becomes a Merkle leaf
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {string} - Absolute path
+ */
+function getUploadStatePath(taskId, chainId) {
+    return path.resolve(process.cwd(), stateDir, `${taskKey(taskId, chainId)}.json`);
+}
+
+/**
+ * Load the upload manifest for a task
+ * A manifest written for a different provider is discarded
+ * @param {number} taskId - Task ID
+ * @param {string} provider - Current storage provider name
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object>}
+ */
+async function loadUploadState(taskId, provider, chainId) {
+    const statePath = getUploadStatePath(taskId, chainId);
+
+    if (await fs.pathExists(statePath)) {
+        try {
+            const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+            if (state.provider === provider) {
+                return state;
+            }
+        } catch (error) {
+            logger.warn(`Ignoring unreadable upload manifest ${statePath}:`, error.message);
+        }
+    }
+
+    return { taskId, provider, objects: {}, updatedAt: null };
+}
+
+/**
+ * Run fn over items with at most `limit` in flight
+ * After the first failure no new items start; in-flight ones finish, then
+ * the first error is thrown
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function(*): Promise<*>} fn - Worker
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    async function worker() {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index]);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+
+    if (failure) {
+        throw failure;
+    }
+    return results;
+}
+
+/**
+ * Upload files from an artifact folder under the task key (chain-<chainId>/task-<id>/)
+ * @param {number} taskId - Task ID
+ * @param {string} folderPath - Artifact folder
+ * @param {Array<string>} files - Paths relative to the folder ('/'-separated)
+ * @param {Object} [options]
+ * @param {function(Object): void} [options.onUploaded] - Called per file with { objectName, bytes, url, skipped }
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Array<{objectName: string, url: string, skipped: boolean}>>}
+ */
+async function uploadFiles(taskId, folderPath, files, { onUploaded, chainId } = {}) {
+    const storage = getStorage();
+    const statePath = getUploadStatePath(taskId, chainId);
+    const state = await loadUploadState(taskId, storage.name, chainId);
+
+    // Writes are chained so parallel uploads never interleave on disk
+    let saving = Promise.resolve();
+    const saveState = () => {
+        saving = saving.then(async () => {
+            state.updatedAt = new Date().toISOString();
+            await fs.ensureDir(path.dirname(statePath));
+            const tmpPath = `${statePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+            await fs.rename(tmpPath, statePath);
+        });
+        return saving;
+    };
+
+    const uploadOne = async (relativePath) => {
+        const objectName = `${taskKey(taskId, chainId)}/${relativePath}`;
+        const content = await fs.readFile(path.join(folderPath, ...relativePath.split('/')));
+        const checksum = await storage.checksum(content);
+        const recorded = state.objects[relativePath];
+        const retryOptions = { retries, baseDelayMs: retryDelayMs, label: `Upload of ${objectName}` };
+
+        let url;
+        let skipped;
+
+        // Finished by an earlier (interrupted) run, unless the object was deleted since
+        if (recorded && recorded.checksum === checksum &&
+            await withRetry(() => storage.exists(objectName), retryOptions)) {
+            url = recorded.url;
+            skipped = true;
+        } else {
+            ({ url, skipped } = await withRetry(async () => {
+                const existing = await storage.head(objectName);
+
+                if (existing && existing.complete && existing.checksum === checksum) {
+                    return { url: await storage.getUrl(objectName), skipped: true };
+                }
+                if (existing) {
+                    // Different content, or an upload that never completed
+                    await storage.remove(objectName);
+                }
+
+                const contentType = mimeTypes.lookup(path.extname(relativePath)) || 'application/octet-stream';
+                const stored = await storage.put(objectName, content, { contentType });
+                return { url: stored.url, skipped: false };
+            }, retryOptions));
+
+            state.objects[relativePath] = {
+                objectName,
+                size: content.length,
+                checksum,
+                url,
+                uploadedAt: new Date().toISOString()
+            };
+            await saveState();
+        }
+
+        if (skipped) {
+            logger.info(`Already stored, skipped: ${objectName}`);
+        }
+        if (onUploaded) {
+            onUploaded({ objectName, bytes: content.length, url, skipped });
+        }
+
+        return { objectName, url, skipped };
+    };
+
+    try {
+        return await mapWithConcurrency(files, concurrency, uploadOne);
+    } finally {
+        await saving;
+    }
+}
+
+module.exports = {
+    uploadFiles,
+    getUploadStatePath
+};
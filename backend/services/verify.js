@@ -0,0 +1,352 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { hashSpec, hashArtifactFolderLegacy } = require('../utils/hash');
+const { buildArtifactTree, MANIFEST_FILE, EXCLUDED_FILES } = require('../utils/merkle');
+const { receiptDomain, recoverReceiptSigner } = require('../utils/receiptSignature');
+const { getTask, getReceipt, getRegistry } = require('../contracts/executionRegistry');
+const { loadSpec } = require('./specStore');
+const { findArtifactPath, findStorageKey } = require('./artifacts');
+const { CHECKPOINTS_FILE, verifyCpuWork } = require('./challenge');
+const { getStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+/**
+ * Independent end-to-end task verification
+ * Recomputes every anchored hash from the spec and artifact files and
+ * compares it to what ExecutionRegistry recorded on-chain.
+ */
+
+const SOURCES = ['auto', 'local', 'storage'];
+
+function sameHash(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Download a task's artifact folder from artifact storage into a temp directory
+ * The manifest names every leaf, so it drives which objects are fetched
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<string>} - Path to the downloaded folder (caller removes it)
+ */
+async function fetchFromStorage(taskId, chainId) {
+    const storage = getStorage();
+    const prefix = await findStorageKey(taskId, chainId);
+    const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), `infraproof-verify-${taskId}-`));
+
+    try {
+        const manifestContent = await storage.get(`${prefix}/${MANIFEST_FILE}`);
+        await fs.writeFile(path.join(folderPath, MANIFEST_FILE), manifestContent);
+
+        const manifest = JSON.parse(manifestContent.toString('utf8'));
+        for (const leaf of manifest.leaves) {
+            if (leaf.path.split('/').includes('..')) {
+                throw new Error(`Refusing manifest path outside artifact folder: ${leaf.path}`);
+            }
+            const content = await storage.get(`${prefix}/${leaf.path}`);
+            const filePath = path.join(folderPath, ...leaf.path.split('/'));
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(filePath, content);
+        }
+
+        try {
+            const receiptContent = await storage.get(`${prefix}/receipt.json`);
+            await fs.writeFile(path.join(folderPath, 'receipt.json'), receiptContent);
+        } catch (error) {
+            logger.warn(`receipt.json not available in ${storage.name} storage for task ${taskId}`);
+        }
+
+        return folderPath;
+    } catch (error) {
+        await fs.remove(folderPath);
+        throw error;
+    }
+}
+
+/**
+ * Locate the artifact folder to verify
+ * @param {number} taskId - Task ID
+ * @param {string} source - auto | local | storage
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<{folderPath: string, source: string, temporary: boolean}>}
+ */
+async function resolveArtifacts(taskId, source, chainId) {
+    const localPath = await findArtifactPath(taskId, chainId);
+
+    if (source === 'local' || (source === 'auto' && await fs.pathExists(localPath))) {
+        if (!(await fs.pathExists(localPath))) {
+            throw new Error(`Local artifacts not found: ${localPath}`);
+        }
+        return { folderPath: localPath, source: 'local', temporary: false };
+    }
+
+    return { folderPath: await fetchFromStorage(taskId, chainId), source: getStorage().name, temporary: true };
+}
+
+/**
+ * Read a JSON file from the artifact folder, or null if absent
+ * @param {string} folderPath - Artifact folder
+ * @param {string} fileName - File name
+ * @returns {Promise<Object|null>}
+ */
+async function readArtifactJSON(folderPath, fileName) {
+    const filePath = path.join(folderPath, fileName);
+    if (!(await fs.pathExists(filePath))) return null;
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Check a signed receipt.json against the on-chain task and receipt
+ * The message is rebuilt from the on-chain values (only the storage location
+ * comes from the file), so a signature over anything else does not recover
+ * to the on-chain operator.
+ * @param {number} taskId - Task ID
+ * @param {Object} receiptFile - Parsed receipt.json
+ * @param {Object} onChain - { task, receipt } as returned by getTask/getReceipt
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {{passed: boolean, expected: string, actual: string|null, detail: string}}
+ */
+function checkReceiptSignature(taskId, receiptFile, { task, receipt }, chainId) {
+    const registry = getRegistry(chainId);
+    const domain = receiptDomain(registry.chainId, registry.deployment.address);
+
+    if (!receiptFile.signature) {
+        return { passed: false, expected: receipt.operator, actual: null, detail: 'receipt.json is not signed' };
+    }
+
+    let signer;
+    try {
+        signer = recoverReceiptSigner(domain, {
+            taskId,
+            specHash: task.specHash,
+            artifactHash: receipt.artifactHash,
+            resultHash: receipt.resultHash,
+            storageLocation: receiptFile.artifactUrl
+        }, receiptFile.signature);
+    } catch (error) {
+        return { passed: false, expected: receipt.operator, actual: null, detail: `Malformed signature: ${error.message}` };
+    }
+
+    const passed = sameHash(signer, receipt.operator);
+    return {
+        passed,
+        expected: receipt.operator,
+        actual: signer,
+        detail: passed ? 'EIP-712 signer is the on-chain operator' : 'EIP-712 signer is not the on-chain operator'
+    };
+}
+
+/**
+ * Get a task's signed receipt.json and check its signature
+ * Read from the local artifact folder, else from artifact storage
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object|null>} - { onChain, signedReceipt, signature }, or null if the task does not exist
+ */
+async function getSignedReceipt(taskId, { chainId } = {}) {
+    const task = await getTask(taskId, { chainId });
+    if (task.requester === ethers.ZeroAddress) {
+        return null;
+    }
+    const receipt = await getReceipt(taskId, { chainId });
+
+    let signedReceipt = await readArtifactJSON(await findArtifactPath(taskId, chainId), 'receipt.json');
+    if (!signedReceipt) {
+        try {
+            const content = await getStorage().get(`${await findStorageKey(taskId, chainId)}/receipt.json`);
+            signedReceipt = JSON.parse(content.toString('utf8'));
+        } catch (error) {
+            logger.warn(`receipt.json not available for task ${taskId}:`, error.message);
+        }
+    }
+
+    return {
+        onChain: receipt,
+        signedReceipt,
+        signature: receipt && signedReceipt
+            ? checkReceiptSignature(taskId, signedReceipt, { task, receipt }, chainId)
+            : null
+    };
+}
+
+/**
+ * Verify a task end to end
+ * @param {number} taskId - Task ID
+ * @param {Object} [options]
+ * @param {string} [options.source='auto'] - Where to read artifacts: auto (local, else storage), local, storage
+ * @param {number} [options.chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Promise<Object>} - Report: { taskId, passed, source, checks: [{ name, passed, expected, actual, detail }] }
+ */
+async function verifyTask(taskId, { source = 'auto', chainId } = {}) {
+    if (!SOURCES.includes(source)) {
+        throw new Error(`Invalid source: ${source} (expected ${SOURCES.join(', ')})`);
+    }
+
+    logger.info(`Verifying task ${taskId} (source: ${source})`);
+
+    const checks = [];
+    const check = (name, passed, details = {}) => {
+        checks.push({ name, passed, ...details });
+        return passed;
+    };
+    const report = (artifactSource = null) => ({
+        taskId,
+        passed: checks.every(c => c.passed),
+        source: artifactSource,
+        checks,
+        verifiedAt: new Date().toISOString()
+    });
+
+    // On-chain task and receipt
+    const task = await getTask(taskId, { chainId });
+    if (!check('task-exists', task.requester !== ethers.ZeroAddress, {
+        detail: task.requester !== ethers.ZeroAddress ? `requester ${task.requester}` : 'Task not found on-chain'
+    })) {
+        return report();
+    }
+
+    const receipt = await getReceipt(taskId, { chainId });
+    if (!check('receipt-exists', receipt !== null, {
+        detail: receipt ? `operator ${receipt.operator}` : 'No receipt submitted on-chain'
+    })) {
+        return report();
+    }
+
+    // Stored spec vs on-chain specHash
+    const storedSpec = await loadSpec(task.specHash);
+    const storedSpecHash = storedSpec ? hashSpec(storedSpec) : null;
+    check('spec-hash', sameHash(storedSpecHash, task.specHash), {
+        expected: task.specHash,
+        actual: storedSpecHash,
+        detail: storedSpec ? 'Stored spec re-hashed' : 'Spec not found in spec store'
+    });
+
+    // Artifact files
+    let artifacts;
+    try {
+        artifacts = await resolveArtifacts(taskId, source, chainId);
+        check('artifacts-available', true, { detail: `Read from ${artifacts.source}` });
+    } catch (error) {
+        check('artifacts-available', false, { detail: error.message });
+        return report();
+    }
+
+    try {
+        const { folderPath } = artifacts;
+
+        // artifactHash: Merkle root, falling back to the legacy scheme for old receipts
+        const tree = await buildArtifactTree(folderPath);
+        let artifactHash = tree.root;
+        let scheme = 'merkle';
+        if (!sameHash(artifactHash, receipt.artifactHash)) {
+            const legacyHash = await hashArtifactFolderLegacy(folderPath, EXCLUDED_FILES);
+            if (sameHash(legacyHash, receipt.artifactHash)) {
+                artifactHash = legacyHash;
+                scheme = 'legacy';
+            }
+        }
+        check('artifact-hash', sameHash(artifactHash, receipt.artifactHash), {
+            expected: receipt.artifactHash,
+            actual: artifactHash,
+            detail: `${tree.leaves.length} files, ${scheme} scheme`
+        });
+
+        // Manifest (if present) must describe the same tree
+        try {
+            const manifest = await readArtifactJSON(folderPath, MANIFEST_FILE);
+            if (manifest) {
+                check('manifest-root', sameHash(manifest.root, tree.root), {
+                    expected: tree.root,
+                    actual: manifest.root
+                });
+            }
+        } catch (error) {
+            check('manifest-root', false, { detail: error.message });
+        }
+
+        // resultHash: keccak256 of result.json bytes
+        const resultPath = path.join(folderPath, 'result.json');
+        const resultHash = await fs.pathExists(resultPath)
+            ? ethers.keccak256(await fs.readFile(resultPath))
+            : null;
+        check('result-hash', sameHash(resultHash, receipt.resultHash), {
+            expected: receipt.resultHash,
+            actual: resultHash,
+            detail: resultHash ? undefined : 'result.json missing'
+        });
+
+        // CPU hash chain; a spec that commits challenge parameters must come with
+        // its checkpoints, only legacy specs without them skip the check
+        const committedChallenge = Boolean(storedSpec && storedSpec.config &&
+            (storedSpec.config.cpuAlgorithm !== undefined || storedSpec.config.cpuCheckpointInterval !== undefined));
+        try {
+            const cpuCheckpoints = await readArtifactJSON(folderPath, CHECKPOINTS_FILE);
+            if (cpuCheckpoints) {
+                const { passed, detail, segments, checked } = await verifyCpuWork(cpuCheckpoints, {
+                    taskId,
+                    specHash: task.specHash,
+                    spec: storedSpec,
+                    result: await readArtifactJSON(folderPath, 'result.json'),
+                    chainId
+                });
+                check('cpu-work', passed, { detail, segments, checked: checked.length });
+            } else if (committedChallenge) {
+                check('cpu-work', false, { detail: `${CHECKPOINTS_FILE} missing; the spec commits a CPU challenge` });
+            }
+        } catch (error) {
+            check('cpu-work', false, { detail: error.message });
+        }
+
+        // spec.json embedded in artifacts must be the committed spec
+        try {
+            const artifactSpec = await readArtifactJSON(folderPath, 'spec.json');
+            if (artifactSpec) {
+                const artifactSpecHash = hashSpec(artifactSpec);
+                check('artifact-spec', sameHash(artifactSpecHash, task.specHash), {
+                    expected: task.specHash,
+                    actual: artifactSpecHash
+                });
+            }
+        } catch (error) {
+            check('artifact-spec', false, { detail: error.message });
+        }
+
+        // receipt.json must agree with the on-chain receipt
+        let receiptFile;
+        try {
+            receiptFile = await readArtifactJSON(folderPath, 'receipt.json');
+        } catch (error) {
+            check('receipt-file', false, { detail: error.message });
+        }
+        if (receiptFile) {
+            check('receipt-file', sameHash(receiptFile.artifactHash, receipt.artifactHash) &&
+                sameHash(receiptFile.resultHash, receipt.resultHash), {
+                expected: { artifactHash: receipt.artifactHash, resultHash: receipt.resultHash },
+                actual: { artifactHash: receiptFile.artifactHash, resultHash: receiptFile.resultHash }
+            });
+
+            // receipt.json is not a Merkle leaf, so a stripped signature must fail, not skip
+            const { passed, ...details } = checkReceiptSignature(taskId, receiptFile, { task, receipt }, chainId);
+            check('receipt-signature', passed, details);
+        } else if (receiptFile === null) {
+            check('receipt-signature', false, { expected: receipt.operator, actual: null, detail: 'receipt.json missing' });
+        }
+    } finally {
+        if (artifacts.temporary) {
+            await fs.remove(artifacts.folderPath);
+        }
+    }
+
+    const result = report(artifacts.source);
+    logger.info(`Task ${taskId} verification ${result.passed ? 'passed' : 'failed'}`);
+    return result;
+}
+
+module.exports = {
+    SOURCES,
+    verifyTask,
+    getSignedReceipt
+};
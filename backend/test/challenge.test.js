@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+/**
+ * verifyCpuWork on a small real hash chain, seeded from a task on the
+ * in-memory registry: the honest record passes, and every kind of
+ * tampering is caught
+ */
+
+process.env.MODE = 'local';
+
+const { createTask } = require('../contracts/executionRegistry');
+const { getChallenge, verifyCpuWork } = require('../services/challenge');
+const { laneSeed, iterate } = require('../utils/hashChain');
+
+const ALGORITHM = 'sha256';
+const INTERVAL = 4;
+const LANES = 2;
+const CHECKPOINTS_PER_LANE = 3;
+const SEGMENTS = LANES * CHECKPOINTS_PER_LANE;
+
+/**
+ * Compute cpu-checkpoints.json the way the benchmark does
+ * @returns {Object}
+ */
+function buildCheckpoints(challenge) {
+    const lanes = Array.from({ length: LANES }, (_, lane) => {
+        const seed = laneSeed(challenge.seed, lane);
+        const checkpoints = [];
+        let hash = seed;
+        for (let i = 0; i < CHECKPOINTS_PER_LANE; i++) {
+            hash = iterate(hash, INTERVAL, ALGORITHM);
+            checkpoints.push(hash);
+        }
+        return { lane, seed, iterations: CHECKPOINTS_PER_LANE * INTERVAL, checkpoints };
+    });
+    return { algorithm: ALGORITHM, checkpointInterval: INTERVAL, challenge, lanes };
+}
+
+test('CPU challenge verification', async (t) => {
+    const specHash = ethers.id('cpu-challenge-spec');
+    const { taskId } = await createTask(specHash);
+    const challenge = await getChallenge(taskId, specHash);
+    const honest = buildCheckpoints(challenge);
+    const result = { tests: { cpu: { iterations: LANES * CHECKPOINTS_PER_LANE * INTERVAL } } };
+
+    // Recompute every segment so a single tampered one is always found
+    const verify = (checkpoints, context = {}) =>
+        verifyCpuWork(checkpoints, { taskId, specHash, result, spotChecks: SEGMENTS, ...context });
+    const tampered = (edit) => {
+        const copy = structuredClone(honest);
+        edit(copy);
+        return copy;
+    };
+
+    await t.test('an honest record passes', async () => {
+        const check = await verify(honest);
+        assert.strictEqual(check.passed, true, check.detail);
+        assert.strictEqual(check.segments, SEGMENTS);
+        assert.strictEqual(check.checked.length, SEGMENTS);
+    });
+
+    await t.test('a tampered checkpoint fails', async () => {
+        const check = await verify(tampered(c => { c.lanes[1].checkpoints[1] = ethers.id('forged'); }));
+        assert.strictEqual(check.passed, false);
+        assert.ok(check.problems.includes('lane 1 checkpoint 1 does not follow from the previous one'), check.detail);
+    });
+
+    await t.test('a chain from the wrong seed fails', async () => {
+        const forged = { ...challenge, seed: ethers.id('not-the-seed') };
+        const check = await verify(buildCheckpoints(forged));
+        assert.strictEqual(check.passed, false);
+        assert.ok(check.problems.includes('seed is not keccak256(specHash || blockHash)'), check.detail);
+    });
+
+    await t.test('a wrong challenge block hash fails', async () => {
+        const check = await verify(tampered(c => { c.challenge.block.hash = ethers.id('other-block'); }));
+        assert.strictEqual(check.passed, false);
+        assert.ok(check.problems.includes(`challenge block hash does not match block ${challenge.block.number} on-chain`), check.detail);
+    });
+
+    await t.test('an iteration count the checkpoints do not cover fails', async () => {
+        const check = await verify(tampered(c => { c.lanes[0].iterations += INTERVAL; }), { result: null });
+        assert.strictEqual(check.passed, false);
+        assert.ok(check.problems.includes(`lane 0 claims ${(CHECKPOINTS_PER_LANE + 1) * INTERVAL} hashes but has ${CHECKPOINTS_PER_LANE} checkpoints`), check.detail);
+    });
+
+    await t.test('a result.json hash count that differs from the lanes fails', async () => {
+        const inflated = { tests: { cpu: { iterations: result.tests.cpu.iterations * 2 } } };
+        const check = await verify(honest, { result: inflated });
+        assert.strictEqual(check.passed, false);
+        assert.deepStrictEqual(check.problems, [
+            `result.json reports ${inflated.tests.cpu.iterations} hashes, checkpoints cover ${result.tests.cpu.iterations}`
+        ]);
+    });
+
+    await t.test('a challenge without a block is a failed check, not an error', async () => {
+        const check = await verify(tampered(c => { delete c.challenge.block; }));
+        assert.strictEqual(check.passed, false);
+        assert.strictEqual(check.detail, 'challenge block must have a block number and a bytes32 hash');
+    });
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * services/indexer.js against a stub provider: batching, the
+ * confirmed/unconfirmed split, GET /tasks filters and pagination, and
+ * rollback after a reorg below the checkpointed tip
+ */
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'infraproof-indexer-'));
+Object.assign(process.env, {
+    MODE: 'chain',
+    CHAIN_ID: '31337',
+    CHAIN_RPC_URL: 'http://127.0.0.1:8545',
+    PRIVATE_KEY: ethers.Wallet.createRandom().privateKey,
+    INDEX_STORE_PATH: path.join(storeDir, 'tasks.json'),
+    INDEXER_START_BLOCK: '0',
+    INDEXER_CONFIRMATIONS: '2',
+    INDEXER_BATCH_BLOCKS: '4'
+});
+
+const { getRegistry } = require('../contracts/executionRegistry');
+const { queryTasks, getIndexerStatus, syncOnce } = require('../services/indexer');
+
+const { provider, contract } = getRegistry();
+const REQUESTER_A = ethers.Wallet.createRandom().address;
+const REQUESTER_B = ethers.Wallet.createRandom().address;
+const OPERATOR = ethers.Wallet.createRandom().address;
+
+/**
+ * A chain of blocks, each carrying registry events
+ * fork(n) replaces the hash of every block from n on, as a reorg would
+ */
+const chain = {
+    head: 0,
+    events: [],
+    forkedFrom: Infinity,
+    blockHash(number) {
+        return ethers.id(`block-${number}${number >= this.forkedFrom ? '-fork' : ''}`);
+    },
+    fork(fromBlock) {
+        this.forkedFrom = fromBlock;
+    }
+};
+
+function taskCreated(blockNumber, taskId, requester) {
+    chain.events.push({ blockNumber, name: 'TaskCreated', args: [taskId, requester, ethers.id(`spec-${taskId}`)] });
+}
+
+function receiptSubmitted(blockNumber, taskId) {
+    chain.events.push({ blockNumber, name: 'ReceiptSubmitted', args: [taskId, OPERATOR, ethers.id(`artifact-${taskId}`), ethers.id(`result-${taskId}`)] });
+}
+
+// Block n is mined at 1000 + 10n
+const timestampOf = number => 1000 + number * 10;
+
+provider.getBlockNumber = async () => chain.head;
+provider.getBlock = async (number) => (number <= chain.head
+    ? { number, hash: chain.blockHash(number), timestamp: timestampOf(number) }
+    : null);
+provider.getLogs = async ({ fromBlock, toBlock }) => chain.events
+    .filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock)
+    .map((event, index) => ({
+        ...contract.interface.encodeEventLog(event.name, event.args),
+        address: contract.target,
+        blockNumber: event.blockNumber,
+        index,
+        transactionHash: ethers.id(`${event.name}-${event.args[0]}-${event.blockNumber}`)
+    }));
+
+test('task indexer', async (t) => {
+    t.after(() => fs.remove(storeDir));
+
+    taskCreated(2, 0, REQUESTER_A);
+    taskCreated(6, 1, REQUESTER_B);
+    receiptSubmitted(7, 0);
+    receiptSubmitted(9, 1);
+    taskCreated(10, 2, REQUESTER_A);
+    chain.head = 10;
+    await syncOnce();
+
+    await t.test('confirmed blocks are stored in batches, the tail is served unconfirmed', async () => {
+        const status = getIndexerStatus();
+        assert.strictEqual(status.lastIndexedBlock, 8);
+        assert.strictEqual(status.synced, true);
+
+        const stored = JSON.parse(await fs.readFile(process.env.INDEX_STORE_PATH, 'utf8'));
+        assert.deepStrictEqual(stored.checkpoints.map(c => c.number), [3, 7, 8]);
+        assert.deepStrictEqual(Object.keys(stored.tasks), ['0', '1']);
+        assert.strictEqual(stored.tasks[1].receipt, null, 'receipt in block 9 is not persisted');
+
+        const { tasks } = queryTasks({ order: 'asc' });
+        assert.deepStrictEqual(tasks.map(task => [task.taskId, task.status, task.confirmed]), [
+            [0, 'COMPLETED', true],
+            [1, 'COMPLETED', true],
+            [2, 'PENDING', false]
+        ]);
+        assert.strictEqual(tasks[0].receipt.confirmed, true);
+        assert.strictEqual(tasks[1].receipt.confirmed, false);
+        assert.strictEqual(tasks[0].createdAt, timestampOf(2));
+    });
+
+    await t.test('filters and pagination', () => {
+        const ids = filters => queryTasks(filters).tasks.map(task => task.taskId);
+
+        assert.deepStrictEqual(ids({ requester: REQUESTER_A.toLowerCase() }), [2, 0]);
+        assert.deepStrictEqual(ids({ operator: OPERATOR }), [1, 0]);
+        assert.deepStrictEqual(ids({ status: 'PENDING' }), [2]);
+        assert.deepStrictEqual(ids({ from: timestampOf(6), to: timestampOf(6) }), [1]);
+
+        const page = queryTasks({ page: 2, limit: 2, order: 'asc' });
+        assert.deepStrictEqual(page.tasks.map(task => task.taskId), [2]);
+        assert.strictEqual(page.total, 3);
+    });
+
+    await t.test('a reorg below the checkpointed tip rolls back to the last matching checkpoint', async () => {
+        // Blocks 5 and up are replaced: task 1 and its receipt never happened,
+        // task 0's receipt lands in block 8 instead, task 2 in block 11
+        chain.fork(5);
+        chain.events = chain.events.filter(event => event.blockNumber < 5);
+        receiptSubmitted(8, 0);
+        taskCreated(11, 2, REQUESTER_A);
+        chain.head = 11;
+        await syncOnce();
+
+        const stored = JSON.parse(await fs.readFile(process.env.INDEX_STORE_PATH, 'utf8'));
+        assert.deepStrictEqual(stored.checkpoints, [
+            { number: 3, hash: chain.blockHash(3) },
+            { number: 7, hash: chain.blockHash(7) },
+            { number: 9, hash: chain.blockHash(9) }
+        ]);
+        assert.deepStrictEqual(Object.keys(stored.tasks), ['0']);
+        assert.strictEqual(stored.tasks[0].receipt.blockNumber, 8);
+
+        const { tasks } = queryTasks({ order: 'asc' });
+        assert.deepStrictEqual(tasks.map(task => [task.taskId, task.status, task.confirmed]), [
+            [0, 'COMPLETED', true],
+            [2, 'PENDING', false]
+        ]);
+        assert.strictEqual(tasks[1].blockNumber, 11);
+    });
+});
@@ -0,0 +1,255 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * create → execute → poll job → GET → verify against a real server in
+ * MODE=local (in-memory registry, local storage), so nothing leaves the machine
+ */
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const JOB_TIMEOUT_MS = 120000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start server.js in its own working directory
+ * @returns {Promise<{baseUrl: string, dir: string, stop: function(): Promise<void>}>}
+ */
+async function startServer() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'infraproof-test-'));
+    const port = await freePort();
+    const output = [];
+
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: dir,
+        env: { ...process.env, MODE: 'local', PORT: String(port), STORAGE_PROVIDER: 'local' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => output.push(chunk));
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const stop = async () => {
+        if (child.exitCode === null) child.kill();
+        await exited;
+        await fs.remove(dir);
+    };
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const deadline = Date.now() + 20000;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) break;
+        try {
+            if ((await fetch(`${baseUrl}/`)).ok) return { baseUrl, dir, stop };
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    await stop();
+    throw new Error(`Server did not start:\n${Buffer.concat(output).toString()}`);
+}
+
+async function request(baseUrl, method, urlPath, body) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Send the same bodyless request on `count` connections at once: every
+ * socket is connected first and all requests are written in one tick, so
+ * the server starts handling them together
+ * @returns {Promise<Array<{status: number, body: Object}>>}
+ */
+async function requestTogether(baseUrl, method, urlPath, count) {
+    const { hostname, port } = new URL(baseUrl);
+    const sockets = await Promise.all(Array.from({ length: count }, () => new Promise((resolve, reject) => {
+        const socket = net.connect(Number(port), hostname, () => resolve(socket));
+        socket.once('error', reject);
+    })));
+
+    const responses = sockets.map(socket => new Promise((resolve, reject) => {
+        const chunks = [];
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.once('error', reject);
+        socket.once('end', () => {
+            const raw = Buffer.concat(chunks).toString();
+            const [head, body] = raw.split('\r\n\r\n');
+            resolve({ status: Number(head.split(' ')[1]), body: JSON.parse(body) });
+        });
+    }));
+    for (const socket of sockets) {
+        socket.write(`${method} ${urlPath} HTTP/1.1\r\nHost: ${hostname}\r\nContent-Length: 0\r\nConnection: close\r\n\r\n`);
+    }
+    return Promise.all(responses);
+}
+
+async function waitForJob(baseUrl, jobId) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const { body } = await request(baseUrl, 'GET', `/jobs/${jobId}`);
+        if (body.job.state === 'done' || body.job.state === 'failed') return body.job;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Read a task's buffered SSE events up to its final stage event
+ * @returns {Promise<Array<Object>>}
+ */
+async function replayEvents(baseUrl, urlPath) {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}${urlPath}`, { signal: controller.signal });
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+    try {
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            for (const message of messages) {
+                const data = message.split('\n').find(line => line.startsWith('data: '));
+                if (!data) continue;
+                const event = JSON.parse(data.slice('data: '.length));
+                events.push(event);
+                if (event.type === 'stage' && ['done', 'failed'].includes(event.data.stage)) return events;
+            }
+        }
+    } finally {
+        controller.abort();
+    }
+    return events;
+}
+
+/**
+ * Run one task through the whole flow and assert every verify check passes
+ */
+async function runFlow(baseUrl, createBody) {
+    const created = await request(baseUrl, 'POST', '/tasks/create', createBody);
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    const { taskId, specHash } = created.body;
+
+    const queued = await request(baseUrl, 'POST', `/tasks/execute/${taskId}`);
+    assert.strictEqual(queued.status, 202, JSON.stringify(queued.body));
+
+    const job = await waitForJob(baseUrl, queued.body.jobId);
+    assert.strictEqual(job.state, 'done', job.error);
+    assert.ok(job.result.benchmarkSummary, 'job result has a benchmark summary');
+
+    const fetched = await request(baseUrl, 'GET', `/tasks/${taskId}`);
+    assert.strictEqual(fetched.status, 200);
+    assert.strictEqual(fetched.body.task.specHash, specHash);
+    assert.strictEqual(fetched.body.task.status, 'COMPLETED');
+    assert.strictEqual(fetched.body.receipt.artifactHash, job.result.artifactHash);
+    assert.strictEqual(fetched.body.receipt.resultHash, job.result.resultHash);
+
+    const verified = await request(baseUrl, 'POST', `/tasks/${taskId}/verify`);
+    assert.strictEqual(verified.status, 200);
+    const failed = verified.body.report.checks.filter(c => !c.passed);
+    assert.deepStrictEqual(failed, [], 'every verify check passes');
+    assert.strictEqual(verified.body.report.passed, true);
+
+    return { taskId, report: verified.body.report };
+}
+
+test('MODE=local create → execute → get → verify', { timeout: 4 * JOB_TIMEOUT_MS }, async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    await t.test('SERVER_BENCHMARK', async () => {
+        const { taskId, report } = await runFlow(server.baseUrl, {
+            type: 'SERVER_BENCHMARK',
+            duration: 3,
+            config: { memorySizeMB: 12, memoryPasses: 2, diskSizeMB: 2, diskRandomOps: 50 }
+        });
+        const names = report.checks.map(c => c.name);
+        for (const name of ['spec-hash', 'artifact-hash', 'result-hash', 'cpu-work', 'receipt-signature']) {
+            assert.ok(names.includes(name), `${name} was checked`);
+        }
+
+        const events = await replayEvents(server.baseUrl, `/tasks/${taskId}/events?chain=31337`);
+        assert.ok(events.every(e => e.taskId === taskId && e.chainId === 31337));
+        assert.deepStrictEqual(events.filter(e => e.type === 'stage').map(e => e.data.stage),
+            ['benchmarking', 'uploading', 'anchoring', 'done']);
+        const txEvents = events.filter(e => e.type === 'tx-sent' || e.type === 'tx-confirmed');
+        assert.deepStrictEqual(txEvents.map(e => e.type), ['tx-sent', 'tx-confirmed']);
+        assert.ok(txEvents.every(e => e.data.action === 'submitReceipt' && e.data.txHash === txEvents[0].data.txHash));
+        const cpuDone = events.filter(e => e.type === 'progress' && e.data.phase === 'cpu' && e.data.percent === 100);
+        assert.strictEqual(cpuDone.length, 1, 'one 100% CPU progress event');
+    });
+
+    await t.test('events for an unserved chain are a 400', async () => {
+        const { status } = await request(server.baseUrl, 'GET', '/tasks/0/events?chain=1');
+        assert.strictEqual(status, 400);
+    });
+
+    await t.test('NETWORK_BENCHMARK', async () => {
+        await runFlow(server.baseUrl, {
+            type: 'NETWORK_BENCHMARK',
+            duration: 1,
+            config: { connections: 5, requests: 20 }
+        });
+    });
+
+    await t.test('artifacts under the legacy task-<id> key still verify', async () => {
+        const { taskId } = await runFlow(server.baseUrl, {
+            type: 'NETWORK_BENCHMARK',
+            duration: 1,
+            config: { connections: 5, requests: 20 }
+        });
+        for (const root of ['artifacts', 'storage']) {
+            await fs.move(
+                path.join(server.dir, root, 'chain-31337', `task-${taskId}`),
+                path.join(server.dir, root, `task-${taskId}`)
+            );
+        }
+
+        for (const source of ['local', 'storage']) {
+            const { status, body } = await request(server.baseUrl, 'POST', `/tasks/${taskId}/verify`, { source });
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.report.checks.filter(c => !c.passed), [], `${source} checks pass`);
+        }
+    });
+
+    await t.test('concurrent executes of one task share a job', async () => {
+        const created = await request(server.baseUrl, 'POST', '/tasks/create', {
+            type: 'NETWORK_BENCHMARK',
+            duration: 1,
+            config: { connections: 5, requests: 20 }
+        });
+        const { taskId } = created.body;
+
+        const queued = await requestTogether(server.baseUrl, 'POST', `/tasks/execute/${taskId}`, 10);
+        assert.ok(queued.every(q => q.status === 202));
+        assert.strictEqual(new Set(queued.map(q => q.body.jobId)).size, 1);
+
+        const job = await waitForJob(server.baseUrl, queued[0].body.jobId);
+        assert.strictEqual(job.state, 'done', job.error);
+    });
+
+    await t.test('unknown task type is a 400', async () => {
+        const { status } = await request(server.baseUrl, 'POST', '/tasks/create', { type: 'NOPE' });
+        assert.strictEqual(status, 400);
+    });
+});
@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { createS3Provider } = require('../services/storage/s3');
+
+/**
+ * services/storage/s3.js against an in-process S3 stand-in: path-style
+ * PUT, GET, HEAD, DELETE and ListObjectsV2, with every request's SigV4
+ * signature recomputed and checked
+ */
+
+const BUCKET = 'infraproof-test';
+const REGION = 'us-east-1';
+const ACCESS_KEY_ID = 'test-access-key';
+const SECRET_ACCESS_KEY = 'test-secret-key';
+const PAGE_SIZE = 2;
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function escapeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function sendError(res, status, code) {
+    res.writeHead(status, { 'content-type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+}
+
+/**
+ * Recompute the SigV4 signature of a request
+ * @returns {boolean}
+ */
+function signatureMatches(req, rawPath, rawQuery, body) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    if (!match) return false;
+    const [, accessKeyId, dateStamp, region, signedHeaders, signature] = match;
+    if (accessKeyId !== ACCESS_KEY_ID || region !== REGION) return false;
+
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    if (payloadHash !== sha256Hex(body)) return false;
+
+    const names = signedHeaders.split(';');
+    const canonicalRequest = [
+        req.method,
+        rawPath,
+        rawQuery,
+        names.map(name => `${name}:${String(req.headers[name]).trim()}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, dateStamp), region)
+    );
+    return hmac(signingKey, stringToSign).toString('hex') === signature;
+}
+
+/**
+ * Start the stand-in on a free port
+ * @returns {Promise<{endpoint: string, objects: Map, requests: Array<string>, close: function(): Promise<void>}>}
+ */
+async function startS3() {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const [rawPath, rawQuery = ''] = req.url.split('?');
+            const query = new URLSearchParams(rawQuery);
+            const [, bucket, ...keyParts] = rawPath.split('/');
+            const key = keyParts.map(decodeURIComponent).join('/');
+            requests.push(`${req.method} ${key || `?${rawQuery}`}`);
+
+            if (!signatureMatches(req, rawPath, rawQuery, body)) {
+                return sendError(res, 403, 'SignatureDoesNotMatch');
+            }
+            if (bucket !== BUCKET) {
+                return sendError(res, 404, 'NoSuchBucket');
+            }
+
+            if (req.method === 'GET' && key === '') {
+                const prefix = query.get('prefix') || '';
+                const matching = [...objects.keys()].filter(k => k.startsWith(prefix)).sort();
+                const start = Number(query.get('continuation-token') || 0);
+                const page = matching.slice(start, start + PAGE_SIZE);
+                const truncated = start + PAGE_SIZE < matching.length;
+                res.writeHead(200, { 'content-type': 'application/xml' });
+                return res.end(
+                    '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+                    `<IsTruncated>${truncated}</IsTruncated>` +
+                    (truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : '') +
+                    page.map(k => `<Contents><Key>${escapeXml(k)}</Key></Contents>`).join('') +
+                    '</ListBucketResult>'
+                );
+            }
+
+            const object = objects.get(key);
+            switch (req.method) {
+            case 'PUT':
+                objects.set(key, { body, contentType: req.headers['content-type'] });
+                res.writeHead(200, { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+                return res.end();
+            case 'GET':
+            case 'HEAD':
+                if (!object) {
+                    if (req.method === 'HEAD') {
+                        res.writeHead(404);
+                        return res.end();
+                    }
+                    return sendError(res, 404, 'NoSuchKey');
+                }
+                res.writeHead(200, {
+                    'content-type': object.contentType,
+                    'content-length': object.body.length,
+                    etag: `"${crypto.createHash('md5').update(object.body).digest('hex')}"`
+                });
+                return res.end(req.method === 'GET' ? object.body : undefined);
+            case 'DELETE':
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            default:
+                return sendError(res, 405, 'MethodNotAllowed');
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function provider(endpoint, overrides = {}) {
+    return createS3Provider({
+        endpoint,
+        region: REGION,
+        bucket: BUCKET,
+        accessKeyId: ACCESS_KEY_ID,
+        secretAccessKey: SECRET_ACCESS_KEY,
+        forcePathStyle: true,
+        ...overrides
+    });
+}
+
+test('S3 storage provider', async (t) => {
+    const s3 = await startS3();
+    t.after(() => s3.close());
+    const storage = provider(s3.endpoint);
+
+    await t.test('put, get, head and exists round-trip an object', async () => {
+        const content = Buffer.from(JSON.stringify({ hello: 'world' }));
+        const key = 'tasks/7/result.json';
+
+        const stored = await storage.put(key, content, { contentType: 'application/json' });
+        assert.deepStrictEqual(stored, { key, url: `${s3.endpoint}/${BUCKET}/tasks/7/result.json` });
+        assert.strictEqual(s3.objects.get(key).contentType, 'application/json');
+
+        assert.deepStrictEqual(await storage.get(key), content);
+        assert.strictEqual(await storage.exists(key), true);
+        assert.deepStrictEqual(await storage.head(key), {
+            size: content.length,
+            checksum: await storage.checksum(content),
+            complete: true
+        });
+    });
+
+    await t.test('keys that need encoding are signed and stored as given', async () => {
+        const key = 'tasks/8/a file & (copy).json';
+        await storage.put(key, Buffer.from('x'));
+        assert.ok(s3.objects.has(key));
+        assert.deepStrictEqual(await storage.get(key), Buffer.from('x'));
+    });
+
+    await t.test('a missing object', async () => {
+        assert.strictEqual(await storage.exists('tasks/missing.json'), false);
+        assert.strictEqual(await storage.head('tasks/missing.json'), null);
+        await assert.rejects(storage.get('tasks/missing.json'), (error) => {
+            assert.match(error.message, /404 NoSuchKey/);
+            assert.strictEqual(error.permanent, true);
+            return true;
+        });
+    });
+
+    await t.test('list follows continuation tokens and filters by prefix', async () => {
+        const keys = ['list/e.json', 'list/a.json', 'list/c&d.json', 'list/b.json', 'list/f.json'];
+        for (const key of keys) {
+            await storage.put(key, Buffer.from(key));
+        }
+        await storage.put('other/a.json', Buffer.from('other'));
+
+        const before = s3.requests.length;
+        assert.deepStrictEqual(await storage.list('list/'), [...keys].sort());
+        const listRequests = s3.requests.slice(before);
+        assert.strictEqual(listRequests.length, Math.ceil(keys.length / PAGE_SIZE));
+        assert.ok(listRequests.slice(1).every(r => r.includes('continuation-token=')));
+    });
+
+    await t.test('remove deletes, and removing a missing object is not an error', async () => {
+        await storage.put('remove/me.json', Buffer.from('bye'));
+        await storage.remove('remove/me.json');
+        assert.strictEqual(await storage.exists('remove/me.json'), false);
+        await storage.remove('remove/me.json');
+    });
+
+    await t.test('a rejected signature is a permanent failure', async () => {
+        const wrongSecret = provider(s3.endpoint, { secretAccessKey: 'not-the-secret' });
+        await assert.rejects(wrongSecret.put('tasks/9/result.json', Buffer.from('x')), (error) => {
+            assert.match(error.message, /403 SignatureDoesNotMatch/);
+            assert.strictEqual(error.permanent, true);
+            return true;
+        });
+        assert.strictEqual(s3.objects.has('tasks/9/result.json'), false);
+    });
+
+    await t.test('publicUrl replaces the endpoint in object URLs', async () => {
+        const cdn = provider(s3.endpoint, { publicUrl: 'https://cdn.example.com/artifacts/' });
+        assert.strictEqual(await cdn.getUrl('tasks/7/result.json'), 'https://cdn.example.com/artifacts/tasks/7/result.json');
+    });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { canonicalize } = require('../utils/canonical');
+const { hashJSON } = require('../utils/hash');
+
+/**
+ * The README's spec hashing test vectors, recomputed from utils/canonical.js
+ * so the published values cannot drift from the implementation
+ */
+
+function readVectors() {
+    const readme = fs.readFileSync(path.join(__dirname, '..', 'README.md'), 'utf8');
+    const section = readme.split('### Test Vectors')[1].split('\n## ')[0];
+    const vectors = [];
+    const pattern = /\*\*(Vector \d+)\*\*[^\n]*\n```\n([\s\S]*?)```/g;
+    let match;
+    while ((match = pattern.exec(section)) !== null) {
+        const fields = {};
+        for (const line of match[2].split('\n')) {
+            const field = /^(input|canonical|keccak256):\s+(.*)$/.exec(line);
+            if (field) fields[field[1]] = field[2];
+        }
+        vectors.push({ name: match[1], ...fields });
+    }
+    return vectors;
+}
+
+const vectors = readVectors();
+
+test('README publishes test vectors', () => {
+    assert.ok(vectors.length >= 3, `found ${vectors.length} vectors`);
+});
+
+for (const vector of vectors) {
+    test(`README ${vector.name}`, () => {
+        assert.ok(vector.canonical && vector.keccak256, 'vector needs canonical and keccak256 lines');
+
+        const value = JSON.parse(vector.input || vector.canonical);
+        assert.strictEqual(canonicalize(value), vector.canonical);
+        assert.strictEqual(ethers.keccak256(ethers.toUtf8Bytes(vector.canonical)), vector.keccak256);
+        assert.strictEqual(hashJSON(value), vector.keccak256);
+    });
+}
@@ -0,0 +1,83 @@
+/**
+ * Canonical JSON encoding (RFC 8785 / JCS style)
+ * Produces a single byte-stable string for any JSON value so that
+ * hashes computed here can be reproduced by third parties
+ */
+
+/**
+ * Check whether a value is a plain object (not an array, Date, Buffer, ...)
+ * @param {*} value - Value to inspect
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Serialize a number the way JCS requires (ECMAScript Number.prototype.toString)
+ * @param {number} value - Number to serialize
+ * @param {string} location - JSON pointer of the value, for error messages
+ * @returns {string}
+ */
+function encodeNumber(value, location) {
+    if (!Number.isFinite(value)) {
+        throw new TypeError(`Cannot canonicalize non-finite number at ${location || '/'}: ${value}`);
+    }
+    // JSON.stringify maps -0 to "0" and otherwise matches Number#toString
+    return JSON.stringify(value);
+}
+
+function encode(value, location) {
+    if (value === null) return 'null';
+
+    switch (typeof value) {
+        case 'boolean':
+            return value ? 'true' : 'false';
+        case 'number':
+            return encodeNumber(value, location);
+        case 'string':
+            return JSON.stringify(value);
+        case 'undefined':
+            throw new TypeError(`Cannot canonicalize undefined at ${location || '/'}`);
+        case 'object':
+            break;
+        default:
+            throw new TypeError(`Cannot canonicalize ${typeof value} at ${location || '/'}`);
+    }
+
+    if (Array.isArray(value)) {
+        const items = Array.from(value, (item, index) => encode(item, `${location}/${index}`));
+        return `[${items.join(',')}]`;
+    }
+
+    if (!isPlainObject(value)) {
+        throw new TypeError(`Cannot canonicalize non-plain object at ${location || '/'}`);
+    }
+
+    // Keys sorted by UTF-16 code units, which is Array#sort's default order
+    const members = Object.keys(value).sort().map((key) => {
+        const pointer = `${location}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        return `${JSON.stringify(key)}:${encode(value[key], pointer)}`;
+    });
+
+    return `{${members.join(',')}}`;
+}
+
+/**
+ * Encode a JSON value canonically
+ * - object keys sorted recursively
+ * - no insignificant whitespace
+ * - numbers in shortest round-trip form
+ * - undefined, NaN, Infinity, functions and non-plain objects are rejected
+ * @param {*} value - JSON value to encode
+ * @returns {string} - Canonical JSON string
+ */
+function canonicalize(value) {
+    return encode(value, '');
+}
+
+module.exports = {
+    canonicalize
+};
@@ -1,6 +1,8 @@
 const { ethers } = require('ethers');
 const fs = require('fs-extra');
 const path = require('path');
+const { canonicalize } = require('./canonical');
+const { buildArtifactTree } = require('./merkle');
 
 /**
  * Deterministic hashing utilities using keccak256
@@ -8,24 +10,74 @@ const path = require('path');
  */
 
 /**
- * Hash JSON object with deterministic key ordering
- * @param {Object} obj - Object to hash
+ * Current spec hashing scheme
+ * v0 - legacy top-level key allow-list (nested keys dropped, do not use)
+ * v1 - canonical JSON (see utils/canonical.js), spec carries specVersion: 1
+ */
+const SPEC_VERSION = 1;
+
+/**
+ * Hash JSON value using its canonical encoding
+ * @param {*} obj - JSON value to hash
  * @returns {string} - Hex-encoded keccak256 hash
  */
 function hashJSON(obj) {
-    // Sort keys deterministically
+    const encoded = ethers.toUtf8Bytes(canonicalize(obj));
+    return ethers.keccak256(encoded);
+}
+
+/**
+ * Legacy (v0) spec hash
+ * Kept only so specHashes anchored before v1 can still be recomputed
+ * @param {Object} obj - Object to hash
+ * @returns {string} - Hex-encoded keccak256 hash
+ */
+function hashJSONLegacy(obj) {
     const sortedJSON = JSON.stringify(obj, Object.keys(obj).sort());
     const encoded = ethers.toUtf8Bytes(sortedJSON);
     return ethers.keccak256(encoded);
 }
 
+/**
+ * Hash a task specification with the scheme named by its specVersion
+ * Specs without specVersion are treated as v0
+ * @param {Object} spec - Task specification
+ * @returns {string} - Hex-encoded keccak256 hash
+ */
+function hashSpec(spec) {
+    const version = spec.specVersion === undefined ? 0 : spec.specVersion;
+
+    switch (version) {
+        case 0:
+            return hashJSONLegacy(spec);
+        case 1:
+            return hashJSON(spec);
+        default:
+            throw new Error(`Unsupported specVersion: ${version}`);
+    }
+}
+
 /**
  * Hash entire artifact folder deterministically
- * Recursively hashes all files in alphabetical order
+ * Merkle root over (relative path, content hash) of every file, recursively
+ * See utils/merkle.js for the tree layout
  * @param {string} folderPath - Path to folder
- * @returns {string} - Hex-encoded keccak256 hash
+ * @returns {Promise<string>} - Hex-encoded keccak256 Merkle root
  */
 async function hashArtifactFolder(folderPath) {
+    const { root } = await buildArtifactTree(folderPath);
+    return root;
+}
+
+/**
+ * Legacy artifact hash: keccak256 of concatenated top-level file hashes
+ * Ignores subdirectories and file names. Kept only to recompute artifactHashes
+ * anchored before the Merkle scheme
+ * @param {string} folderPath - Path to folder
+ * @param {Array<string>} [exclude] - File names to skip (e.g. files added after anchoring)
+ * @returns {Promise<string>} - Hex-encoded keccak256 hash
+ */
+async function hashArtifactFolderLegacy(folderPath, exclude = []) {
     const files = await fs.readdir(folderPath);
     const sortedFiles = files.sort();
 
@@ -35,7 +87,7 @@ async function hashArtifactFolder(folderPath) {
         const filePath = path.join(folderPath, file);
         const stats = await fs.stat(filePath);
 
-        if (stats.isFile()) {
+        if (stats.isFile() && !exclude.includes(file)) {
             const content = await fs.readFile(filePath);
             const fileHash = ethers.keccak256(content);
             combinedHash += fileHash.slice(2); // Remove 0x prefix
@@ -52,6 +104,10 @@ async function hashArtifactFolder(folderPath) {
 }
 
 module.exports = {
+    SPEC_VERSION,
     hashJSON,
-    hashArtifactFolder
+    hashJSONLegacy,
+    hashSpec,
+    hashArtifactFolder,
+    hashArtifactFolderLegacy
 };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Iterated hash chains for the CPU challenge
+ *
+ *   h[0]   = lane seed = keccak256(seed || uint256(lane))
+ *   h[i+1] = H(h[i])    over the raw 32 bytes, H = sha256 or keccak256
+ *
+ * Every checkpointInterval steps the current hash is recorded, so any
+ * segment between two checkpoints can be recomputed on its own.
+ */
+
+const HASH_ALGORITHMS = ['sha256', 'keccak256'];
+const DEFAULT_CHECKPOINT_INTERVAL = 16384;
+// Bounds the cost of recomputing one segment
+const MAX_CHECKPOINT_INTERVAL = 1048576;
+
+const STEPS = {
+    sha256: (bytes) => crypto.createHash('sha256').update(bytes).digest(),
+    keccak256: (bytes) => Buffer.from(ethers.getBytes(ethers.keccak256(bytes)))
+};
+
+/**
+ * Get the single-step function of an algorithm
+ * @param {string} algorithm - sha256 | keccak256
+ * @returns {function(Buffer): Buffer}
+ */
+function getStep(algorithm) {
+    const step = STEPS[algorithm];
+    if (!step) {
+        throw new Error(`Unknown hash algorithm: ${algorithm} (expected ${HASH_ALGORITHMS.join(', ')})`);
+    }
+    return step;
+}
+
+/**
+ * Derive the starting hash of one worker's chain
+ * @param {string} seed - Challenge seed (bytes32)
+ * @param {number} lane - Worker index (0 in single-core mode)
+ * @returns {string} - bytes32 hex
+ */
+function laneSeed(seed, lane) {
+    return ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [seed, lane]);
+}
+
+/**
+ * Apply the step function count times
+ * @param {string} start - bytes32 hex
+ * @param {number} count - Number of steps
+ * @param {string} algorithm - sha256 | keccak256
+ * @returns {string} - bytes32 hex
+ */
+function iterate(start, count, algorithm) {
+    const step = getStep(algorithm);
+    let hash = Buffer.from(ethers.getBytes(start));
+    for (let i = 0; i < count; i++) {
+        hash = step(hash);
+    }
+    return ethers.hexlify(hash);
+}
+
+module.exports = {
+    HASH_ALGORITHMS,
+    DEFAULT_CHECKPOINT_INTERVAL,
+    MAX_CHECKPOINT_INTERVAL,
+    getStep,
+    laneSeed,
+    iterate
+};
@@ -1,26 +1,145 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
 /**
  * Simple timestamped logger
  * Infrastructure-grade logging without colors or emojis
+ *
+ * LOG_FORMAT=text (default) prints human-readable lines,
+ * LOG_FORMAT=json prints one JSON object per line:
+ *   { timestamp, level, message, requestId?, taskId?, jobId?, txHash?, ... }
+ * LOG_LEVEL=debug|info|warn|error (default info) drops lines below the level.
+ *
+ * Log context is tracked with AsyncLocalStorage: code running inside
+ * runWithContext() logs with the context's bindings (e.g. taskId), and every
+ * line is also appended to the context's capture buffer if it has one.
+ * Concurrent executions each get their own context, so their logs never mix.
  */
 
+const storage = new AsyncLocalStorage();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const format = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const threshold = LEVELS[level];
+// Task logs keep at least info and above, whatever the console level
+const captureThreshold = Math.min(threshold, LEVELS.info);
+
 function timestamp() {
     return new Date().toISOString();
 }
 
-function info(message, ...args) {
-    console.log(`[${timestamp()}] INFO: ${message}`, ...args);
+function formatArg(arg) {
+    if (arg instanceof Error) return arg.message;
+    return typeof arg === 'object' ? JSON.stringify(arg) : String(arg);
+}
+
+function formatBindings(bindings) {
+    const parts = Object.entries(bindings)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${value}`);
+    return parts.length ? `[${parts.join(' ')}] ` : '';
+}
+
+function formatJSON(lineLevel, fields, text) {
+    return JSON.stringify({
+        timestamp: timestamp(),
+        level: lineLevel,
+        message: text,
+        ...fields
+    });
+}
+
+function write(lineLevel, bindings, message, args) {
+    const severity = LEVELS[lineLevel];
+    const context = storage.getStore();
+    const capture = context && context.lines && severity >= captureThreshold;
+
+    if (severity < threshold && !capture) return;
+
+    const fields = { ...(context ? context.bindings : {}), ...bindings };
+    const text = [message, ...args].map(formatArg).join(' ');
+    const prefix = `[${timestamp()}] ${lineLevel.toUpperCase()}: ${formatBindings(fields)}`;
+    const line = format === 'json' ? formatJSON(lineLevel, fields, text) : `${prefix}${text}`;
+
+    if (capture) {
+        context.lines.push(line);
+    }
+
+    if (severity < threshold) return;
+
+    const out = lineLevel === 'error' ? console.error : lineLevel === 'warn' ? console.warn : console.log;
+    if (format === 'json') {
+        out(line);
+    } else {
+        out(`${prefix}${message}`, ...args);
+    }
+}
+
+/**
+ * Create a logger bound to extra fields
+ * @param {Object} bindings - Fields added to every line (e.g. { taskId: 1 })
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+function child(bindings = {}) {
+    return {
+        debug: (message, ...args) => write('debug', bindings, message, args),
+        info: (message, ...args) => write('info', bindings, message, args),
+        warn: (message, ...args) => write('warn', bindings, message, args),
+        error: (message, ...args) => write('error', bindings, message, args),
+        child: (more) => child({ ...bindings, ...more })
+    };
+}
+
+/**
+ * Run fn inside a log context
+ * Nested contexts inherit bindings; a capture buffer is only set when requested
+ * @param {Object} bindings - Fields added to every line logged inside fn
+ * @param {Function} fn - Function to run
+ * @param {Object} [options]
+ * @param {Array<string>} [options.capture] - Array receiving formatted log lines
+ * @returns {*} - fn's return value
+ */
+function runWithContext(bindings, fn, { capture } = {}) {
+    const parent = storage.getStore();
+    return storage.run({
+        bindings: { ...(parent ? parent.bindings : {}), ...bindings },
+        lines: capture || (parent ? parent.lines : null)
+    }, fn);
 }
 
-function error(message, ...args) {
-    console.error(`[${timestamp()}] ERROR: ${message}`, ...args);
+/**
+ * Get the bindings of the current log context
+ * @returns {Object}
+ */
+function getContext() {
+    const context = storage.getStore();
+    return context ? { ...context.bindings } : {};
 }
 
-function warn(message, ...args) {
-    console.warn(`[${timestamp()}] WARN: ${message}`, ...args);
+/**
+ * Print human-readable console output (banners, tables, progress lines)
+ * Not a log line: no timestamp, not captured in task logs, and suppressed
+ * with LOG_FORMAT=json so stdout stays one JSON object per line
+ * @param {...*} args - As for console.log
+ */
+function display(...args) {
+    if (format === 'text') {
+        console.log(...args);
+    }
 }
 
+const root = child();
+
 module.exports = {
-    info,
-    error,
-    warn
+    format,
+    level,
+    debug: root.debug,
+    info: root.info,
+    error: root.error,
+    warn: root.warn,
+    child,
+    display,
+    runWithContext,
+    getContext
 };
@@ -0,0 +1,213 @@
+const { ethers } = require('ethers');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Merkle tree over artifact folders
+ *
+ * Leaves are (relative path, content hash) pairs for every file in the
+ * folder, recursively, sorted by path:
+ *   contentHash = keccak256(fileBytes)
+ *   leaf        = keccak256(0x00 || keccak256(utf8(path)) || contentHash)
+ *   node        = keccak256(0x01 || min(a, b) || max(a, b))
+ * Paths use '/' separators. Pairs are sorted before hashing, so a proof is
+ * just the list of sibling hashes. An odd node at the end of a level is
+ * carried up unchanged. An empty folder hashes to keccak256(0x).
+ *
+ * manifest.json and receipt.json are derived from the root and are not leaves.
+ */
+
+const MERKLE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const EXCLUDED_FILES = [MANIFEST_FILE, 'receipt.json'];
+
+const LEAF_PREFIX = '0x00';
+const NODE_PREFIX = '0x01';
+
+/**
+ * Hash a leaf
+ * @param {string} relativePath - File path relative to the artifact folder
+ * @param {string} contentHash - keccak256 of the file content
+ * @returns {string}
+ */
+function hashLeaf(relativePath, contentHash) {
+    return ethers.keccak256(ethers.concat([
+        LEAF_PREFIX,
+        ethers.keccak256(ethers.toUtf8Bytes(relativePath)),
+        contentHash
+    ]));
+}
+
+/**
+ * Hash two sibling nodes (order-independent)
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string}
+ */
+function hashPair(a, b) {
+    const [left, right] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.keccak256(ethers.concat([NODE_PREFIX, left, right]));
+}
+
+/**
+ * List files under a folder recursively
+ * @param {string} folderPath - Root folder
+ * @param {string} [prefix] - Relative path of folderPath inside the root
+ * @returns {Promise<Array<string>>} - Relative '/'-separated paths
+ */
+async function listFiles(folderPath, prefix = '') {
+    const entries = await fs.readdir(folderPath, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(path.join(folderPath, entry.name), relativePath));
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Build the tree from leaf hashes
+ * @param {Array<string>} leafHashes - Leaf hashes in leaf order
+ * @returns {Array<Array<string>>} - Levels, leaves first, root level last
+ */
+function buildLevels(leafHashes) {
+    const levels = [leafHashes];
+
+    while (levels[levels.length - 1].length > 1) {
+        const current = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+        }
+        levels.push(next);
+    }
+
+    return levels;
+}
+
+/**
+ * Build the Merkle tree for an artifact folder
+ * @param {string} folderPath - Path to folder
+ * @returns {Promise<{root: string, leaves: Array<Object>, levels: Array<Array<string>>}>}
+ */
+async function buildArtifactTree(folderPath) {
+    const files = (await listFiles(folderPath))
+        .filter(file => !EXCLUDED_FILES.includes(file))
+        .sort();
+
+    const leaves = [];
+    for (const file of files) {
+        const content = await fs.readFile(path.join(folderPath, ...file.split('/')));
+        leaves.push({
+            path: file,
+            size: content.length,
+            contentHash: ethers.keccak256(content)
+        });
+    }
+
+    return buildTreeFromLeaves(leaves);
+}
+
+/**
+ * Build the Merkle tree from (path, contentHash) pairs, e.g. manifest leaves
+ * Leaf hashes are recomputed, so a manifest can be checked against a root
+ * @param {Array<{path: string, contentHash: string, size?: number}>} entries - Leaves in any order
+ * @returns {{root: string, leaves: Array<Object>, levels: Array<Array<string>>}}
+ */
+function buildTreeFromLeaves(entries) {
+    const leaves = [...entries]
+        .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+        .map(({ path: leafPath, size, contentHash }) => ({
+            path: leafPath,
+            size,
+            contentHash,
+            leaf: hashLeaf(leafPath, contentHash)
+        }));
+
+    if (leaves.length === 0) {
+        return { root: ethers.keccak256('0x'), leaves, levels: [] };
+    }
+
+    const levels = buildLevels(leaves.map(l => l.leaf));
+    return { root: levels[levels.length - 1][0], leaves, levels };
+}
+
+/**
+ * Get the inclusion proof for one file
+ * @param {Object} tree - Result of buildArtifactTree
+ * @param {string} relativePath - File path relative to the artifact folder
+ * @returns {Object|null} - { path, contentHash, leaf, proof, root }, or null if not a leaf
+ */
+function getInclusionProof(tree, relativePath) {
+    let index = tree.leaves.findIndex(l => l.path === relativePath);
+    if (index === -1) return null;
+
+    const proof = [];
+    for (let level = 0; level < tree.levels.length - 1; level++) {
+        const nodes = tree.levels[level];
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < nodes.length) {
+            proof.push(nodes[sibling]);
+        }
+        index = Math.floor(index / 2);
+    }
+
+    const { path: leafPath, contentHash, leaf } = tree.leaves.find(l => l.path === relativePath);
+    return { path: leafPath, contentHash, leaf, proof, root: tree.root };
+}
+
+/**
+ * Verify an inclusion proof
+ * @param {Object} params
+ * @param {string} params.path - File path relative to the artifact folder
+ * @param {string} params.contentHash - keccak256 of the file content
+ * @param {Array<string>} params.proof - Sibling hashes, leaf level first
+ * @param {string} params.root - Expected root (e.g. on-chain artifactHash)
+ * @returns {boolean}
+ */
+function verifyInclusionProof({ path: relativePath, contentHash, proof, root }) {
+    const computed = proof.reduce(
+        (node, sibling) => hashPair(node, sibling),
+        hashLeaf(relativePath, contentHash)
+    );
+    return computed.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Build the manifest describing a tree
+ * @param {Object} tree - Result of buildArtifactTree
+ * @returns {Object}
+ */
+function buildManifest(tree) {
+    return {
+        version: MERKLE_VERSION,
+        algorithm: 'keccak256-sorted-pair-merkle',
+        root: tree.root,
+        leaves: tree.leaves.map(({ path: leafPath, size, contentHash, leaf }) => ({
+            path: leafPath,
+            size,
+            contentHash,
+            leaf
+        }))
+    };
+}
+
+module.exports = {
+    MERKLE_VERSION,
+    MANIFEST_FILE,
+    EXCLUDED_FILES,
+    hashLeaf,
+    hashPair,
+    listFiles,
+    buildArtifactTree,
+    buildTreeFromLeaves,
+    getInclusionProof,
+    verifyInclusionProof,
+    buildManifest
+};
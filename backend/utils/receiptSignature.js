@@ -0,0 +1,87 @@
+const { ethers } = require('ethers');
+
+/**
+ * EIP-712 signed receipts
+ *
+ * The operator signs what it anchors, so receipt.json identifies who ran the
+ * task without trusting the file:
+ *   domain  = { name: "InfraProof", version: "1", chainId, verifyingContract? }
+ *   Receipt = { taskId, specHash, artifactHash, resultHash, storageLocation }
+ * verifyingContract is the ExecutionRegistry address (absent in MODE=local).
+ * storageLocation is the artifact URL (the task's manifest.json).
+ * The recovered signer must equal the operator recorded on-chain.
+ */
+
+const RECEIPT_SIGNATURE_VERSION = 1;
+
+const DOMAIN_NAME = 'InfraProof';
+const DOMAIN_VERSION = '1';
+
+const RECEIPT_TYPES = {
+    Receipt: [
+        { name: 'taskId', type: 'uint256' },
+        { name: 'specHash', type: 'bytes32' },
+        { name: 'artifactHash', type: 'bytes32' },
+        { name: 'resultHash', type: 'bytes32' },
+        { name: 'storageLocation', type: 'string' }
+    ]
+};
+
+/**
+ * Build the signing domain for a chain
+ * @param {number} chainId - Chain the receipt is anchored on
+ * @param {string|null} [verifyingContract] - ExecutionRegistry address
+ * @returns {Object} - EIP-712 domain
+ */
+function receiptDomain(chainId, verifyingContract = null) {
+    const domain = { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId };
+    if (verifyingContract) {
+        domain.verifyingContract = ethers.getAddress(verifyingContract);
+    }
+    return domain;
+}
+
+/**
+ * Build the signed message
+ * @param {Object} receipt - { taskId, specHash, artifactHash, resultHash, storageLocation }
+ * @returns {Object} - EIP-712 Receipt message
+ */
+function receiptMessage({ taskId, specHash, artifactHash, resultHash, storageLocation }) {
+    return { taskId, specHash, artifactHash, resultHash, storageLocation };
+}
+
+/**
+ * Sign a receipt
+ * @param {ethers.Signer} signer - Operator signer (the account that submits the receipt on-chain)
+ * @param {Object} domain - From receiptDomain()
+ * @param {Object} receipt - { taskId, specHash, artifactHash, resultHash, storageLocation }
+ * @returns {Promise<{signer: string, signature: string, digest: string}>}
+ */
+async function signReceipt(signer, domain, receipt) {
+    const message = receiptMessage(receipt);
+    return {
+        signer: await signer.getAddress(),
+        signature: await signer.signTypedData(domain, RECEIPT_TYPES, message),
+        digest: ethers.TypedDataEncoder.hash(domain, RECEIPT_TYPES, message)
+    };
+}
+
+/**
+ * Recover the address that signed a receipt
+ * @param {Object} domain - From receiptDomain()
+ * @param {Object} receipt - { taskId, specHash, artifactHash, resultHash, storageLocation }
+ * @param {string} signature - 65-byte signature
+ * @returns {string} - Checksummed signer address
+ * @throws {Error} if the signature is malformed
+ */
+function recoverReceiptSigner(domain, receipt, signature) {
+    return ethers.verifyTypedData(domain, RECEIPT_TYPES, receiptMessage(receipt), signature);
+}
+
+module.exports = {
+    RECEIPT_SIGNATURE_VERSION,
+    RECEIPT_TYPES,
+    receiptDomain,
+    signReceipt,
+    recoverReceiptSigner
+};
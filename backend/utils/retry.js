@@ -0,0 +1,51 @@
+const logger = require('./logger');
+
+/**
+ * Retry with exponential backoff
+ * Errors carrying `permanent: true` are rethrown immediately.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Mark an error as not worth retrying
+ * @param {Error} error - Error to mark
+ * @returns {Error} - The same error
+ */
+function permanent(error) {
+    error.permanent = true;
+    return error;
+}
+
+/**
+ * Run fn, retrying on failure
+ * Delay before attempt n+1 is baseDelayMs * 2^(n-1), plus up to 25% jitter
+ * @param {function(number): Promise<*>} fn - Called with the attempt number (1-based)
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - First backoff delay
+ * @param {number} [options.maxDelayMs=30000] - Backoff cap
+ * @param {string} [options.label] - Operation name for log lines
+ * @returns {Promise<*>} - fn's result
+ */
+async function withRetry(fn, { retries = 3, baseDelayMs = 1000, maxDelayMs = 30000, label = 'operation' } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (error.permanent || attempt > retries) {
+                throw error;
+            }
+
+            const backoff = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+            const delay = Math.round(backoff * (1 + Math.random() * 0.25));
+            logger.warn(`${label} failed (attempt ${attempt}/${retries + 1}): ${error.message}; retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    permanent,
+    withRetry
+};
@@ -0,0 +1,113 @@
+/**
+ * Summary statistics for benchmark samples and repeated runs
+ */
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} [decimals=3] - Decimal places
+ * @returns {number}
+ */
+function round(value, decimals = 3) {
+    return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Samples sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} - null for no samples
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Summarize latency samples
+ * @param {Array<number>} samplesMs - Latencies in milliseconds
+ * @returns {{samples: number, minMs: number, meanMs: number, p50Ms: number, p95Ms: number, p99Ms: number, maxMs: number}}
+ */
+function latencySummary(samplesMs) {
+    const sorted = [...samplesMs].sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return { samples: 0, minMs: null, meanMs: null, p50Ms: null, p95Ms: null, p99Ms: null, maxMs: null };
+    }
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    return {
+        samples: sorted.length,
+        minMs: round(sorted[0]),
+        meanMs: round(mean),
+        p50Ms: round(percentile(sorted, 50)),
+        p95Ms: round(percentile(sorted, 95)),
+        p99Ms: round(percentile(sorted, 99)),
+        maxMs: round(sorted[sorted.length - 1])
+    };
+}
+
+/**
+ * Median (mean of the middle two for an even count)
+ * @param {Array<number>} sorted - Samples sorted ascending
+ * @returns {number|null} - null for no samples
+ */
+function median(sorted) {
+    if (sorted.length === 0) return null;
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Describe repeated measurements of one metric
+ * stddev is the sample standard deviation; cv is stddev / mean
+ * @param {Array<number>} samples - One value per run
+ * @returns {{samples: number, mean: number, median: number, stddev: number, min: number, max: number, cv: number}}
+ */
+function describe(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return { samples: 0, mean: null, median: null, stddev: null, min: null, max: null, cv: null };
+    }
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    const variance = sorted.length > 1
+        ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (sorted.length - 1)
+        : 0;
+    const stddev = Math.sqrt(variance);
+    return {
+        samples: sorted.length,
+        mean: round(mean),
+        median: round(median(sorted)),
+        stddev: round(stddev),
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        cv: mean === 0 ? null : round(stddev / Math.abs(mean), 4)
+    };
+}
+
+/**
+ * Drop samples outside Tukey's fences (1.5 IQR beyond the quartiles)
+ * Fewer than four samples are returned unchanged
+ * @param {Array<number>} samples - One value per run
+ * @returns {{kept: Array<number>, trimmed: Array<number>}}
+ */
+function trimIqrOutliers(samples) {
+    if (samples.length < 4) return { kept: [...samples], trimmed: [] };
+    const sorted = [...samples].sort((a, b) => a - b);
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const low = q1 - 1.5 * (q3 - q1);
+    const high = q3 + 1.5 * (q3 - q1);
+    return {
+        kept: samples.filter(v => v >= low && v <= high),
+        trimmed: samples.filter(v => v < low || v > high)
+    };
+}
+
+module.exports = {
+    round,
+    percentile,
+    median,
+    latencySummary,
+    describe,
+    trimIqrOutliers
+};
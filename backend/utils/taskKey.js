@@ -0,0 +1,34 @@
+const { chainId: defaultChainId } = require('../config/chain');
+
+/**
+ * Per-task naming for local folders and stored objects
+ * Task IDs are only unique per chain, so every task is namespaced under
+ * chain-<chainId>/. Tasks written before that used a plain task-<id> on
+ * the default chain (CHAIN_ID); readers fall back to that legacy key.
+ */
+
+/**
+ * Get the key of a task
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {string} - e.g. chain-97/task-7
+ */
+function taskKey(taskId, chainId = defaultChainId) {
+    return `chain-${chainId}/task-${taskId}`;
+}
+
+/**
+ * Keys a task may have been written under, current layout first
+ * @param {number} taskId - Task ID
+ * @param {number} [chainId] - Chain ID (default: CHAIN_ID)
+ * @returns {Array<string>} - e.g. ['chain-97/task-7', 'task-7'] when 97 is CHAIN_ID
+ */
+function taskKeyCandidates(taskId, chainId = defaultChainId) {
+    const key = taskKey(taskId, chainId);
+    return chainId === defaultChainId ? [key, `task-${taskId}`] : [key];
+}
+
+module.exports = {
+    taskKey,
+    taskKeyCandidates
+};
@@ -97,7 +97,7 @@ const TaskStatusCard = ({ status, taskId, receiptTxHash, artifactUrl }: TaskStat
               rel="noopener noreferrer"
               className="text-primary text-xs flex items-center gap-1 hover:brightness-110 transition-all"
             >
-              View on Greenfield
+              View artifacts
               <FileText className="w-3 h-3" />
             </a>
           </div>
@@ -10,6 +10,7 @@ export interface CreateTaskResponse {
     specHash: string;
     txHash: string;
     taskSpec: {
+        specVersion: number;
         type: string;
         duration: number;
         config: object;
@@ -24,7 +25,8 @@ export interface ExecuteTaskResponse {
     resultHash: string;
     artifactUrl: string;
     receiptTxHash: string;
-    benchmarkSummary: {
+    // Absent when the receipt was already on-chain or was anchored from the outbox
+    benchmarkSummary?: {
         duration: number;
         cpuOpsPerSec: number;
         memoryWriteMBps: number;
@@ -32,6 +34,39 @@ export interface ExecuteTaskResponse {
     };
 }
 
+export type JobState = 'queued' | 'benchmarking' | 'uploading' | 'anchoring' | 'done' | 'failed';
+
+export interface SubmitExecutionResponse {
+    success: boolean;
+    taskId: number;
+    jobId: string;
+    state: JobState;
+    statusUrl: string;
+}
+
+export interface GetJobResponse {
+    success: boolean;
+    job: {
+        id: string;
+        type: string;
+        payload: { taskId: number };
+        state: JobState;
+        result: Omit<ExecuteTaskResponse, 'success'> | null;
+        error: string | null;
+        createdAt: string;
+        updatedAt: string;
+    };
+}
+
+export interface TaskEvent {
+    id: number;
+    taskId: number;
+    chainId: number;
+    type: 'stage' | 'progress' | 'artifact-created' | 'file-uploaded' | 'tx-sent' | 'tx-confirmed';
+    data: Record<string, unknown>;
+    timestamp: string;
+}
+
 export interface GetTaskResponse {
     success: boolean;
     task: {
@@ -73,10 +108,14 @@ export async function createTask(duration: number = 30): Promise<CreateTaskRespo
     return response.json();
 }
 
+const JOB_POLL_INTERVAL_MS = 2000;
+// Queue wait, benchmark, upload and receipt together; the job keeps running on the server after this
+const JOB_MAX_WAIT_MS = 30 * 60 * 1000;
+
 /**
- * Execute a task (trigger benchmark)
+ * Queue a task for execution (trigger benchmark)
  */
-export async function executeTask(taskId: number): Promise<ExecuteTaskResponse> {
+export async function submitExecution(taskId: number): Promise<SubmitExecutionResponse> {
     const response = await fetch(`${BACKEND_URL}/tasks/execute/${taskId}`, {
         method: 'POST',
         headers: {
@@ -93,6 +132,51 @@ export async function executeTask(taskId: number): Promise<ExecuteTaskResponse>
     return response.json();
 }
 
+/**
+ * Get execution job status
+ */
+export async function getJob(jobId: string): Promise<GetJobResponse> {
+    const response = await fetch(`${BACKEND_URL}/jobs/${jobId}`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to fetch job');
+    }
+
+    return response.json();
+}
+
+/**
+ * Execute a task and wait for the job to finish
+ */
+export async function executeTask(
+    taskId: number,
+    onState?: (state: JobState) => void,
+): Promise<ExecuteTaskResponse> {
+    const { jobId } = await submitExecution(taskId);
+    const deadline = Date.now() + JOB_MAX_WAIT_MS;
+
+    for (;;) {
+        const { job } = await getJob(jobId);
+        onState?.(job.state);
+
+        if (job.state === 'done') {
+            if (!job.result) {
+                throw new Error(`Job ${jobId} finished without a result`);
+            }
+            return { success: true, ...job.result };
+        }
+        if (job.state === 'failed') {
+            throw new Error(job.error || 'Task execution failed');
+        }
+        if (Date.now() + JOB_POLL_INTERVAL_MS > deadline) {
+            throw new Error(`Job ${jobId} did not finish within ${JOB_MAX_WAIT_MS / 60000} minutes`);
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+}
+
 /**
  * Get task status
  */
@@ -106,3 +190,20 @@ export async function getTask(taskId: number): Promise<GetTaskResponse> {
 
     return response.json();
 }
+
+/**
+ * Subscribe to live execution events for a task
+ * Returns a function that closes the stream
+ */
+export function subscribeTaskEvents(taskId: number, onEvent: (event: TaskEvent) => void): () => void {
+    const source = new EventSource(`${BACKEND_URL}/tasks/${taskId}/events`);
+    const types: TaskEvent['type'][] = ['stage', 'progress', 'artifact-created', 'file-uploaded', 'tx-sent', 'tx-confirmed'];
+
+    for (const type of types) {
+        source.addEventListener(type, (message) => {
+            onEvent(JSON.parse((message as MessageEvent).data));
+        });
+    }
+
+    return () => source.close();
+}
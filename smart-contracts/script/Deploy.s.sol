@@ -56,6 +56,9 @@ contract DeployScript is Script {
             '    "chainId": ',
             vm.toString(block.chainid),
             ",\n",
+            '    "blockNumber": ',
+            vm.toString(block.number),
+            ",\n",
             '    "abi": ',
             _getABI(),
             "\n",